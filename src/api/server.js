@@ -1,19 +1,61 @@
+import crypto from 'crypto';
 import express from 'express';
 import rateLimit from 'express-rate-limit';
 import CoreEngine from '../engine/CoreEngine.js';
+import { EngineEvents } from '../events/DomainEvents.js';
+import { validateTask } from '../engine/TaskValidator.js';
+import { COLLABORATION_ACTIONS } from '../constants/CollaborationActions.js';
 import logger from '../logger/Logger.js';
 
 const app = express();
 const port = process.env.PORT || 3000;
 const API_KEY = process.env.LOC_API_KEY || 'loc_secret_key_2026';
 
-const engine = new CoreEngine();
+// stdio:// agents run a command on this host and fn:// agents call into this process, so over REST
+// only the endpoints the operator lists in LOC_LOCAL_AGENT_ENDPOINTS (comma-separated) are accepted
+const LOCAL_SCHEMES = ['stdio', 'fn'];
+const LOCAL_AGENT_ENDPOINTS = (process.env.LOC_LOCAL_AGENT_ENDPOINTS || '').split(',').map(e => e.trim()).filter(Boolean);
+
+const engine = new CoreEngine({
+    transport: process.env.LOC_TRANSPORT,
+    dataDir: process.env.LOC_DATA_DIR || 'data',
+    webhooks: {
+        secret: process.env.LOC_WEBHOOK_SECRET,
+        // Webhook and callback URLs may name any host, including loopback and cloud metadata addresses,
+        // so operators can restrict deliveries to the hosts listed in LOC_WEBHOOK_ALLOWED_HOSTS (comma-separated)
+        allowedHosts: (process.env.LOC_WEBHOOK_ALLOWED_HOSTS || '').split(',').map(h => h.trim()).filter(Boolean)
+    }
+});
 engine.startExecutionLoop(1000); // Start the engine loop
+engine.setMaxListeners(0); // Each open /events stream holds a listener
 
 app.use(express.json());
 
+// Browser EventSource cannot send headers, so the event stream also accepts ?token= with a token
+// from POST /events/token. Query strings end up in proxy and access logs, so tokens expire quickly
+// and only open the stream, instead of exposing the API key itself.
+const STREAM_TOKEN_TTL_MS = 60000;
+const streamTokens = new Map(); // token -> expiry (epoch ms)
+
+/**
+ * Issues a token that opens GET /events until it expires.
+ * @returns {Object} { token, expiresAt }
+ */
+const issueStreamToken = () => {
+    const now = Date.now();
+    for (const [token, expiresAt] of streamTokens) {
+        if (expiresAt <= now) streamTokens.delete(token);
+    }
+    const token = crypto.randomBytes(24).toString('hex');
+    streamTokens.set(token, now + STREAM_TOKEN_TTL_MS);
+    return { token, expiresAt: new Date(now + STREAM_TOKEN_TTL_MS).toISOString() };
+};
+
 // Authentication Middleware
 const authenticate = (req, res, next) => {
+    if (req.path === '/events' && typeof req.query.token === 'string' && streamTokens.get(req.query.token) > Date.now()) {
+        return next();
+    }
     const key = req.headers['x-api-key'];
     if (!key || key !== API_KEY) {
         return res.status(401).json({ error: 'Unauthorized: Invalid or missing API Key' });
@@ -31,15 +73,261 @@ const limiter = rateLimit({
 app.use(limiter);
 app.use(authenticate);
 
+/**
+ * Validates subtask specifications with the task schema.
+ * @param {Array<Object>} specs
+ * @returns {string[]} Errors, prefixed with the offending subtask's position
+ */
+const validateSubtaskSpecs = specs => specs.flatMap((spec, i) => validateTask(spec || {}).errors.map(e => `Subtask ${i}: ${e}`));
+
 // --- Endpoints ---
 
 /**
- * @api {post} /tasks Task Submission
+ * @api {post} /tasks Task Submission (runAt delays the task; schedule registers a recurring task instead)
  */
 app.post('/tasks', (req, res) => {
     try {
-        const taskId = engine.submitTask(req.body);
-        res.status(201).json({ taskId, message: 'Task submitted successfully' });
+        const id = engine.submitTask(req.body);
+        if (engine.schedules[id]) {
+            return res.status(201).json({ scheduleId: id, nextRunAt: engine.schedules[id].nextRunAt, message: 'Schedule created successfully' });
+        }
+        res.status(201).json({ taskId: id, message: 'Task submitted successfully' });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * @api {post} /workflows Declarative Workflow Submission ({ name, nodes: { key: { ...taskSpec, dependsOn: [keys] } } })
+ */
+app.post('/workflows', (req, res) => {
+    try {
+        const workflowId = engine.createWorkflow(req.body || {});
+        const workflow = engine.getWorkflow(workflowId);
+        res.status(201).json({
+            workflowId,
+            taskIds: Object.fromEntries(workflow.nodes.map(n => [n.key, n.taskId])),
+            message: 'Workflow submitted successfully'
+        });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * @api {get} /workflows Workflow Listing
+ */
+app.get('/workflows', (req, res) => {
+    const workflows = engine.taskQueue
+        .filter(t => t.workflowId && t.id === t.workflowId)
+        .map(t => engine.getWorkflow(t.id));
+
+    res.json(workflows.map(({ nodes, output, ...summary }) => summary));
+});
+
+/**
+ * @api {get} /workflows/:id Workflow Graph & Progress
+ */
+app.get('/workflows/:id', (req, res) => {
+    const workflow = engine.getWorkflow(req.params.id);
+    if (!workflow) {
+        return res.status(404).json({ error: 'Workflow not found' });
+    }
+    res.json(workflow);
+});
+
+/**
+ * @api {post} /templates Workflow Template Registration ({ name, parameters: { name: { description, default } }, nodes })
+ */
+app.post('/templates', (req, res) => {
+    try {
+        const template = engine.registerTemplate(req.body || {});
+        res.status(201).json({ ...template, message: 'Template registered successfully' });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * @api {get} /templates Workflow Template Listing
+ */
+app.get('/templates', (req, res) => {
+    res.json(Object.values(engine.templates));
+});
+
+/**
+ * @api {get} /templates/:name Workflow Template Details
+ */
+app.get('/templates/:name', (req, res) => {
+    const template = engine.templates[req.params.name];
+    if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(template);
+});
+
+/**
+ * @api {delete} /templates/:name Workflow Template Removal
+ */
+app.delete('/templates/:name', (req, res) => {
+    if (!engine.removeTemplate(req.params.name)) {
+        return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json({ name: req.params.name, message: 'Template removed successfully' });
+});
+
+/**
+ * @api {post} /templates/:name/run Workflow Template Instantiation ({ params })
+ */
+app.post('/templates/:name/run', (req, res) => {
+    if (!engine.templates[req.params.name]) {
+        return res.status(404).json({ error: 'Template not found' });
+    }
+
+    try {
+        const workflowId = engine.runTemplate(req.params.name, req.body?.params || {});
+        const workflow = engine.getWorkflow(workflowId);
+        res.status(201).json({
+            workflowId,
+            taskIds: Object.fromEntries(workflow.nodes.map(n => [n.key, n.taskId])),
+            message: 'Template run submitted successfully'
+        });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * @api {get} /aggregation-strategies Registered Aggregation Strategies
+ */
+app.get('/aggregation-strategies', (req, res) => {
+    res.json(Object.keys(engine.aggregationStrategies));
+});
+
+/**
+ * @api {get} /retry-policies Retry Policies by Domain
+ */
+app.get('/retry-policies', (req, res) => {
+    res.json(engine.retryPolicies);
+});
+
+/**
+ * @api {put} /retry-policies/:domainLabel Domain Retry Policy ({ maxAttempts, maxReroutes, backoff, retryOn, fatal })
+ */
+app.put('/retry-policies/:domainLabel', (req, res) => {
+    try {
+        const policy = engine.setRetryPolicy(req.params.domainLabel, req.body);
+        res.json({ domainLabel: req.params.domainLabel, policy, message: 'Retry policy set successfully' });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * @api {delete} /retry-policies/:domainLabel Domain Retry Policy Removal (its tasks fall back to the default)
+ */
+app.delete('/retry-policies/:domainLabel', (req, res) => {
+    if (!engine.removeRetryPolicy(req.params.domainLabel)) {
+        return res.status(404).json({ error: 'Retry policy not found' });
+    }
+    res.json({ domainLabel: req.params.domainLabel, message: 'Retry policy removed successfully' });
+});
+
+/**
+ * @api {get} /schedules Schedule Listing (?status=active|paused)
+ */
+app.get('/schedules', (req, res) => {
+    const { status } = req.query;
+    let schedules = Object.values(engine.schedules);
+
+    if (status) {
+        schedules = schedules.filter(s => s.status === status);
+    }
+    res.json(schedules);
+});
+
+/**
+ * @api {get} /schedules/:id Schedule Details
+ */
+app.get('/schedules/:id', (req, res) => {
+    const schedule = engine.schedules[req.params.id];
+    if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json(schedule);
+});
+
+/**
+ * @api {post} /schedules/:id/pause Schedule Pause (no instances are submitted until resumed)
+ */
+app.post('/schedules/:id/pause', (req, res) => {
+    const schedule = engine.pauseSchedule(req.params.id);
+    if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ scheduleId: schedule.id, status: schedule.status, message: 'Schedule paused successfully' });
+});
+
+/**
+ * @api {post} /schedules/:id/resume Schedule Resumption (from its next match)
+ */
+app.post('/schedules/:id/resume', (req, res) => {
+    const schedule = engine.resumeSchedule(req.params.id);
+    if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ scheduleId: schedule.id, status: schedule.status, nextRunAt: schedule.nextRunAt, message: 'Schedule resumed successfully' });
+});
+
+/**
+ * @api {delete} /schedules/:id Schedule Removal (instances already submitted are kept)
+ */
+app.delete('/schedules/:id', (req, res) => {
+    if (!engine.removeSchedule(req.params.id)) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ scheduleId: req.params.id, message: 'Schedule removed successfully' });
+});
+
+/**
+ * @api {get} /dead-letters Dead-Letter Listing (?domainLabel=&errorClass=)
+ */
+app.get('/dead-letters', (req, res) => {
+    const { domainLabel, errorClass } = req.query;
+    let deadLetters = Object.values(engine.deadLetters);
+
+    if (domainLabel) {
+        deadLetters = deadLetters.filter(d => d.domainLabel === domainLabel);
+    }
+    if (errorClass) {
+        deadLetters = deadLetters.filter(d => d.errorClass === errorClass);
+    }
+
+    res.json(deadLetters.map(({ history, ...summary }) => summary));
+});
+
+/**
+ * @api {get} /dead-letters/:taskId Dead-Letter Details (full failure history)
+ */
+app.get('/dead-letters/:taskId', (req, res) => {
+    const deadLetter = engine.deadLetters[req.params.taskId];
+    if (!deadLetter) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.json(deadLetter);
+});
+
+/**
+ * @api {post} /dead-letters/:taskId/replay Dead Task Replay ({ edits? }; keeps the task's ID and links)
+ */
+app.post('/dead-letters/:taskId/replay', (req, res) => {
+    if (!engine.deadLetters[req.params.taskId]) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    try {
+        const revivedTaskIds = engine.replayDeadLetter(req.params.taskId, req.body?.edits ?? {});
+        res.json({ taskId: req.params.taskId, revivedTaskIds, message: 'Task replayed successfully' });
     } catch (error) {
         res.status(400).json({ error: error.message });
     }
@@ -49,6 +337,10 @@ app.post('/tasks', (req, res) => {
  * @api {post} /agents Agent Registration
  */
 app.post('/agents', (req, res) => {
+    const endpoint = req.body?.apiEndpoint;
+    if (LOCAL_SCHEMES.includes(engine.transports.getScheme(endpoint)) && !LOCAL_AGENT_ENDPOINTS.includes(endpoint)) {
+        return res.status(403).json({ error: `Endpoint "${endpoint}" runs on the server and is not in LOC_LOCAL_AGENT_ENDPOINTS` });
+    }
     try {
         const agentId = engine.registerAgent(req.body);
         res.status(201).json({ agentId, message: 'Agent registered successfully' });
@@ -57,11 +349,131 @@ app.post('/agents', (req, res) => {
     }
 });
 
+/**
+ * @api {get} /agents Agent Listing
+ */
+app.get('/agents', (req, res) => {
+    const { status, domainLabel } = req.query;
+    let agents = Object.values(engine.agents);
+
+    if (status) {
+        agents = agents.filter(a => a.status === status);
+    }
+    if (domainLabel) {
+        agents = agents.filter(a => a.domainLabels.includes(domainLabel));
+    }
+    res.json(agents);
+});
+
+/**
+ * @api {get} /agents/:id Agent Details
+ */
+app.get('/agents/:id', (req, res) => {
+    const agent = engine.agents[req.params.id];
+    if (!agent) {
+        return res.status(404).json({ error: 'Agent not found' });
+    }
+    res.json(agent);
+});
+
+/**
+ * @api {delete} /agents/:id Agent Removal (tasks it holds are requeued)
+ */
+app.delete('/agents/:id', (req, res) => {
+    if (!engine.agents[req.params.id]) {
+        return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const requeuedTaskIds = engine.removeAgent(req.params.id);
+    res.json({ agentId: req.params.id, requeuedTaskIds, message: 'Agent removed successfully' });
+});
+
+/**
+ * @api {post} /agents/:id/heartbeat Agent Liveness Heartbeat
+ */
+app.post('/agents/:id/heartbeat', (req, res) => {
+    if (!engine.agents[req.params.id]) {
+        return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const heartbeat = engine.recordHeartbeat(req.params.id, req.body || {});
+    res.json(heartbeat);
+});
+
+/**
+ * @api {post} /agents/:id/lease Pull-Based Work Leasing
+ */
+app.post('/agents/:id/lease', (req, res) => {
+    if (!engine.agents[req.params.id]) {
+        return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    try {
+        const lease = engine.leaseTask(req.params.id, { durationMs: req.body?.durationMs });
+        if (!lease) {
+            return res.status(204).end();
+        }
+        res.json(lease);
+    } catch (error) {
+        res.status(409).json({ error: error.message });
+    }
+});
+
+/**
+ * @api {post} /tasks/:id/lease/renew Lease Renewal
+ */
+app.post('/tasks/:id/lease/renew', (req, res) => {
+    if (!engine.taskQueue.find(t => t.id === req.params.id)) {
+        return res.status(404).json({ error: 'Task not found' });
+    }
+
+    try {
+        res.json(engine.renewLease(req.params.id, req.body?.leaseId, req.body?.durationMs));
+    } catch (error) {
+        res.status(409).json({ error: error.message });
+    }
+});
+
+/**
+ * @api {post} /tasks/:id/result Leased Task Completion
+ */
+app.post('/tasks/:id/result', (req, res) => {
+    if (!engine.taskQueue.find(t => t.id === req.params.id)) {
+        return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const { leaseId, ...result } = req.body || {};
+    try {
+        engine.completeLease(req.params.id, leaseId, result);
+        const task = engine.taskQueue.find(t => t.id === req.params.id);
+        res.json({ taskId: req.params.id, status: task.status, message: 'Result accepted' });
+    } catch (error) {
+        res.status(error.code === 'MALFORMED_RESPONSE' ? 400 : 409).json({ error: error.message });
+    }
+});
+
+/**
+ * @api {post} /tasks/:id/fail Leased Task Failure Report
+ */
+app.post('/tasks/:id/fail', (req, res) => {
+    if (!engine.taskQueue.find(t => t.id === req.params.id)) {
+        return res.status(404).json({ error: 'Task not found' });
+    }
+
+    try {
+        engine.failLease(req.params.id, req.body?.leaseId, req.body?.error);
+        const task = engine.taskQueue.find(t => t.id === req.params.id);
+        res.json({ taskId: req.params.id, status: task.status, message: 'Failure recorded' });
+    } catch (error) {
+        res.status(409).json({ error: error.message });
+    }
+});
+
 /**
  * @api {get} /tasks Workflow Querying (All tasks)
  */
 app.get('/tasks', (req, res) => {
-    const { status, domainLabel } = req.query;
+    const { status, domainLabel, scheduleId, slaStatus } = req.query;
     let filteredTasks = engine.taskQueue;
 
     if (status) {
@@ -70,6 +482,12 @@ app.get('/tasks', (req, res) => {
     if (domainLabel) {
         filteredTasks = filteredTasks.filter(t => t.domainLabel === domainLabel);
     }
+    if (scheduleId) {
+        filteredTasks = filteredTasks.filter(t => t.scheduleId === scheduleId);
+    }
+    if (slaStatus) {
+        filteredTasks = filteredTasks.filter(t => t.slaStatus === slaStatus);
+    }
 
     res.json(filteredTasks.map(t => ({
         id: t.id,
@@ -78,8 +496,11 @@ app.get('/tasks', (req, res) => {
         domainLabel: t.domainLabel,
         assignedTo: t.assignedTo,
         predictedImpact: t.predictedImpact,
+        deadline: t.deadline || null,
+        slaStatus: t.slaStatus || null,
+        deadLettered: !!engine.deadLetters[t.id],
         progress: t.subtasks.length > 0
-            ? `${t.subtasks.filter(sid => engine.taskOutputs[sid]).length}/${t.subtasks.length}`
+            ? `${t.subtasks.filter(sid => engine.taskOutputs[sid] || engine.taskQueue.find(s => s.id === sid)?.status === 'skipped').length}/${t.subtasks.length}`
             : (t.status === 'completed' ? '1/1' : '0/1')
     })));
 });
@@ -95,13 +516,230 @@ app.get('/tasks/:id', (req, res) => {
 
     // Include results if available
     const output = engine.taskOutputs[req.params.id];
+    const predictedCompletionAt = engine.predictCompletion(task);
 
     res.json({
         ...task,
+        predictedCompletionAt: predictedCompletionAt === null ? null : new Date(predictedCompletionAt).toISOString(),
         output: output || null
     });
 });
 
+/**
+ * @api {get} /tasks/:id/history Task Lifecycle History (domain events, oldest first)
+ */
+app.get('/tasks/:id/history', (req, res) => {
+    const events = engine.getTaskHistory(req.params.id);
+    if (events.length === 0 && !engine.taskQueue.some(t => t.id === req.params.id)) {
+        return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json({ taskId: req.params.id, events });
+});
+
+/**
+ * @api {patch} /tasks/:id/priority Task Priority Update ({ priority })
+ */
+app.patch('/tasks/:id/priority', (req, res) => {
+    const task = engine.taskQueue.find(t => t.id === req.params.id);
+    if (!task) {
+        return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const { priority } = req.body || {};
+    if (typeof priority !== 'number') {
+        return res.status(400).json({ error: 'Missing or invalid "priority": must be a number.' });
+    }
+
+    engine.updateTaskPriority(task.id, priority);
+    res.json({ taskId: task.id, priority: task.priority, message: 'Task priority updated successfully' });
+});
+
+/**
+ * @api {post} /tasks/:id/dependencies Dependency Addition ({ dependencyId })
+ */
+app.post('/tasks/:id/dependencies', (req, res) => {
+    const task = engine.taskQueue.find(t => t.id === req.params.id);
+    if (!task) {
+        return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const { dependencyId } = req.body || {};
+    if (!dependencyId || typeof dependencyId !== 'string') {
+        return res.status(400).json({ error: 'Missing or invalid "dependencyId": must be a task ID.' });
+    }
+    if (dependencyId === task.id) {
+        return res.status(400).json({ error: 'A task cannot depend on itself.' });
+    }
+    if (!engine.taskQueue.some(t => t.id === dependencyId)) {
+        return res.status(404).json({ error: 'Dependency task not found' });
+    }
+    if (engine.wouldCreateCycle(task.id, dependencyId)) {
+        return res.status(409).json({ error: `Adding ${dependencyId} would create a dependency cycle.` });
+    }
+
+    engine.addTaskDependency(task.id, dependencyId);
+    res.status(201).json({ taskId: task.id, dependencies: task.dependencies, message: 'Dependency added successfully' });
+});
+
+/**
+ * @api {post} /tasks/:id/decompose Task Decomposition ({ subtasks: [taskSpec, ...], failurePolicy, aggregationStrategy })
+ */
+app.post('/tasks/:id/decompose', (req, res) => {
+    const task = engine.taskQueue.find(t => t.id === req.params.id);
+    if (!task) {
+        return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const { subtasks, failurePolicy, aggregationStrategy } = req.body || {};
+    if (!Array.isArray(subtasks) || subtasks.length === 0) {
+        return res.status(400).json({ error: 'Missing or invalid "subtasks": must be a non-empty array of task specifications.' });
+    }
+    const errors = validateSubtaskSpecs(subtasks);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: `Invalid Subtasks: ${errors.join(' ')}` });
+    }
+    if (!['pending', 'waiting_for_subtasks'].includes(task.status)) {
+        return res.status(409).json({ error: `Task ${task.id} is ${task.status} and cannot be decomposed.` });
+    }
+
+    try {
+        const subtaskIds = engine.decomposeTask(task.id, subtasks, { failurePolicy, aggregationStrategy });
+        res.status(201).json({ taskId: task.id, subtaskIds, message: 'Task decomposed successfully' });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * @api {post} /tasks/:id/merge Subtask Merge ({ subtaskIds: [...], subtask: taskSpec })
+ */
+app.post('/tasks/:id/merge', (req, res) => {
+    const task = engine.taskQueue.find(t => t.id === req.params.id);
+    if (!task) {
+        return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const { subtaskIds, subtask } = req.body || {};
+    if (!Array.isArray(subtaskIds) || subtaskIds.length === 0) {
+        return res.status(400).json({ error: 'Missing or invalid "subtaskIds": must be a non-empty array of subtask IDs.' });
+    }
+    const errors = validateSubtaskSpecs([subtask]);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: `Invalid Subtask: ${errors.join(' ')}` });
+    }
+    const unmergeable = subtaskIds.filter(id => {
+        const candidate = engine.taskQueue.find(t => t.id === id);
+        return !candidate || candidate.parentTaskId !== task.id || candidate.status !== 'pending';
+    });
+    if (unmergeable.length > 0) {
+        return res.status(409).json({ error: `Only pending subtasks of ${task.id} can be merged: ${unmergeable.join(', ')}` });
+    }
+
+    const mergedTaskId = engine.mergeSubtasks(task.id, subtaskIds, subtask);
+    res.status(201).json({ taskId: task.id, mergedTaskId, message: 'Subtasks merged successfully' });
+});
+
+/**
+ * @api {post} /tasks/:id/collaborate Agent Collaboration ({ agentId, action, payload })
+ */
+app.post('/tasks/:id/collaborate', async (req, res) => {
+    if (!engine.taskQueue.find(t => t.id === req.params.id)) {
+        return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const { agentId, action, payload = {} } = req.body || {};
+    if (!COLLABORATION_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `Invalid "action": must be one of ${COLLABORATION_ACTIONS.join(', ')}.` });
+    }
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return res.status(400).json({ error: 'Invalid "payload": must be an object.' });
+    }
+    if (!engine.agents[agentId]) {
+        return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    try {
+        const result = await engine.collaborate(req.params.id, agentId, action, payload);
+        res.json({ taskId: req.params.id, action, result });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * Shared handler of the approve and reject routes.
+ */
+const decideApproval = (req, res, decision) => {
+    if (!engine.taskQueue.find(t => t.id === req.params.id)) {
+        return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const { approver, comment } = req.body || {};
+    if (!approver || typeof approver !== 'string') {
+        return res.status(400).json({ error: 'Missing or invalid "approver": must be a string identifying who decided.' });
+    }
+
+    try {
+        if (decision === 'approve') {
+            engine.approveTask(req.params.id, { approver, comment });
+        } else {
+            engine.rejectTask(req.params.id, { approver, comment });
+        }
+        const task = engine.taskQueue.find(t => t.id === req.params.id);
+        res.json({ taskId: req.params.id, status: task.status, approval: task.approvalDecision });
+    } catch (error) {
+        res.status(409).json({ error: error.message });
+    }
+};
+
+/**
+ * @api {post} /tasks/:id/approve Approval Gate Sign-Off ({ approver, comment? })
+ */
+app.post('/tasks/:id/approve', (req, res) => decideApproval(req, res, 'approve'));
+
+/**
+ * @api {post} /tasks/:id/reject Approval Gate Rejection ({ approver, comment? }; fails the task)
+ */
+app.post('/tasks/:id/reject', (req, res) => decideApproval(req, res, 'reject'));
+
+/**
+ * @api {delete} /tasks/:id Task Cancellation (cascades to subtasks and dependents)
+ */
+app.delete('/tasks/:id', (req, res) => {
+    const task = engine.taskQueue.find(t => t.id === req.params.id);
+    if (!task) {
+        return res.status(404).json({ error: 'Task not found' });
+    }
+
+    try {
+        const reason = req.body?.reason || req.query.reason || 'Cancelled via API';
+        const cancelledTaskIds = engine.cancelTask(req.params.id, reason);
+        res.json({ taskId: req.params.id, cancelledTaskIds, message: 'Task cancelled successfully' });
+    } catch (error) {
+        res.status(409).json({ error: error.message });
+    }
+});
+
+/**
+ * @api {post} /resources Resource Registration ({ id, type, capacity? })
+ */
+app.post('/resources', (req, res) => {
+    const { id, type, capacity } = req.body || {};
+    try {
+        engine.registerResource(id, type, capacity);
+        res.status(201).json({ resourceId: id, message: 'Resource registered successfully' });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * @api {get} /resources Resource Listing (with current usage and locks)
+ */
+app.get('/resources', (req, res) => {
+    res.json(Object.values(engine.resources));
+});
+
 /**
  * @api {get} /outputs/:taskId Output Retrieval
  */
@@ -113,6 +751,167 @@ app.get('/outputs/:taskId', (req, res) => {
     res.json(output);
 });
 
+/**
+ * @api {get} /state Time-Travel State Inspection (?at=<ISO timestamp | epoch ms>, defaults to now; 410 before the event checkpoint)
+ */
+app.get('/state', (req, res) => {
+    const { at } = req.query;
+    const timestampMs = at === undefined ? Date.now() : (/^\d+$/.test(at) ? Number(at) : Date.parse(at));
+    if (Number.isNaN(timestampMs)) {
+        return res.status(400).json({ error: 'Invalid "at" timestamp; use an ISO 8601 date or epoch milliseconds' });
+    }
+
+    try {
+        res.json({
+            at: new Date(timestampMs).toISOString(),
+            ...engine.getStateAt(timestampMs)
+        });
+    } catch (error) {
+        res.status(410).json({ error: error.message });
+    }
+});
+
+/**
+ * @api {post} /webhooks Webhook Registration ({ url, events?, secret? }; the response includes the signing secret)
+ */
+app.post('/webhooks', (req, res) => {
+    try {
+        const subscription = engine.registerWebhook(req.body || {});
+        res.status(201).json({ ...subscription, message: 'Webhook registered successfully' });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * @api {get} /webhooks Webhook Listing (secrets omitted)
+ */
+app.get('/webhooks', (req, res) => {
+    res.json(Object.values(engine.webhooks.subscriptions).map(({ secret, ...subscription }) => subscription));
+});
+
+/**
+ * @api {get} /webhooks/callback-secret Signing Secret for Task Callback URLs (LOC_WEBHOOK_SECRET, or the one generated when it is unset)
+ */
+app.get('/webhooks/callback-secret', (req, res) => {
+    res.json({ secret: engine.webhooks.options.secret });
+});
+
+/**
+ * @api {get} /webhooks/deliveries Webhook Delivery Log (?webhookId=, ?taskId=, ?status=pending|delivered|failed)
+ */
+app.get('/webhooks/deliveries', (req, res) => {
+    const { webhookId, taskId, status } = req.query;
+    res.json(engine.webhooks.getDeliveries({ webhookId, taskId, status }));
+});
+
+/**
+ * @api {delete} /webhooks/:id Webhook Removal
+ */
+app.delete('/webhooks/:id', (req, res) => {
+    if (!engine.unregisterWebhook(req.params.id)) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ webhookId: req.params.id, message: 'Webhook removed successfully' });
+});
+
+/**
+ * True when a task is, or descends from, the given parent task.
+ * @param {string} taskId
+ * @param {string} parentTaskId
+ * @returns {boolean}
+ */
+const isWithinParent = (taskId, parentTaskId) => {
+    let current = engine.taskQueue.find(t => t.id === taskId);
+    while (current) {
+        if (current.id === parentTaskId) return true;
+        current = current.parentTaskId ? engine.taskQueue.find(t => t.id === current.parentTaskId) : null;
+    }
+    return false;
+};
+
+/**
+ * Applies the /events query filters to a domain event.
+ * Agent events only pass when no task filter is set; task and resource events are matched through their task.
+ * @param {Object} event
+ * @param {Object} filters { taskId, parentTaskId, domainLabel }
+ * @returns {boolean}
+ */
+const matchesEventFilters = (event, { taskId, parentTaskId, domainLabel }) => {
+    if (event.entity === 'agent') {
+        if (taskId || parentTaskId) return false;
+        if (!domainLabel) return true;
+        const agent = engine.agents[event.agentId] || event.data?.agent;
+        return !!agent && agent.domainLabels.includes(domainLabel);
+    }
+
+    const eventTaskId = event.entity === 'resource' ? event.data?.taskId : event.taskId;
+    const task = eventTaskId ? engine.taskQueue.find(t => t.id === eventTaskId) : null;
+    if (taskId && eventTaskId !== taskId) return false;
+    if (parentTaskId && event.parentTaskId !== parentTaskId && !(eventTaskId && isWithinParent(eventTaskId, parentTaskId))) return false;
+    if (domainLabel && (event.domainLabel || task?.domainLabel) !== domainLabel) return false;
+    return true;
+};
+
+/**
+ * @api {post} /events/token Short-Lived Event Stream Token (for clients that cannot send headers: GET /events?token=)
+ */
+app.post('/events/token', (req, res) => {
+    res.status(201).json(issueStreamToken());
+});
+
+/**
+ * @api {get} /events Live Event Stream (Server-Sent Events)
+ * Streams task, agent and resource transitions and meta-reflection strategy decisions.
+ * Filters: ?taskId=, ?parentTaskId= (any depth), ?domainLabel=. Resumes after the Last-Event-ID header (or ?lastEventId=);
+ * 410 when events after it have been compacted.
+ */
+app.get('/events', (req, res) => {
+    const filters = {
+        taskId: req.query.taskId,
+        parentTaskId: req.query.parentTaskId,
+        domainLabel: req.query.domainLabel
+    };
+    // An empty ID (a client that has seen no events yet) starts live
+    const lastEventId = req.headers['last-event-id'] ?? req.query.lastEventId ?? '';
+    if (lastEventId !== '' && !/^\d+$/.test(lastEventId)) {
+        return res.status(400).json({ error: 'Invalid Last-Event-ID: must be a non-negative integer event sequence number' });
+    }
+    // Events after the client's ID were compacted, so a replay would skip them: the client must refetch /state
+    const checkpoint = engine.eventStore.checkpoint;
+    if (lastEventId !== '' && checkpoint && Number(lastEventId) < checkpoint.seq) {
+        return res.status(410).json({
+            error: `Events up to ${checkpoint.seq} (${checkpoint.timestamp}) have been compacted; refetch /state and reconnect without Last-Event-ID`
+        });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = event => {
+        if (!matchesEventFilters(event, filters)) return;
+        res.write(`id: ${event.seq}\nevent: ${EngineEvents[event.type]}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Replay what the client missed before going live
+    if (lastEventId !== '') {
+        engine.eventStore.since(Number(lastEventId)).forEach(send);
+    }
+    engine.on('event', send);
+
+    // Comment lines keep proxies from closing an idle stream
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        engine.off('event', send);
+    });
+});
+
 /**
  * @api {get} /health Health Check & Summary
  */
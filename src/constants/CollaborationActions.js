@@ -0,0 +1,9 @@
+/**
+ * Actions agents can take through the collaboration protocol
+ */
+export const COLLABORATION_ACTIONS = [
+    'SHARE_RESULT',
+    'REQUEST_INPUT',
+    'SYNC_PROGRESS',
+    'REQUEST_REVIEW'
+];
@@ -0,0 +1,9 @@
+/**
+ * Kinds of task graph node. A 'task' is dispatched to an agent; 'switch' and 'map' nodes
+ * are expanded by the engine into subtasks once their dependencies complete.
+ */
+export const NODE_TYPES = [
+    'task',
+    'switch',
+    'map'
+];
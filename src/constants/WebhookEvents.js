@@ -0,0 +1,9 @@
+/**
+ * Events delivered to webhook subscribers and task callback URLs
+ */
+export const WEBHOOK_EVENTS = [
+    'task.completed',
+    'task.failed',
+    'task.cancelled',
+    'task.aggregated'
+];
@@ -0,0 +1,148 @@
+/**
+ * Built-in reducers that turn a parent's subtask outputs into one result.
+ * A reducer is (outputs, { parentTask, subtasks, collaboration }) => { resultData, confidenceScore?, aggregation? }.
+ * Outputs arrive in subtask order; fields the reducer leaves out are filled from the averaged subtask scores.
+ */
+export const AGGREGATION_STRATEGIES = {
+    // Text digest of every result plus collaborative contributions (default for plain parents)
+    concatenate: (outputs, { collaboration }) => {
+        let resultData = outputs.map(r => `[Agent ${r.agentId}]: ${r.resultData}`).join('\n---\n');
+
+        if (collaboration && Object.keys(collaboration.sharedResults).length > 0) {
+            resultData += '\n\n=== Collaborative Contributions ===\n';
+            for (const [taskId, res] of Object.entries(collaboration.sharedResults)) {
+                resultData += `[Task ${taskId} by Agent ${res.agentId}]: ${JSON.stringify(res.data)}\n`;
+            }
+        }
+        return { resultData };
+    },
+
+    // Array of results in subtask order (default for map nodes)
+    collect: outputs => ({ resultData: outputs.map(r => r.resultData) }),
+
+    // The first result as-is (default for switch nodes, which run a single branch)
+    passthrough: outputs => ({ resultData: outputs[0].resultData }),
+
+    // Deep merge of object results: nested objects merge, arrays concatenate, later scalars win
+    'json-merge': (outputs, { subtasks }) => {
+        let merged = {};
+        for (const output of outputs) {
+            if (!isPlainObject(output.resultData)) {
+                throw new Error(`json-merge needs object results; subtask ${subtaskLabel(output, subtasks)} returned ${describe(output.resultData)}`);
+            }
+            merged = mergeDeep(merged, output.resultData);
+        }
+        return { resultData: merged };
+    },
+
+    // Object of results keyed by subtask key (workflow node name), or task ID when there is none
+    keyed: (outputs, { subtasks }) => ({
+        resultData: Object.fromEntries(outputs.map(r => [subtaskLabel(r, subtasks), r.resultData]))
+    }),
+
+    // The most common result; ties go to the higher total confidence. Confidence is scaled by agreement.
+    'majority-vote': outputs => {
+        const [winner] = groupResults(outputs, () => 1);
+        const agreeing = winner.outputs;
+        return {
+            resultData: agreeing[0].resultData,
+            confidenceScore: round(average(agreeing, 'confidenceScore') * (agreeing.length / outputs.length)),
+            aggregation: { strategy: 'majority-vote', votes: agreeing.length, of: outputs.length }
+        };
+    },
+
+    // Identical results pool their confidence; the result with the highest total weight is selected
+    'confidence-weighted': outputs => {
+        const [winner] = groupResults(outputs, r => r.confidenceScore || 0);
+        const totalWeight = outputs.reduce((acc, r) => acc + (r.confidenceScore || 0), 0);
+        return {
+            resultData: winner.outputs[0].resultData,
+            confidenceScore: round(average(winner.outputs, 'confidenceScore')),
+            aggregation: { strategy: 'confidence-weighted', weight: round(winner.weight), totalWeight: round(totalWeight) }
+        };
+    }
+};
+
+/**
+ * Checks the shape of an aggregationStrategy field. Whether the name is registered
+ * depends on the engine instance (custom reducers are in-process), so that is checked there.
+ * @param {*} name
+ * @returns {string[]} Errors, empty when the field is absent or well formed
+ */
+export function validateAggregationStrategy(name) {
+    if (name === undefined) return [];
+    if (typeof name !== 'string' || name.trim() === '') {
+        return ['Invalid "aggregationStrategy": must be the name of a registered strategy.'];
+    }
+    return [];
+}
+
+/**
+ * Averages the scores of subtask outputs and sums their execution time.
+ * @param {Object[]} outputs
+ * @returns {Object} { confidenceScore, predictedImpact, actualImpact, executionTime }
+ */
+export function averageScores(outputs) {
+    return {
+        confidenceScore: round(average(outputs, 'confidenceScore')),
+        predictedImpact: parseFloat(average(outputs, 'predictedImpact').toFixed(1)),
+        actualImpact: parseFloat(average(outputs, 'actualImpact').toFixed(1)),
+        executionTime: outputs.reduce((acc, r) => acc + (r.executionTime || 0), 0)
+    };
+}
+
+/**
+ * Groups identical results, heaviest group first.
+ * Ties are broken by total confidence, then by the earliest result.
+ * @param {Object[]} outputs
+ * @param {Function} weigh (output) => number
+ * @returns {Object[]} [{ outputs, weight, confidence }]
+ */
+export function groupResults(outputs, weigh) {
+    const groups = new Map();
+    for (const output of outputs) {
+        const signature = JSON.stringify(output.resultData) ?? 'undefined';
+        const group = groups.get(signature) || { outputs: [], weight: 0, confidence: 0 };
+        group.outputs.push(output);
+        group.weight += weigh(output);
+        group.confidence += output.confidenceScore || 0;
+        groups.set(signature, group);
+    }
+    // Array.prototype.sort is stable, so equal groups keep the order of their first result
+    return [...groups.values()].sort((a, b) => (b.weight - a.weight) || (b.confidence - a.confidence));
+}
+
+function mergeDeep(target, source) {
+    const merged = { ...target };
+    for (const [key, value] of Object.entries(source)) {
+        if (isPlainObject(value) && isPlainObject(merged[key])) {
+            merged[key] = mergeDeep(merged[key], value);
+        } else if (Array.isArray(value) && Array.isArray(merged[key])) {
+            merged[key] = [...merged[key], ...value];
+        } else {
+            merged[key] = value;
+        }
+    }
+    return merged;
+}
+
+function subtaskLabel(output, subtasks) {
+    return subtasks.find(s => s.id === output.taskId)?.key || output.taskId;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+    if (value === null || value === undefined) return String(value);
+    return Array.isArray(value) ? 'an array' : `a ${typeof value}`;
+}
+
+function average(outputs, field) {
+    return outputs.length > 0 ? outputs.reduce((acc, r) => acc + (r[field] || 0), 0) / outputs.length : 0;
+}
+
+function round(value) {
+    return parseFloat(value.toFixed(2));
+}
@@ -0,0 +1,51 @@
+/**
+ * Where a task waits for a person to sign off:
+ * - start: before it is dispatched, once its dependencies are met (default)
+ * - output: after it produces a result, which is only released to dependents and its parent once approved
+ */
+export const APPROVAL_GATES = ['start', 'output'];
+
+/**
+ * Fills in the defaults of an approval specification (`approval: true` or { gate, expiresInMs }).
+ * @param {boolean|Object} approval
+ * @returns {Object} { gate, expiresInMs }
+ */
+export function normalizeApproval(approval) {
+    return {
+        gate: 'start',
+        expiresInMs: null,
+        ...(approval === true ? {} : approval)
+    };
+}
+
+/**
+ * Validates an approval specification.
+ * @param {boolean|Object} approval
+ * @returns {string[]} Errors, empty when the specification is valid or absent
+ */
+export function validateApproval(approval) {
+    if (approval === undefined || typeof approval === 'boolean') return [];
+    if (!approval || typeof approval !== 'object' || Array.isArray(approval)) {
+        return ['Invalid "approval": must be true or an object such as { "gate": "output", "expiresInMs": 3600000 }.'];
+    }
+
+    const errors = [];
+    const { gate, expiresInMs } = normalizeApproval(approval);
+    if (!APPROVAL_GATES.includes(gate)) {
+        errors.push(`Invalid "approval": "gate" must be one of: ${APPROVAL_GATES.join(', ')}.`);
+    }
+    if (expiresInMs !== null && (typeof expiresInMs !== 'number' || expiresInMs <= 0)) {
+        errors.push('Invalid "approval": "expiresInMs" must be a positive number of milliseconds.');
+    }
+    return errors;
+}
+
+/**
+ * True when the task has an approval gate of the given kind that has not been decided yet.
+ * @param {Object} task
+ * @param {string} gate 'start' | 'output'
+ * @returns {boolean}
+ */
+export function awaitsApproval(task, gate) {
+    return !!task.approval && !task.approvalDecision && normalizeApproval(task.approval).gate === gate;
+}
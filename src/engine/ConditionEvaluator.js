@@ -0,0 +1,73 @@
+import { parseBinding, resolveInputs } from './InputResolver.js';
+
+const OPERATORS = {
+    '==': (actual, expected) => actual === expected,
+    '!=': (actual, expected) => actual !== expected,
+    '>': (actual, expected) => actual > expected,
+    '>=': (actual, expected) => actual >= expected,
+    '<': (actual, expected) => actual < expected,
+    '<=': (actual, expected) => actual <= expected,
+    'in': (actual, expected) => Array.isArray(expected) && expected.includes(actual)
+};
+
+export const CONDITION_OPERATORS = Object.keys(OPERATORS);
+
+/**
+ * Validates a `when` clause: one condition or an array of conditions that must all hold,
+ * each shaped { input: "$deps.<task>.<field>", op, value }.
+ * @param {Object|Array<Object>} when
+ * @param {string[]} dependencyRefs Task IDs and node names the task depends on
+ * @returns {string[]} Errors, empty when the clause is valid
+ */
+export function validateConditions(when, dependencyRefs = []) {
+    const errors = [];
+    const conditions = Array.isArray(when) ? when : [when];
+
+    if (conditions.length === 0) {
+        errors.push('Invalid "when": must contain at least one condition.');
+    }
+
+    conditions.forEach((condition, i) => {
+        const label = Array.isArray(when) ? `Condition ${i}` : 'Condition';
+        if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+            errors.push(`${label}: must be an object such as { "input": "$deps.<task>.<field>", "op": ">", "value": 0.8 }.`);
+            return;
+        }
+
+        const binding = parseBinding(condition.input);
+        if (!binding || !binding.ref || binding.path.some(segment => !segment)) {
+            errors.push(`${label}: "input" must be a "$deps.<task>.<field>" binding.`);
+        } else if (!dependencyRefs.includes(binding.ref)) {
+            errors.push(`${label}: "${binding.ref}" is not a dependency of this task.`);
+        }
+
+        if (!CONDITION_OPERATORS.includes(condition.op)) {
+            errors.push(`${label}: invalid "op" "${condition.op}". Valid operators are: ${CONDITION_OPERATORS.join(', ')}.`);
+        } else if (condition.op === 'in' && !Array.isArray(condition.value)) {
+            errors.push(`${label}: "value" must be an array for the "in" operator.`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Evaluates a `when` clause against the outputs of completed dependencies.
+ * @param {Object|Array<Object>} when
+ * @param {Function} lookupOutput (ref) => the dependency's output, null if it was skipped, undefined if it has none
+ * @returns {Object} { passed: boolean, errors: string[] } errors are set when a condition's input cannot be resolved
+ */
+export function evaluateConditions(when, lookupOutput) {
+    const conditions = Array.isArray(when) ? when : [when];
+    const bindings = Object.fromEntries(conditions.map((condition, i) => [`when[${i}]`, condition.input]));
+    const { inputs, errors } = resolveInputs(bindings, lookupOutput);
+
+    if (errors.length > 0) {
+        return { passed: false, errors };
+    }
+
+    return {
+        passed: conditions.every((condition, i) => OPERATORS[condition.op](inputs[`when[${i}]`], condition.value)),
+        errors
+    };
+}
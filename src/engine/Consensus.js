@@ -0,0 +1,85 @@
+import { groupResults } from './AggregationStrategies.js';
+
+/**
+ * What happens when replicas do not agree:
+ * - retry: run a new round on agents that have not taken part yet, escalating once maxRounds is reached (default)
+ * - escalate: fail the task at once and raise a TaskEscalated event for an operator to resolve
+ */
+export const DISAGREEMENT_ACTIONS = ['retry', 'escalate'];
+
+/**
+ * Fills in the defaults of a redundancy specification.
+ * @param {Object} redundancy { replicas, agreement, onDisagreement, maxRounds }
+ * @returns {Object}
+ */
+export function normalizeRedundancy(redundancy) {
+    return {
+        agreement: 'majority',
+        onDisagreement: 'retry',
+        maxRounds: 2,
+        ...redundancy
+    };
+}
+
+/**
+ * Validates a redundancy specification.
+ * @param {Object} redundancy { replicas: number >= 2, agreement: 'majority' | 'unanimous' | number, onDisagreement, maxRounds }
+ * @returns {string[]} Errors, empty when the specification is valid or absent
+ */
+export function validateRedundancy(redundancy) {
+    if (redundancy === undefined) return [];
+    if (!redundancy || typeof redundancy !== 'object' || Array.isArray(redundancy)) {
+        return ['Invalid "redundancy": must be an object such as { "replicas": 3, "agreement": "majority" }.'];
+    }
+
+    const errors = [];
+    const { replicas, agreement, onDisagreement, maxRounds } = normalizeRedundancy(redundancy);
+    if (!Number.isInteger(replicas) || replicas < 2) {
+        errors.push('Invalid "redundancy": "replicas" must be an integer of at least 2.');
+    }
+    if (agreement !== 'majority' && agreement !== 'unanimous'
+        && (!Number.isInteger(agreement) || agreement < 1 || (Number.isInteger(replicas) && agreement > replicas))) {
+        errors.push('Invalid "redundancy": "agreement" must be "majority", "unanimous" or a number of replicas no greater than "replicas".');
+    }
+    if (!DISAGREEMENT_ACTIONS.includes(onDisagreement)) {
+        errors.push(`Invalid "redundancy": "onDisagreement" must be one of: ${DISAGREEMENT_ACTIONS.join(', ')}.`);
+    }
+    if (!Number.isInteger(maxRounds) || maxRounds < 1) {
+        errors.push('Invalid "redundancy": "maxRounds" must be a positive integer.');
+    }
+    return errors;
+}
+
+/**
+ * Number of replicas that must return the same result.
+ * @param {Object} redundancy Normalized specification
+ * @returns {number}
+ */
+export function requiredAgreement({ replicas, agreement }) {
+    if (agreement === 'majority') return Math.floor(replicas / 2) + 1;
+    if (agreement === 'unanimous') return replicas;
+    return agreement;
+}
+
+/**
+ * Compares the outputs of one round of replicas. Replicas that failed do not vote,
+ * so they count against agreement without being outliers.
+ * @param {Object} redundancy
+ * @param {Object[]} outputs Outputs of the round's completed replicas
+ * @returns {Object} { reached: boolean, required: number, agreeing: Object[], outliers: Object[] }
+ */
+export function evaluateConsensus(redundancy, outputs) {
+    const normalized = normalizeRedundancy(redundancy);
+    const required = requiredAgreement(normalized);
+    if (outputs.length === 0) {
+        return { reached: false, required, agreeing: [], outliers: [] };
+    }
+
+    const [largest] = groupResults(outputs, () => 1);
+    return {
+        reached: largest.outputs.length >= required,
+        required,
+        agreeing: largest.outputs,
+        outliers: outputs.filter(output => !largest.outputs.includes(output))
+    };
+}
@@ -1,15 +1,95 @@
+import { EventEmitter } from 'events';
 import logger from '../logger/Logger.js';
 import { v4 as uuidv4 } from 'uuid';
 import { validateTask } from './TaskValidator.js';
 import { validateAgent } from './AgentValidator.js';
+import { validateResource } from './ResourceValidator.js';
+import { validateWorkflow } from './WorkflowValidator.js';
+import { validateTemplate } from './TemplateValidator.js';
+import { instantiateTemplate } from './WorkflowTemplate.js';
+import { findCycles } from './DependencyGraph.js';
+import { resolveInputs } from './InputResolver.js';
+import { evaluateConditions } from './ConditionEvaluator.js';
+import { validateFailurePolicy, evaluateFailurePolicy } from './FailurePolicy.js';
+import { AGGREGATION_STRATEGIES, validateAggregationStrategy, averageScores } from './AggregationStrategies.js';
+import { normalizeRedundancy, evaluateConsensus } from './Consensus.js';
+import { normalizeReview, readVerdict } from './PeerReview.js';
+import { normalizeApproval, awaitsApproval } from './ApprovalGate.js';
+import { resolveRetryPolicy, validateRetryPolicy, validateRetryPolicyDomain, classifyError, isRetryable, retryDelay } from './RetryPolicy.js';
+import { buildDeadLetter, validateReplayEdits } from './DeadLetters.js';
+import { nextRunAfter } from './CronSchedule.js';
+import { resolveDeadline, compareForDispatch } from './Deadlines.js';
 import MetaReflectionModule from './MetaReflectionModule.js';
+import TransportRegistry from '../transport/TransportRegistry.js';
+import HttpTransport from '../transport/HttpTransport.js';
+import StdioTransport from '../transport/StdioTransport.js';
+import FunctionTransport from '../transport/FunctionTransport.js';
+import SimulatedTransport from '../transport/SimulatedTransport.js';
+import { TransportError } from '../transport/TransportError.js';
+import { buildTaskPayload, parseAgentResult } from '../transport/AgentProtocol.js';
+import StateStore from '../persistence/StateStore.js';
+import EventStore from '../events/EventStore.js';
+import { DomainEventTypes, EngineEvents, captureTaskState } from '../events/DomainEvents.js';
+import WebhookDispatcher from '../webhooks/WebhookDispatcher.js';
+import path from 'path';
+
+/**
+ * Interception points registered with engine.hook(name, fn).
+ * Hooks run in registration order; a hook that returns a value replaces context.result for the hooks after it.
+ */
+export const EngineHooks = Object.freeze({
+    // (context: { agent, task, signal }) => result | undefined. Returning a result skips the transport.
+    BEFORE_DISPATCH: 'beforeDispatch',
+    // (context: { agent, task, result, error, latencyMs }) => result | undefined. Returning a result also recovers a failed dispatch.
+    AFTER_DISPATCH: 'afterDispatch',
+    // (context: { parentTask, subtasks, outputs, dropped }) => result | undefined. Synchronous; returning a result replaces the aggregation strategy.
+    BEFORE_AGGREGATION: 'beforeAggregation',
+    // (context: { parentTask, subtasks, outputs, dropped, result }) => result | undefined. Synchronous.
+    AFTER_AGGREGATION: 'afterAggregation'
+});
 
 /**
  * Lightweight Orchestration Core (LOC) Engine
  * Manages agents, tasks, and workflow monitoring.
+ * Emits every domain event under its EngineEvents name (e.g. 'task:completed') and under 'event'.
  */
-class CoreEngine {
-    constructor() {
+class CoreEngine extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.transport Force every dispatch through one transport scheme (e.g. 'simulated'); defaults to the agent's endpoint scheme
+     * @param {number} options.dispatchTimeoutMs Default execution timeout for tasks that do not set timeoutMs
+     * @param {number} options.leaseDurationMs Default lifetime of a work lease taken by a pull-mode agent
+     * @param {string} options.dataDir Directory for durable state; persistence is disabled when omitted
+     * @param {number} options.snapshotIntervalMs Interval between full state snapshots while the loop runs
+     * @param {number} options.eventRetentionMs Age after which domain events are compacted into the event checkpoint at the next snapshot
+     * @param {number} options.deadlineUrgencyMs Slack (time to deadline minus predicted execution time) below which a task is dispatched ahead of higher-priority work
+     * @param {Object} options.heartbeat Grace periods for agents that send heartbeats
+     * @param {number} options.heartbeat.unhealthyAfterMs Silence after which an agent stops receiving new tasks
+     * @param {number} options.heartbeat.offlineAfterMs Silence after which an agent's tasks are requeued
+     * @param {Object} options.webhooks Webhook delivery settings (secret, allowedHosts, maxAttempts, retryDelayMs, timeoutMs)
+     */
+    constructor(options = {}) {
+        super();
+
+        /**
+         * Engine configuration
+         * @type {Object}
+         */
+        this.options = {
+            transport: options.transport || null,
+            dispatchTimeoutMs: options.dispatchTimeoutMs || 30000,
+            leaseDurationMs: options.leaseDurationMs || 60000,
+            dataDir: options.dataDir || null,
+            snapshotIntervalMs: options.snapshotIntervalMs || 30000,
+            eventRetentionMs: options.eventRetentionMs ?? 24 * 60 * 60 * 1000,
+            deadlineUrgencyMs: options.deadlineUrgencyMs ?? 300000,
+            heartbeat: {
+                unhealthyAfterMs: 15000,
+                offlineAfterMs: 60000,
+                ...options.heartbeat
+            }
+        };
+
         /**
          * Mapping of Agent IDs to Agent Metadata
          * @type {Object.<string, Object>}
@@ -46,20 +126,507 @@ class CoreEngine {
          */
         this.resources = {};
 
+        /**
+         * Registered workflow templates, keyed by name
+         * @type {Object.<string, Object>}
+         */
+        this.templates = {};
+
+        /**
+         * Reducers that combine subtask outputs into a parent's result, keyed by strategy name
+         * @type {Object.<string, Function>}
+         */
+        this.aggregationStrategies = { ...AGGREGATION_STRATEGIES };
+
+        /**
+         * Retry policies applied to every task of a domain, keyed by domain label.
+         * A task's own retryPolicy overrides its domain's field by field.
+         * @type {Object.<string, Object>}
+         */
+        this.retryPolicies = {};
+
+        /**
+         * Tasks that failed for good, with their failure history, keyed by task ID.
+         * The tasks stay in the queue so their parents and dependents still resolve; replayDeadLetter revives them.
+         * @type {Object.<string, Object>}
+         */
+        this.deadLetters = {};
+
+        /**
+         * Recurring task submissions, keyed by schedule ID
+         * @type {Object.<string, Object>}
+         */
+        this.schedules = {};
+
         /**
          * Reference to the execution loop timer
          */
         this.executionTimer = null;
 
+        /**
+         * Dispatches currently awaiting an agent response, keyed by task ID
+         * @type {Map.<string, Object>} { promise, controller, agentId, startedAt }
+         */
+        this.inFlight = new Map();
+
         /**
          * Meta-Reflection Module for performance tracking and strategy suggestions
          * @type {MetaReflectionModule}
          */
         this.metaReflection = new MetaReflectionModule(this);
 
+        /**
+         * Registered interception hooks, keyed by EngineHooks name
+         * @type {Object.<string, Function[]>}
+         */
+        this.hooks = Object.fromEntries(Object.values(EngineHooks).map(name => [name, []]));
+
+        /**
+         * Transports used to deliver tasks to agents, keyed by apiEndpoint scheme
+         * @type {TransportRegistry}
+         */
+        this.transports = new TransportRegistry();
+        const httpTransport = new HttpTransport();
+        this.transports.register('http', httpTransport);
+        this.transports.register('https', httpTransport);
+        this.transports.register('stdio', new StdioTransport());
+        this.transports.register('fn', new FunctionTransport());
+        this.transports.register('simulated', new SimulatedTransport());
+
+        /**
+         * Durable state store (null when persistence is disabled)
+         * @type {StateStore|null}
+         */
+        this.stateStore = this.options.dataDir ? new StateStore(this.options.dataDir) : null;
+
+        /**
+         * Domain event stream of every state transition (durable alongside the state store)
+         * @type {EventStore}
+         */
+        this.eventStore = new EventStore(this.options.dataDir ? path.join(this.options.dataDir, 'events.ndjson') : null);
+
+        /**
+         * Outbound notifications for finished tasks
+         * @type {WebhookDispatcher}
+         */
+        this.webhooks = new WebhookDispatcher(options.webhooks);
+        this.on('event', event => this.publishWebhook(event));
+
+        /**
+         * Engine-generated settings kept with the durable state, keyed by name
+         * @type {Object.<string, Object>} callbackSecret: { value, createdAt }
+         */
+        this.settings = {};
+
+        /**
+         * IDs of the records changed since the last journal flush, keyed by collection
+         * @type {Object.<string, Set<string>>}
+         */
+        this.dirtyRecords = {};
+
+        /**
+         * IDs of the records present in the journal or snapshot, keyed by collection
+         * @type {Object.<string, Set<string>>}
+         */
+        this.journaledIds = {};
+
+        /**
+         * Reference to the snapshot timer
+         */
+        this.snapshotTimer = null;
+
+        if (this.stateStore) {
+            this.restoreState();
+        }
+
+        // Without a configured secret, callbacks are signed with a generated one that survives restarts
+        if (!options.webhooks?.secret) {
+            if (this.settings.callbackSecret) {
+                this.webhooks.options.secret = this.settings.callbackSecret.value;
+            } else {
+                this.settings.callbackSecret = { value: this.webhooks.options.secret, createdAt: new Date().toISOString() };
+                this.markDirty('settings', 'callbackSecret');
+                this.flushJournal();
+            }
+        }
+
         logger.info('ENGINE_INIT', 'Core Engine initialized successfully');
     }
 
+    /**
+     * Collects the durable engine state as named collections of records keyed by ID.
+     * @returns {Object.<string, Object>}
+     */
+    collectState() {
+        return {
+            tasks: Object.fromEntries(this.taskQueue.map(t => [t.id, t])),
+            collaborationLogs: Object.fromEntries(this.collaborationLogs.map((entry, i) => [`log_${i}`, entry])),
+            ...this.keyedCollections()
+        };
+    }
+
+    /**
+     * The durable collections already held as objects keyed by ID.
+     * @returns {Object.<string, Object>}
+     */
+    keyedCollections() {
+        return {
+            outputs: this.taskOutputs,
+            agents: this.agents,
+            resources: this.resources,
+            collaborationSpace: this.collaborationSpace,
+            webhooks: this.webhooks.subscriptions,
+            templates: this.templates,
+            retryPolicies: this.retryPolicies,
+            deadLetters: this.deadLetters,
+            schedules: this.schedules,
+            settings: this.settings
+        };
+    }
+
+    /**
+     * Marks a record as changed so the next flush journals it. Domain events mark the task, agent
+     * or resource they concern; other changes must mark their record here.
+     * @param {string} collection One of the collectState collections
+     * @param {string} id 
+     */
+    markDirty(collection, id) {
+        if (!this.stateStore) return;
+        (this.dirtyRecords[collection] ||= new Set()).add(id);
+    }
+
+    /**
+     * Appends the records marked dirty since the last flush to the journal; a marked record
+     * that no longer exists is journaled as a deletion.
+     * Called at the end of each mutating operation and whenever a dispatch settles.
+     */
+    flushJournal() {
+        if (!this.stateStore) return;
+
+        const dirty = this.dirtyRecords;
+        this.dirtyRecords = {};
+        const tasks = dirty.tasks ? new Map(this.taskQueue.filter(t => dirty.tasks.has(t.id)).map(t => [t.id, t])) : new Map();
+        const keyed = this.keyedCollections();
+        const lookup = {
+            tasks: id => tasks.get(id),
+            collaborationLogs: id => this.collaborationLogs[Number(id.slice('log_'.length))]
+        };
+
+        const changes = [];
+        for (const [collection, ids] of Object.entries(dirty)) {
+            const journaled = this.journaledIds[collection] ||= new Set();
+            for (const id of ids) {
+                const record = lookup[collection] ? lookup[collection](id) : keyed[collection][id];
+                if (record !== undefined) {
+                    changes.push({ collection, id, data: record });
+                    journaled.add(id);
+                } else if (journaled.delete(id)) {
+                    changes.push({ collection, id, data: null });
+                }
+            }
+        }
+
+        try {
+            this.stateStore.append(changes);
+        } catch (error) {
+            logger.error('JOURNAL_WRITE_FAILED', 'Failed to append state changes to the journal', error, { changeCount: changes.length });
+        }
+    }
+
+    /**
+     * Writes a full snapshot of the engine state and truncates the journal, then compacts
+     * domain events older than eventRetentionMs into the event checkpoint.
+     */
+    snapshotState() {
+        if (this.stateStore) {
+            this.flushJournal();
+            try {
+                this.stateStore.writeSnapshot(this.collectState());
+                logger.info('STATE_SNAPSHOT', `Engine state snapshot written to ${this.options.dataDir}`, {
+                    tasks: this.taskQueue.length,
+                    agents: Object.keys(this.agents).length,
+                    seq: this.stateStore.seq
+                });
+            } catch (error) {
+                logger.error('STATE_SNAPSHOT_FAILED', 'Failed to write engine state snapshot', error);
+            }
+        }
+
+        try {
+            const compacted = this.eventStore.compact(Date.now() - this.options.eventRetentionMs);
+            if (compacted > 0) {
+                logger.info('EVENTS_COMPACTED', `Compacted ${compacted} domain events into the event checkpoint`, {
+                    compacted,
+                    checkpointSeq: this.eventStore.checkpoint.seq
+                });
+            }
+        } catch (error) {
+            logger.error('EVENT_COMPACTION_FAILED', 'Failed to compact domain events', error);
+        }
+    }
+
+    /**
+     * Restores state from the data directory. Work that was in flight when the
+     * previous process stopped is returned to the queue, since its outcome was lost.
+     */
+    restoreState() {
+        const loaded = this.stateStore.load();
+        if (!loaded) return;
+
+        const { collections, replayed } = loaded;
+
+        // Seed change tracking with the records as persisted
+        this.journaledIds = Object.fromEntries(Object.entries(collections).map(([collection, records]) => [collection, new Set(Object.keys(records))]));
+
+        this.taskQueue = Object.values(collections.tasks || {});
+        this.taskOutputs = collections.outputs || {};
+        this.agents = collections.agents || {};
+        this.resources = collections.resources || {};
+        this.collaborationSpace = collections.collaborationSpace || {};
+        this.collaborationLogs = Object.values(collections.collaborationLogs || {});
+        this.webhooks.subscriptions = collections.webhooks || {};
+        this.templates = collections.templates || {};
+        this.retryPolicies = collections.retryPolicies || {};
+        this.deadLetters = collections.deadLetters || {};
+        this.schedules = collections.schedules || {};
+        this.settings = collections.settings || {};
+
+        const recoveredAt = new Date().toISOString();
+        for (const task of this.taskQueue.filter(t => t.status === 'processing')) {
+            const previousAgent = task.assignedTo;
+            task.status = 'pending';
+            task.assignedTo = null;
+            task.lease = null;
+            task.recoveredAt = recoveredAt;
+            this.recordTaskEvent(DomainEventTypes.TASK_RECOVERED, task, { previousAgent });
+            logger.warn('TASK_RECOVERED', `Task ${task.id} was processing on ${previousAgent} when the engine stopped. Returned to queue.`, {
+                taskId: task.id,
+                previousAgent
+            });
+        }
+
+        // No task holds an agent or resource after reconciliation
+        for (const agent of Object.values(this.agents)) {
+            if (agent.status === 'busy') this.setAgentStatus(agent.id, 'idle', 'Recovered after restart');
+        }
+        for (const res of Object.values(this.resources)) {
+            if (res.currentUsage === 0 && !res.lockedBy) continue;
+            res.currentUsage = 0;
+            res.lockedBy = null;
+            this.recordResourceEvent(DomainEventTypes.RESOURCE_RELEASED, res, null);
+        }
+
+        this.sortQueue();
+
+        // Journal the reconciliation so it survives another restart
+        this.flushJournal();
+
+        logger.info('STATE_RESTORED', `Restored ${this.taskQueue.length} tasks and ${Object.keys(this.agents).length} agents from ${this.options.dataDir}`, {
+            tasks: this.taskQueue.length,
+            agents: Object.keys(this.agents).length,
+            journalEntriesReplayed: replayed
+        });
+    }
+
+    /**
+     * Appends a domain event to the stream and notifies subscribers.
+     * @param {string} type One of DomainEventTypes
+     * @param {Object} fields { entity, taskId, agentId, resourceId, changes, data }
+     * @returns {Object} The stored event
+     */
+    recordEvent(type, fields) {
+        const event = this.eventStore.append(type, fields);
+        if (event.taskId) {
+            this.markDirty('tasks', event.taskId);
+            this.markDirty('outputs', event.taskId);
+            this.markDirty('deadLetters', event.taskId);
+        }
+        if (event.agentId) this.markDirty('agents', event.agentId);
+        if (event.resourceId) this.markDirty('resources', event.resourceId);
+
+        // A failing subscriber must not interrupt the transition that triggered it
+        for (const name of [EngineEvents[type], 'event']) {
+            try {
+                this.emit(name, event);
+            } catch (error) {
+                logger.error('EVENT_LISTENER_FAILED', `Listener for ${name} threw`, error, { eventType: type, seq: event.seq });
+            }
+        }
+        return event;
+    }
+
+    /**
+     * Registers an interception hook.
+     * @param {string} name One of EngineHooks
+     * @param {Function} fn (context) => result | undefined
+     * @returns {Function} Unregisters the hook
+     */
+    hook(name, fn) {
+        if (!this.hooks[name]) {
+            throw new Error(`Unknown hook ${name}. Expected one of: ${Object.keys(this.hooks).join(', ')}`);
+        }
+        if (typeof fn !== 'function') {
+            throw new Error(`Hook ${name} must be a function`);
+        }
+
+        this.hooks[name].push(fn);
+        return () => {
+            this.hooks[name] = this.hooks[name].filter(h => h !== fn);
+        };
+    }
+
+    /**
+     * Runs the hooks registered under a name, threading context.result through them.
+     * @param {string} name 
+     * @param {Object} context 
+     * @returns {Promise<*>} The final context.result
+     */
+    async runHooks(name, context) {
+        for (const fn of this.hooks[name]) {
+            const value = await fn(context);
+            if (value !== undefined) context.result = value;
+        }
+        return context.result;
+    }
+
+    /**
+     * Synchronous variant of runHooks for hooks that run inside synchronous transitions.
+     * @param {string} name 
+     * @param {Object} context 
+     * @returns {*} The final context.result
+     */
+    runHooksSync(name, context) {
+        for (const fn of this.hooks[name]) {
+            const value = fn(context);
+            if (value !== undefined) context.result = value;
+        }
+        return context.result;
+    }
+
+    /**
+     * Records a task lifecycle event carrying the task's state after the transition.
+     * A final failure also records a dead-letter entry for the task.
+     * @param {string} type One of DomainEventTypes
+     * @param {Object} task 
+     * @param {Object} data Event-specific details
+     */
+    recordTaskEvent(type, task, data = {}) {
+        this.recordEvent(type, {
+            entity: 'task',
+            taskId: task.id,
+            domainLabel: task.domainLabel,
+            parentTaskId: task.parentTaskId || null,
+            changes: captureTaskState(task),
+            data
+        });
+        if (type === DomainEventTypes.TASK_FAILED) {
+            this.deadLetter(task);
+        }
+    }
+
+    /**
+     * Records a lock or release on a resource.
+     * @param {string} type DomainEventTypes.RESOURCE_LOCKED | DomainEventTypes.RESOURCE_RELEASED
+     * @param {Object} res 
+     * @param {string|null} taskId Task taking or giving up the resource
+     */
+    recordResourceEvent(type, res, taskId) {
+        this.recordEvent(type, {
+            entity: 'resource',
+            resourceId: res.id,
+            changes: { currentUsage: res.currentUsage, lockedBy: res.lockedBy },
+            data: { taskId }
+        });
+    }
+
+    /**
+     * Returns every domain event recorded for a task, oldest first.
+     * @param {string} taskId 
+     * @returns {Array<Object>}
+     */
+    getTaskHistory(taskId) {
+        return this.eventStore.forTask(taskId);
+    }
+
+    /**
+     * Rebuilds the engine state as it was at a point in time by replaying domain events.
+     * @param {number} timestampMs Epoch milliseconds
+     * @returns {Object} { tasks, agents, resources, outputs, lastEvent }
+     * @throws {Error} If the events before that moment have been compacted
+     */
+    getStateAt(timestampMs = Date.now()) {
+        return this.eventStore.stateAt(timestampMs);
+    }
+
+    /**
+     * Registers a webhook that is notified when tasks complete, fail, are cancelled or are aggregated.
+     * @param {Object} spec { url, events, secret }
+     * @returns {Object} The subscription, including its signing secret
+     */
+    registerWebhook(spec) {
+        const subscription = this.webhooks.register(spec);
+        logger.info('WEBHOOK_REGISTERED', `Webhook ${subscription.id} registered for ${subscription.url}`, {
+            webhookId: subscription.id,
+            events: subscription.events || 'all'
+        });
+        this.markDirty('webhooks', subscription.id);
+        this.flushJournal();
+        return subscription;
+    }
+
+    /**
+     * Removes a webhook subscription.
+     * @param {string} webhookId 
+     * @returns {boolean} False if no such webhook exists
+     */
+    unregisterWebhook(webhookId) {
+        const removed = this.webhooks.unregister(webhookId);
+        if (removed) {
+            logger.info('WEBHOOK_REMOVED', `Webhook ${webhookId} removed`, { webhookId });
+            this.markDirty('webhooks', webhookId);
+            this.flushJournal();
+        }
+        return removed;
+    }
+
+    /**
+     * Turns terminal task events into webhook notifications for subscribers and the task's callbackUrl.
+     * @param {Object} event Domain event
+     */
+    publishWebhook(event) {
+        let eventName;
+        switch (event.type) {
+            case DomainEventTypes.TASK_COMPLETED:
+                eventName = event.data.agentId === 'AGGREGATOR_SYSTEM' ? 'task.aggregated' : 'task.completed';
+                break;
+            case DomainEventTypes.TASK_FAILED:
+                eventName = 'task.failed';
+                break;
+            case DomainEventTypes.TASK_CANCELLED:
+                eventName = 'task.cancelled';
+                break;
+            default:
+                return;
+        }
+
+        const task = this.taskQueue.find(t => t.id === event.taskId);
+        if (!task) return;
+
+        this.webhooks.publish(eventName, {
+            task: {
+                id: task.id,
+                description: task.description,
+                domainLabel: task.domainLabel,
+                status: task.status,
+                parentTaskId: task.parentTaskId,
+                subtasks: task.subtasks,
+                retryCount: task.retryCount
+            },
+            output: this.taskOutputs[task.id] || null,
+            reason: event.data.reason || null
+        }, { taskId: task.id, callbackUrl: task.callbackUrl });
+    }
+
     /**
      * Starts the continuous execution loop
      * @param {number} intervalMs frequency of checking the queue
@@ -74,6 +641,10 @@ class CoreEngine {
         this.executionTimer = setInterval(() => {
             this.processQueue();
         }, intervalMs);
+
+        // Runs without a state store too, so the in-memory event stream is compacted
+        this.snapshotTimer = setInterval(() => this.snapshotState(), this.options.snapshotIntervalMs);
+        this.snapshotTimer.unref();
     }
 
     /**
@@ -85,6 +656,12 @@ class CoreEngine {
             this.executionTimer = null;
             logger.info('LOOP_STOPPED', 'Execution loop stopped');
         }
+
+        if (this.snapshotTimer) {
+            clearInterval(this.snapshotTimer);
+            this.snapshotTimer = null;
+            this.snapshotState();
+        }
     }
 
     /**
@@ -99,6 +676,14 @@ class CoreEngine {
             throw new Error(`Invalid Agent Registration: ${validation.errors.join(' ')}`);
         }
 
+        // pull:// agents have no reachable endpoint and fetch work through leases
+        const transport = this.transports.getScheme(metadata.apiEndpoint);
+        if (!this.options.transport && transport !== 'pull' && !this.transports.get(transport || '')) {
+            const error = `Unsupported "apiEndpoint" scheme: "${metadata.apiEndpoint}". Supported schemes: ${this.transports.schemes().join(', ')}.`;
+            logger.error('AGENT_REGISTRATION_FAILED', 'Agent validation failed', { errors: [error], metadata });
+            throw new Error(`Invalid Agent Registration: ${error}`);
+        }
+
         const agentId = metadata.id || `agent_${uuidv4().split('-')[0]}`;
 
         this.agents[agentId] = {
@@ -106,6 +691,7 @@ class CoreEngine {
             domainLabels: metadata.domainLabels,
             skillScores: metadata.skillScores,
             apiEndpoint: metadata.apiEndpoint,
+            transport,
             performanceData: {
                 tasksCompleted: metadata.performanceData.tasksCompleted || 0,
                 successRate: metadata.performanceData.successRate || 0,
@@ -114,6 +700,7 @@ class CoreEngine {
                 ...metadata.performanceData
             },
             status: 'idle',
+            lastHeartbeat: null, // Liveness is tracked once the agent sends its first heartbeat
             registeredAt: new Date().toISOString()
         };
 
@@ -121,19 +708,64 @@ class CoreEngine {
             agentId,
             domainLabels: this.agents[agentId].domainLabels,
             apiEndpoint: this.agents[agentId].apiEndpoint,
+            transport,
             skillScores: this.agents[agentId].skillScores
         });
 
+        this.recordEvent(DomainEventTypes.AGENT_REGISTERED, {
+            entity: 'agent',
+            agentId,
+            data: { agent: structuredClone(this.agents[agentId]) }
+        });
+        this.flushJournal();
         return agentId;
     }
 
+    /**
+     * Removes an agent. Tasks it is working on are aborted and returned to the queue.
+     * @param {string} agentId 
+     * @returns {string[]} IDs of the requeued tasks
+     */
+    removeAgent(agentId) {
+        if (!this.agents[agentId]) {
+            throw new Error(`Agent ${agentId} not found`);
+        }
+
+        const heldTasks = this.taskQueue.filter(t => t.status === 'processing' && t.assignedTo === agentId);
+        for (const task of heldTasks) {
+            const dispatch = this.inFlight.get(task.id);
+            if (dispatch) {
+                dispatch.controller.abort(new TransportError(`Agent ${agentId} removed`, { code: 'CANCELLED' }));
+                this.inFlight.delete(task.id);
+            }
+            task.lease = null;
+            this.handleTaskReassignment(task, agentId, `Agent ${agentId} removed`, 'CONNECTION_FAILED');
+        }
+
+        delete this.agents[agentId];
+        logger.info('AGENT_REMOVED', `Agent ${agentId} removed. Requeued ${heldTasks.length} held tasks.`, {
+            agentId,
+            requeuedTasks: heldTasks.map(t => t.id)
+        });
+        this.recordEvent(DomainEventTypes.AGENT_REMOVED, { entity: 'agent', agentId, data: { requeuedTaskIds: heldTasks.map(t => t.id) } });
+        this.flushJournal();
+        return heldTasks.map(t => t.id);
+    }
+
     /**
      * Registers a shared resource in the system
      * @param {string} id Unique resource ID
      * @param {string} type 'exclusive' | 'shared'
      * @param {number} capacity Maximum parallel users (only for 'shared')
+     * @throws {Error} If the ID is taken or the details are invalid
      */
     registerResource(id, type, capacity = 1) {
+        const validation = validateResource({ id, type, capacity }, this.resources);
+        if (!validation.isValid) {
+            logger.error('RESOURCE_REGISTRATION_FAILED', 'Resource validation failed', { errors: validation.errors, id });
+            throw new Error(`Invalid Resource: ${validation.errors.join(' ')}`);
+        }
+
         this.resources[id] = {
             id,
             type,
@@ -142,21 +774,21 @@ class CoreEngine {
             lockedBy: null // Only for exclusive
         };
         logger.info('RESOURCE_REGISTERED', `Resource ${id} registered (${type}, capacity: ${capacity})`, { id, type, capacity });
+        this.recordEvent(DomainEventTypes.RESOURCE_REGISTERED, {
+            entity: 'resource',
+            resourceId: id,
+            data: { resource: structuredClone(this.resources[id]) }
+        });
+        this.flushJournal();
     }
 
     /**
-     * Submits a new task to the queue
-     * @param {Object} taskData Details of the task
-     * @returns {string} The submitted Task ID
+     * Creates the record for a new top-level task.
+     * @param {Object} taskData Validated task details
+     * @param {string} taskId 
+     * @returns {Object}
      */
-    submitTask(taskData) {
-        const validation = validateTask(taskData);
-        if (!validation.isValid) {
-            logger.error('TASK_SUBMISSION_FAILED', 'Task validation failed', { errors: validation.errors, taskData });
-            throw new Error(`Invalid Task: ${validation.errors.join(' ')}`);
-        }
-
-        const taskId = `task_${uuidv4()}`;
+    buildTask(taskData, taskId) {
         const task = {
             ...taskData,
             taskID: taskId,
@@ -172,17 +804,39 @@ class CoreEngine {
             parentTaskId: taskData.parentTaskId || null
         };
 
+        const deadline = resolveDeadline(taskData);
+        if (deadline) task.deadline = deadline;
+
         // Predictive Impact Calculation
         task.predictedImpact = this.metaReflection.predictImpact(task);
+        return task;
+    }
+
+    /**
+     * Submits a new task to the queue. A task with a runAt waits in the queue until then;
+     * a task with a schedule is not queued itself but registered as a schedule (see createSchedule).
+     * @param {Object} taskData Details of the task
+     * @returns {string} The submitted Task ID, or the schedule ID for a scheduled task
+     */
+    submitTask(taskData) {
+        const validation = validateTask(taskData);
+        validation.errors.push(...this.findUnknownAggregationStrategies([taskData]));
+        if (validation.errors.length > 0) {
+            logger.error('TASK_SUBMISSION_FAILED', 'Task validation failed', { errors: validation.errors, taskData });
+            throw new Error(`Invalid Task: ${validation.errors.join(' ')}`);
+        }
+
+        if (taskData.schedule !== undefined) {
+            return this.createSchedule(taskData);
+        }
+
+        const taskId = `task_${uuidv4()}`;
+        const task = this.buildTask(taskData, taskId);
 
         this.taskQueue.push(task);
 
         // Prioritize by Priority first, then Predicted Impact
-        this.taskQueue.sort((a, b) => {
-            const priorityDiff = (b.priority || 1) - (a.priority || 1);
-            if (priorityDiff !== 0) return priorityDiff;
-            return (b.predictedImpact || 0) - (a.predictedImpact || 0);
-        });
+        this.sortQueue();
 
         logger.info('TASK_SUBMITTED', `Task ${taskId} submitted to queue (Impact: ${task.predictedImpact})`, {
             taskId,
@@ -191,225 +845,1650 @@ class CoreEngine {
             predictedImpact: task.predictedImpact
         });
 
-        return taskId;
+        this.recordEvent(DomainEventTypes.TASK_SUBMITTED, {
+            entity: 'task',
+            taskId,
+            domainLabel: task.domainLabel,
+            parentTaskId: task.parentTaskId,
+            data: { task: structuredClone(task) }
+        });
+        this.flushJournal();
+        return taskId;
+    }
+
+    /**
+     * Registers a recurring task. The execution loop submits a new instance of it, tagged with the
+     * schedule's ID, each time its cron expression matches; runAt, if set, delays the first run.
+     * Runs missed while the engine was stopped are not made up: one instance is submitted, then the schedule moves on.
+     * @param {Object} taskData Validated task details with a schedule
+     * @returns {string} The schedule ID
+     */
+    createSchedule(taskData) {
+        const { schedule: cron, runAt, ...task } = taskData;
+        const scheduleId = `schedule_${uuidv4()}`;
+        const startAt = runAt ? new Date(Math.max(Date.parse(runAt), Date.now())) : new Date();
+
+        this.schedules[scheduleId] = {
+            id: scheduleId,
+            schedule: cron,
+            task: structuredClone(task),
+            status: 'active',
+            startAt: runAt || null,
+            nextRunAt: nextRunAfter(cron, new Date(startAt.getTime() - 1)).toISOString(),
+            lastRunAt: null,
+            lastTaskId: null,
+            runs: 0,
+            createdAt: new Date().toISOString()
+        };
+        logger.info('SCHEDULE_CREATED', `Schedule ${scheduleId} (${cron}) created for "${task.description}"`, {
+            scheduleId,
+            schedule: cron,
+            nextRunAt: this.schedules[scheduleId].nextRunAt
+        });
+        this.markDirty('schedules', scheduleId);
+        this.flushJournal();
+        return scheduleId;
+    }
+
+    /**
+     * Submits an instance of every active schedule that is due. Called from processQueue.
+     */
+    runSchedules() {
+        const now = new Date();
+        for (const schedule of Object.values(this.schedules)) {
+            if (schedule.status !== 'active' || Date.parse(schedule.nextRunAt) > now.getTime()) continue;
+
+            try {
+                schedule.lastTaskId = this.submitTask({ ...schedule.task, scheduleId: schedule.id });
+                schedule.runs += 1;
+            } catch (error) {
+                // The spec was valid when scheduled but may not be now (e.g. a custom aggregation strategy was removed)
+                logger.error('SCHEDULED_RUN_FAILED', `Schedule ${schedule.id} could not submit its task`, error, { scheduleId: schedule.id });
+            }
+            schedule.lastRunAt = now.toISOString();
+            schedule.nextRunAt = nextRunAfter(schedule.schedule, now).toISOString();
+            this.markDirty('schedules', schedule.id);
+        }
+    }
+
+    /**
+     * Stops a schedule from submitting instances until it is resumed.
+     * @param {string} scheduleId 
+     * @returns {Object|null} The schedule, or null if there is none with that ID
+     */
+    pauseSchedule(scheduleId) {
+        const schedule = this.schedules[scheduleId];
+        if (!schedule) return null;
+
+        schedule.status = 'paused';
+        logger.info('SCHEDULE_PAUSED', `Schedule ${scheduleId} paused`, { scheduleId });
+        this.markDirty('schedules', scheduleId);
+        this.flushJournal();
+        return schedule;
+    }
+
+    /**
+     * Resumes a paused schedule from its next match; runs that fell due while it was paused are skipped.
+     * @param {string} scheduleId 
+     * @returns {Object|null} The schedule, or null if there is none with that ID
+     */
+    resumeSchedule(scheduleId) {
+        const schedule = this.schedules[scheduleId];
+        if (!schedule) return null;
+
+        if (schedule.status === 'paused') {
+            schedule.status = 'active';
+            schedule.nextRunAt = nextRunAfter(schedule.schedule, new Date()).toISOString();
+        }
+        logger.info('SCHEDULE_RESUMED', `Schedule ${scheduleId} resumed`, { scheduleId, nextRunAt: schedule.nextRunAt });
+        this.markDirty('schedules', scheduleId);
+        this.flushJournal();
+        return schedule;
+    }
+
+    /**
+     * Deletes a schedule. Instances it already submitted are left as they are.
+     * @param {string} scheduleId 
+     * @returns {boolean} False if there is no schedule with that ID
+     */
+    removeSchedule(scheduleId) {
+        if (!this.schedules[scheduleId]) return false;
+
+        delete this.schedules[scheduleId];
+        logger.info('SCHEDULE_REMOVED', `Schedule ${scheduleId} removed`, { scheduleId });
+        this.markDirty('schedules', scheduleId);
+        this.flushJournal();
+        return true;
+    }
+
+    /**
+     * Orders the queue for dispatch: tasks whose slack before their deadline has fallen below
+     * deadlineUrgencyMs first, earliest deadline first; then priority, earliest deadline and predicted impact.
+     */
+    sortQueue() {
+        const now = Date.now();
+        const urgency = new Map();
+        const isUrgent = task => {
+            if (!task.deadline) return false;
+            if (!urgency.has(task)) {
+                const slackMs = Date.parse(task.deadline) - now - (this.metaReflection.predictExecutionTime(task) || 0);
+                urgency.set(task, slackMs < this.options.deadlineUrgencyMs);
+            }
+            return urgency.get(task);
+        };
+        this.taskQueue.sort((a, b) => compareForDispatch(a, b, isUrgent));
+    }
+
+    /**
+     * Checks every unfinished task that has a deadline. Called from processQueue.
+     */
+    checkDeadlines() {
+        const now = Date.now();
+        for (const task of this.taskQueue) {
+            if (task.deadline && !['completed', 'failed', 'cancelled', 'skipped'].includes(task.status)) {
+                this.checkDeadline(task, now);
+            }
+        }
+    }
+
+    /**
+     * Raises TaskSlaAtRisk once when a task is projected to finish after its deadline, and
+     * TaskSlaMissed once when the deadline passes before it completes (or it completes late).
+     * A task completed in time is marked slaStatus 'met'.
+     * @param {Object} task 
+     * @param {number} now Epoch milliseconds
+     */
+    checkDeadline(task, now = Date.now()) {
+        if (!task.deadline || task.slaStatus === 'missed') return;
+        const deadline = Date.parse(task.deadline);
+
+        if (now > deadline) {
+            task.slaStatus = 'missed';
+            this.recordTaskEvent(DomainEventTypes.TASK_SLA_MISSED, task, { deadline: task.deadline, lateByMs: now - deadline, status: task.status });
+            logger.warn('SLA_MISSED', `Task ${task.id} missed its deadline of ${task.deadline} (${task.status})`, {
+                taskId: task.id,
+                deadline: task.deadline,
+                status: task.status
+            });
+            return;
+        }
+        if (task.status === 'completed') {
+            task.slaStatus = 'met';
+            return;
+        }
+
+        const predictedCompletionAt = this.predictCompletion(task, now);
+        if (task.slaStatus === 'at_risk' || predictedCompletionAt === null || predictedCompletionAt <= deadline) return;
+
+        task.slaStatus = 'at_risk';
+        this.recordTaskEvent(DomainEventTypes.TASK_SLA_AT_RISK, task, {
+            deadline: task.deadline,
+            predictedCompletionAt: new Date(predictedCompletionAt).toISOString(),
+            overrunMs: predictedCompletionAt - deadline
+        });
+        logger.warn('SLA_AT_RISK', `Task ${task.id} is projected to finish ${predictedCompletionAt - deadline}ms after its deadline of ${task.deadline}`, {
+            taskId: task.id,
+            deadline: task.deadline,
+            predictedCompletionAt: new Date(predictedCompletionAt).toISOString()
+        });
+    }
+
+    /**
+     * Projects when a task will complete: when it started (or can start, given runAt and any backoff)
+     * plus its predicted execution time. A task running longer than predicted is projected to finish now.
+     * @param {Object} task 
+     * @param {number} now Epoch milliseconds
+     * @returns {number|null} Epoch milliseconds, or null for finished tasks, waiting parents and tasks without execution history
+     */
+    predictCompletion(task, now = Date.now()) {
+        if (['completed', 'failed', 'cancelled', 'skipped', 'waiting_for_subtasks'].includes(task.status)) return null;
+        const executionMs = this.metaReflection.predictExecutionTime(task);
+        if (executionMs === null) return null;
+
+        if (task.status === 'processing') {
+            const startedAt = this.inFlight.get(task.id)?.startedAt ?? (task.lease ? Date.parse(task.lease.leasedAt) : now);
+            return Math.max(now, startedAt + executionMs);
+        }
+        const startAt = Math.max(now, ...[task.runAt, task.notBefore].filter(Boolean).map(Date.parse));
+        return startAt + executionMs;
+    }
+
+    /**
+     * Alias for processQueue for backward compatibility
+     */
+    async assignTasks() {
+        return this.processQueue();
+    }
+
+    /**
+     * Allows an agent to attempt to claim a specific task.
+     * This simulates race conditions where multiple agents might try to grab the same task.
+     * @param {string} agentId 
+     * @param {string} taskId 
+     * @returns {Promise<boolean>} Success or failure of the claim
+     */
+    async agentClaimTask(agentId, taskId) {
+        const task = this.taskQueue.find(t => t.id === taskId);
+        const agent = this.agents[agentId];
+
+        if (!task || !agent) {
+            logger.error('CLAIM_FAILED', `Invalid task or agent for claim: Task ${taskId}, Agent ${agentId}`);
+            return false;
+        }
+
+        // Conflict Check: Is the task already claimed or processing?
+        if (task.status !== 'pending') {
+            logger.warn('TASK_ALREADY_CLAIMED', `Agent ${agentId} tried to claim task ${taskId}, but it is already ${task.status}`, {
+                taskId,
+                currentStatus: task.status,
+                assignedTo: task.assignedTo
+            });
+            return false;
+        }
+
+        if (this.isExpandedByEngine(task)) {
+            logger.warn('CLAIM_REJECTED_DYNAMIC_NODE', `Agent ${agentId} cannot claim ${task.type || 'redundant'} task ${taskId}; it is expanded by the engine`);
+            return false;
+        }
+        if (this.excludedAgentsFor(task).includes(agentId)) {
+            logger.warn('CLAIM_REJECTED_EXCLUDED_AGENT', `Agent ${agentId} cannot claim task ${taskId}; it already failed it or holds a sibling replica`);
+            return false;
+        }
+
+        // Success Probability Check (Meta-Reflection Integration)
+        const prediction = this.metaReflection.predictSuccess(agent, task);
+        if (prediction < this.metaReflection.claimThreshold) {
+            logger.warn('CLAIM_REJECTED_LOW_PROBABILITY', `Agent ${agentId} claim for ${taskId} rejected due to extremely low success probability (${prediction})`);
+            return false;
+        }
+
+        // Atomic Assignment (Simulated)
+        // In a real distributed system, this would be a CAS (Compare-And-Swap) operation or a lock.
+        task.status = 'processing';
+        task.assignedTo = agentId;
+        this.setAgentStatus(agentId, 'busy');
+        this.recordTaskEvent(DomainEventTypes.TASK_DISPATCHED, task, { agentId, mode: 'claim', predictedSuccess: prediction });
+
+        logger.info('TASK_CLAIM_SUCCESS', `Agent ${agentId} successfully claimed task ${taskId}`, {
+            taskId,
+            agentId,
+            predictedSuccess: prediction
+        });
+
+        // Trigger execution
+        await this.startDispatch(task, agentId);
+        return this.taskOutputs[taskId]?.agentId === agentId;
+    }
+
+    /**
+     * Matches every dispatchable task to an idle agent in a single pass and runs the
+     * dispatches concurrently. Also performs health checks for cycles and stalls.
+     * Resolves once every dispatch started by this pass has settled.
+     */
+    async processQueue() {
+        // Ticks may overlap while earlier dispatches are in flight, and that is safe without a lock:
+        // matching below is synchronous, so no other tick can interleave with it, and assignTask marks
+        // the task processing and the agent busy before its dispatch awaits anything, so a later tick
+        // never picks either of them again.
+        this.sweepAgentLiveness();
+        this.reclaimExpiredLeases();
+        this.expireApprovals();
+        this.expireReviews();
+        this.runSchedules();
+        this.checkDeadlines();
+        this.detectAndHandleCycles();
+        this.expandDynamicNodes();
+
+        // Urgency grows as deadlines approach, so the order is refreshed every pass
+        this.sortQueue();
+
+        // Snapshot of candidates: tasks created during this pass (e.g. split subtasks) wait for the next tick
+        const candidates = this.taskQueue.filter(t => this.isTaskReady(t));
+
+        const dispatches = [];
+        for (const task of candidates) {
+            if (!Object.values(this.agents).some(a => a.status === 'idle')) break;
+
+            // Earlier assignments in this pass may have changed the task or taken its resources
+            if (task.status !== 'pending' || !this.areResourcesAvailable(task)) continue;
+
+            const dispatch = this.assignTask(task);
+            if (dispatch) dispatches.push(dispatch);
+        }
+
+        this.flushJournal();
+        await Promise.allSettled(dispatches);
+    }
+
+    /**
+     * Checks whether a task can be dispatched now: its prerequisites are met, it is an
+     * ordinary task rather than a switch, map or redundant task, and its resources are available.
+     * @param {Object} t 
+     * @returns {boolean}
+     */
+    isTaskReady(t) {
+        if (!this.arePrerequisitesMet(t)) return false;
+
+        // Expanded into subtasks by expandDynamicNodes instead of being dispatched
+        if (this.isExpandedByEngine(t)) return false;
+
+        return this.areResourcesAvailable(t);
+    }
+
+    /**
+     * Switch and map nodes, and tasks run redundantly, are expanded into subtasks rather than dispatched.
+     * @param {Object} t 
+     * @returns {boolean}
+     */
+    isExpandedByEngine(t) {
+        return t.type === 'switch' || t.type === 'map' || !!t.redundancy;
+    }
+
+    /**
+     * Agents a task must not be given to: those that already failed it, for a replica,
+     * every agent that took (or failed) another replica of the same task in any round,
+     * for a review, the author and any agent outside the reviewed task's domain, and for
+     * rework after a rejected review, the rejected authors while another agent of the domain is reachable.
+     * @param {Object} task 
+     * @returns {string[]}
+     */
+    excludedAgentsFor(task) {
+        const excluded = [...(task.failedAgents || [])];
+        if (task.replica) {
+            for (const sibling of this.taskQueue.filter(t => t.parentTaskId === task.parentTaskId && t.replica && t.id !== task.id)) {
+                excluded.push(...sibling.failedAgents);
+                if (sibling.assignedTo) excluded.push(sibling.assignedTo);
+            }
+        }
+        if (task.reviewOf) {
+            excluded.push(task.reviewOf.authorId);
+            excluded.push(...Object.values(this.agents).filter(a => !a.domainLabels.includes(task.domainLabel)).map(a => a.id));
+        }
+
+        const rejectedAuthors = (task.reviews || []).filter(r => r.verdict === 'reject').map(r => r.authorId);
+        if (rejectedAuthors.length > 0) {
+            const hasAlternative = Object.values(this.agents).some(a => a.domainLabels.includes(task.domainLabel)
+                && !['unhealthy', 'offline'].includes(a.status) && !excluded.includes(a.id) && !rejectedAuthors.includes(a.id));
+            if (hasAlternative) excluded.push(...rejectedAuthors);
+        }
+        return excluded;
+    }
+
+    /**
+     * Checks whether a task may start: pending, not a waiting parent, not already in flight,
+     * dependencies completed, `when` conditions holding, inputs resolved and any start gate approved.
+     * Tasks whose dependencies failed or are missing, or whose conditions or inputs cannot be resolved, are failed
+     * as a side effect; tasks whose conditions do not hold or whose dependencies were skipped are skipped;
+     * tasks with an undecided start gate are parked in awaiting_approval.
+     * @param {Object} t 
+     * @returns {boolean}
+     */
+    arePrerequisitesMet(t) {
+        if (t.status !== 'pending') return false;
+        if (this.inFlight.has(t.id)) return false;
+
+        // Delayed until runAt, or backing off before its next attempt
+        if (t.runAt && Date.parse(t.runAt) > Date.now()) return false;
+        if (t.notBefore && Date.parse(t.notBefore) > Date.now()) return false;
+
+        // If it has initialized subtasks, it's a parent waiting for them
+        if (t.subtasks && t.subtasks.length > 0) return false;
+
+        // Dependency check: all dependency tasks must be completed
+        if (t.dependencies && t.dependencies.length > 0) {
+            const depStatuses = t.dependencies.map(depId => {
+                const depTask = this.taskQueue.find(task => task.id === depId);
+                return depTask ? depTask.status : 'missing';
+            });
+
+            // If any dependency failed, was cancelled or is missing, this task cannot proceed as planned
+            if (depStatuses.some(s => s === 'failed' || s === 'cancelled' || s === 'missing')) {
+                logger.error('DEPENDENCY_FAILURE_CASCADE', `Task ${t.id} cannot proceed because dependencies failed or are missing`, { taskId: t.id, depStatuses });
+                this.handleTaskFailure(t, 'SYSTEM_DEPENDENCY_MANAGER', Object.assign(new Error('Dependency failed or missing'), { code: 'DEPENDENCY_FAILED' }));
+                return false;
+            }
+
+            // A skipped branch skips everything downstream of it unless the task opts in
+            if (!t.allowSkipped && depStatuses.includes('skipped')) {
+                this.skipTask(t, 'A dependency was skipped');
+                return false;
+            }
+
+            const allDepsMet = depStatuses.every(s => s === 'completed' || s === 'skipped');
+            if (!allDepsMet) return false;
+        }
+
+        if (t.when) {
+            const { passed, errors } = evaluateConditions(t.when, this.dependencyOutputLookup(t));
+            if (errors.length > 0) {
+                this.failUnresolvableTask(t, 'CONDITION_UNRESOLVED', 'its conditions could not be evaluated', errors);
+                return false;
+            }
+            if (!passed) {
+                this.skipTask(t, 'Conditions not met');
+                return false;
+            }
+        }
+
+        if (!this.resolveTaskInputs(t)) return false;
+
+        // Asked only once everything else is in place, so the approver sees the resolved inputs
+        if (awaitsApproval(t, 'start')) {
+            this.requestApproval(t, 'start');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Builds the lookup used to resolve "$deps.<ref>" bindings for a task.
+     * @param {Object} task 
+     * @returns {Function} (ref) => the dependency's output, null if it was skipped, undefined if it has none
+     */
+    dependencyOutputLookup(task) {
+        const dependencies = task.dependencies
+            .map(depId => this.taskQueue.find(t => t.id === depId))
+            .filter(Boolean);
+
+        return ref => {
+            // Workflow nodes and keyed subtasks bind to siblings by name
+            const dependency = dependencies.find(d => d.id === ref || (d.key === ref && d.parentTaskId === task.parentTaskId));
+            if (!dependency) return undefined;
+            return dependency.status === 'skipped' ? null : this.taskOutputs[dependency.id];
+        };
+    }
+
+    /**
+     * Resolves a task's "$deps.<task>.<field>" input bindings from the outputs of its completed dependencies
+     * into task.resolvedInputs, which is delivered to the agent as payload.inputs.
+     * A binding that cannot be resolved fails the task without retries: the dependency output will not change.
+     * @param {Object} task 
+     * @returns {boolean} False if the task was failed
+     */
+    resolveTaskInputs(task) {
+        if (!task.inputs) return true;
+
+        const { inputs, errors } = resolveInputs(task.inputs, this.dependencyOutputLookup(task));
+        if (errors.length > 0) {
+            this.failUnresolvableTask(task, 'INPUT_BINDING_FAILED', 'its inputs could not be resolved', errors);
+            return false;
+        }
+
+        task.resolvedInputs = inputs;
+        this.markDirty('tasks', task.id);
+        return true;
+    }
+
+    /**
+     * Fails a task that can never be dispatched as specified, without retries.
+     * @param {Object} task 
+     * @param {string} action Log action
+     * @param {string} cause Explanation appended to the log message
+     * @param {string[]} errors Kept on the task as inputErrors
+     */
+    failUnresolvableTask(task, action, cause, errors) {
+        logger.error(action, `Task ${task.id} cannot be dispatched because ${cause}`, {
+            taskId: task.id,
+            errors
+        });
+        task.status = 'failed';
+        task.inputErrors = errors;
+        this.recordTaskEvent(DomainEventTypes.TASK_FAILED, task, { agentId: 'SYSTEM_INPUT_RESOLVER', reason: errors.join(' ') });
+        if (task.parentTaskId) {
+            this.checkAndAggregateParent(task.parentTaskId);
+        }
+    }
+
+    /**
+     * Marks a task skipped: it will not run, and neither will dependents that do not set allowSkipped.
+     * Skipped subtasks count as finished for aggregation.
+     * @param {Object} task 
+     * @param {string} reason 
+     */
+    skipTask(task, reason) {
+        task.status = 'skipped';
+        task.skipReason = reason;
+        this.recordTaskEvent(DomainEventTypes.TASK_SKIPPED, task, { reason });
+        logger.info('TASK_SKIPPED', `Task ${task.id} skipped. Reason: ${reason}`, { taskId: task.id, reason });
+
+        if (task.parentTaskId) {
+            this.checkAndAggregateParent(task.parentTaskId);
+        }
+    }
+
+    /**
+     * Expands switch and map nodes, and redundant tasks, whose prerequisites are met into subtasks.
+     * A switch node runs the task of its first matching case (or its default); a map node runs its
+     * task once per item; a redundant task runs once per replica. Switch and map nodes then complete
+     * through the usual subtask aggregation, redundant tasks through a consensus vote.
+     */
+    expandDynamicNodes() {
+        const nodes = this.taskQueue.filter(t => this.isExpandedByEngine(t) && this.arePrerequisitesMet(t));
+
+        for (const node of nodes) {
+            if (node.type === 'switch') {
+                this.expandSwitchNode(node);
+            } else if (node.type === 'map') {
+                this.expandMapNode(node);
+            } else {
+                this.expandRedundantTask(node);
+            }
+        }
+    }
+
+    /**
+     * @param {Object} node A switch node whose prerequisites are met
+     */
+    expandSwitchNode(node) {
+        const lookup = this.dependencyOutputLookup(node);
+        let selected = null;
+
+        for (const [i, branch] of node.cases.entries()) {
+            const { passed, errors } = evaluateConditions(branch.when, lookup);
+            if (errors.length > 0) {
+                this.failUnresolvableTask(node, 'CONDITION_UNRESOLVED', `case ${i} could not be evaluated`, errors);
+                return;
+            }
+            if (passed) {
+                selected = { selectedCase: i, spec: branch.task };
+                break;
+            }
+        }
+        if (!selected && node.default) {
+            selected = { selectedCase: 'default', spec: node.default };
+        }
+
+        if (!selected) {
+            this.skipTask(node, 'No switch case matched');
+            return;
+        }
+
+        node.selectedCase = selected.selectedCase;
+        logger.info('SWITCH_CASE_SELECTED', `Switch node ${node.id} selected case ${selected.selectedCase}`, {
+            taskId: node.id,
+            selectedCase: selected.selectedCase
+        });
+        this.decomposeTask(node.id, [{ ...selected.spec, inputs: { ...node.resolvedInputs, ...selected.spec.inputs } }]);
+    }
+
+    /**
+     * @param {Object} node A map node whose prerequisites are met
+     */
+    expandMapNode(node) {
+        const { inputs, errors } = resolveInputs({ items: node.items }, this.dependencyOutputLookup(node));
+        if (errors.length > 0 || !Array.isArray(inputs.items)) {
+            this.failUnresolvableTask(node, 'MAP_ITEMS_UNRESOLVED', 'its items are not an array',
+                errors.length > 0 ? errors : [`"items" resolved to ${JSON.stringify(inputs.items)}, not an array.`]);
+            return;
+        }
+
+        const items = inputs.items;
+        if (items.length === 0) {
+            // Nothing to fan out over; complete with an empty result so a reduce step still runs
+            this.logOutput(node.id, 'SYSTEM_MAP', { resultData: [], confidenceScore: 1 });
+            return;
+        }
+
+        logger.info('MAP_EXPANDED', `Map node ${node.id} fans out over ${items.length} items`, { taskId: node.id, itemCount: items.length });
+        this.decomposeTask(node.id, items.map((item, index) => ({
+            ...node.task,
+            description: `${node.task.description} [${index + 1}/${items.length}]`,
+            inputs: { ...node.resolvedInputs, ...node.task.inputs, item, index }
+        })));
+    }
+
+    /**
+     * Starts a round of redundant execution: one replica subtask per configured replica, each of which
+     * is dispatched to a different agent. Escalates when too few agents are left that have not taken part.
+     * @param {Object} task A redundant task whose prerequisites are met, or whose last round disagreed
+     */
+    expandRedundantTask(task) {
+        const { replicas } = normalizeRedundancy(task.redundancy);
+        const round = (task.consensus?.round || 0) + 1;
+        const participants = new Set(this.taskQueue
+            .filter(t => t.parentTaskId === task.id && t.replica)
+            .flatMap(t => [...t.failedAgents, t.assignedTo])
+            .filter(Boolean));
+        const available = Object.values(this.agents).filter(a => a.status !== 'offline' && !participants.has(a.id));
+
+        task.consensus = { round, rounds: task.consensus?.rounds || [] };
+        if (available.length < replicas) {
+            this.escalateTask(task, `Not enough agents for consensus round ${round}: ${replicas} needed, ${available.length} available`);
+            return;
+        }
+
+        logger.info('REDUNDANT_EXECUTION_STARTED', `Task ${task.id} runs on ${replicas} agents (round ${round})`, { taskId: task.id, replicas, round });
+        this.decomposeTask(task.id, Array.from({ length: replicas }, (_, index) => ({
+            description: `${task.description} (replica ${index + 1}/${replicas})`,
+            domainLabel: task.domainLabel,
+            complexityScore: task.complexityScore,
+            priority: task.priority,
+            timeoutMs: task.timeoutMs,
+            resourceRequirements: task.resourceRequirements,
+            inputs: task.resolvedInputs,
+            replica: { index, round }
+        })));
+    }
+
+    /**
+     * Compares the results of a redundant task's latest round. When enough replicas agree, their result
+     * becomes the task's output and the agents that disagreed lose domain confidence; otherwise the task
+     * retries with fresh agents or escalates.
+     * @param {Object} task 
+     * @param {Object[]} replicas Every replica subtask, all finished
+     */
+    resolveConsensus(task, replicas) {
+        const redundancy = normalizeRedundancy(task.redundancy);
+        const { round } = task.consensus;
+        const outputs = replicas
+            .filter(r => r.replica?.round === round && r.status === 'completed')
+            .map(r => this.taskOutputs[r.id])
+            .filter(Boolean);
+        const { reached, required, agreeing, outliers } = evaluateConsensus(redundancy, outputs);
+        task.consensus.rounds.push({
+            round,
+            reached,
+            required,
+            agreeing: agreeing.map(o => o.agentId),
+            outliers: outliers.map(o => o.agentId)
+        });
+
+        if (!reached) {
+            logger.warn('CONSENSUS_NOT_REACHED', `Replicas of task ${task.id} did not agree in round ${round} (${agreeing.length} of ${required} required)`, {
+                taskId: task.id,
+                round,
+                results: outputs.map(o => ({ agentId: o.agentId, resultData: o.resultData }))
+            });
+            if (redundancy.onDisagreement === 'retry' && round < redundancy.maxRounds) {
+                this.expandRedundantTask(task);
+            } else {
+                this.escalateTask(task, `No consensus after ${round} round(s): ${agreeing.length} of ${required} required replicas agreed`);
+            }
+            return;
+        }
+
+        // Disagreeing with the consensus counts as a failure in the outlier's domain record
+        for (const outlier of outliers) {
+            logger.warn('CONSENSUS_OUTLIER', `Agent ${outlier.agentId} disagreed with the consensus on task ${task.id}`, {
+                taskId: task.id,
+                agentId: outlier.agentId,
+                resultData: outlier.resultData
+            });
+            this.metaReflection.updateAgentMetadata(outlier.agentId, task.domainLabel, false);
+        }
+
+        logger.info('CONSENSUS_REACHED', `${agreeing.length} of ${redundancy.replicas} replicas agreed on task ${task.id} in round ${round}`, {
+            taskId: task.id,
+            round,
+            agreeing: agreeing.map(o => o.agentId)
+        });
+        const scores = averageScores(agreeing);
+        this.logOutput(task.id, 'CONSENSUS_SYSTEM', {
+            resultData: agreeing[0].resultData,
+            confidenceScore: scores.confidenceScore,
+            actualImpact: scores.actualImpact,
+            executionTime: outputs.reduce((acc, o) => acc + (o.executionTime || 0), 0),
+            aggregation: { strategy: 'consensus', votes: agreeing.length, of: redundancy.replicas, round }
+        });
+    }
+
+    /**
+     * Fails a task that needs a human decision and raises a TaskEscalated event with the reason.
+     * @param {Object} task 
+     * @param {string} reason 
+     */
+    escalateTask(task, reason) {
+        logger.error('TASK_ESCALATED', `Task ${task.id} escalated. Reason: ${reason}`, { taskId: task.id, reason });
+        task.status = 'failed';
+        this.recordTaskEvent(DomainEventTypes.TASK_ESCALATED, task, { reason });
+        this.recordTaskEvent(DomainEventTypes.TASK_FAILED, task, { reason });
+        if (task.parentTaskId) {
+            this.checkAndAggregateParent(task.parentTaskId);
+        }
+    }
+
+    /**
+     * Resource availability check
+     * @param {Object} t 
+     * @returns {boolean}
+     */
+    areResourcesAvailable(t) {
+        if (t.resourceRequirements) {
+            for (const [resId, reqType] of Object.entries(t.resourceRequirements)) {
+                const res = this.resources[resId];
+                if (!res) {
+                    logger.warn('RESOURCE_MISSING', `Task ${t.id} requires missing resource ${resId}`);
+                    return false;
+                }
+                if (reqType === 'exclusive' && (res.currentUsage > 0 || res.lockedBy)) {
+                    return false; // Resource busy
+                }
+                if (reqType === 'parallel' && res.type === 'exclusive' && res.lockedBy) {
+                    return false; // Exclusive lock exists
+                }
+                if (reqType === 'parallel' && res.currentUsage >= res.capacity) {
+                    return false; // Capacity reached
+                }
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Picks an agent for a ready task, applies meta-reflection strategies,
+     * locks resources and starts the dispatch.
+     * @param {Object} task 
+     * @returns {Promise|null} The in-flight dispatch, or null if nothing was dispatched
+     */
+    assignTask(task) {
+        const { agentId, predictedSuccess } = this.metaReflection.evaluateAssignment(task, this.excludedAgentsFor(task));
+        if (!agentId) return null;
+
+        // Meta-Reflection Check: Before assigning, check predicted success probability.
+        // Replicas are already a hedge against a weak agent, and reviews must come back as a single verdict,
+        // so both are dispatched as-is.
+        if (predictedSuccess < this.metaReflection.threshold && !task.replica && !task.reviewOf) {
+            const strategy = this.metaReflection.suggestRemediation(task, predictedSuccess);
+
+            logger.warn('LOW_PREDICTED_SUCCESS', `Task ${task.id} has low predicted success (${predictedSuccess}). Applying strategy: ${strategy}`, {
+                taskId: task.id,
+                agentId,
+                strategy
+            });
+            this.recordTaskEvent(DomainEventTypes.TASK_STRATEGY_APPLIED, task, { strategy, agentId, predictedSuccess });
+
+            if (strategy === 'SPLIT') {
+                this.handleTaskSplitting(task);
+                return null;
+            } else if (strategy === 'COLLABORATE') {
+                this.handleTaskCollaboration(task);
+                // Proceed with collaboration flag
+            } else if (strategy === 'REROUTE') {
+                // Return to queue, effectively waiting for a more suitable agent or state
+                logger.info('TASK_REROUTED', `Task ${task.id} rerouted/delayed for better agent compatibility`);
+
+                // Robustness: reroutes are bounded by the retry policy to prevent infinite loops, and back off like retries
+                const policy = this.retryPolicyFor(task);
+                task.reroutes = (task.reroutes || 0) + 1;
+                if (task.reroutes > policy.maxReroutes) {
+                    this.recordTaskEvent(DomainEventTypes.TASK_REROUTED, task, { agentId, predictedSuccess });
+                    this.handleTaskFailure(task, 'SYSTEM_REMEDIATION_MANAGER',
+                        Object.assign(new Error('Task rerouted too many times without success strategy'), { code: 'REROUTE_LIMIT' }));
+                    return null;
+                }
+                task.notBefore = this.backoffUntil(policy, task.reroutes);
+                this.recordTaskEvent(DomainEventTypes.TASK_REROUTED, task, { agentId, predictedSuccess, retryAt: task.notBefore });
+                return null;
+            }
+        }
+
+        this.lockTaskResources(task);
+
+        // Transition task to processing state
+        task.status = 'processing';
+        task.assignedTo = agentId;
+        task.predictedSuccess = predictedSuccess;
+        this.setAgentStatus(agentId, 'busy');
+        this.recordTaskEvent(DomainEventTypes.TASK_DISPATCHED, task, { agentId, mode: 'push', predictedSuccess });
+
+        logger.info('TASK_DISPATCHED', `Dispatching task ${task.id} to agent ${agentId} (Prob: ${predictedSuccess})`, {
+            taskId: task.id,
+            agentId,
+            predictedSuccess
+        });
+
+        return this.startDispatch(task, agentId);
+    }
+
+    /**
+     * Locks the resources a task requires.
+     * @param {Object} task 
+     */
+    lockTaskResources(task) {
+        if (!task.resourceRequirements) return;
+
+        for (const [resId, reqType] of Object.entries(task.resourceRequirements)) {
+            const res = this.resources[resId];
+            res.currentUsage += 1;
+            if (reqType === 'exclusive') {
+                res.lockedBy = task.id;
+            }
+            this.recordResourceEvent(DomainEventTypes.RESOURCE_LOCKED, res, task.id);
+            logger.info('RESOURCE_LOCKED', `Task ${task.id} locked resource ${resId} (${reqType})`, { taskId: task.id, resId, usage: res.currentUsage });
+        }
+    }
+
+    /**
+     * Leases the best ready task for an agent that pulls its own work.
+     * Candidates are ranked by predicted success and must pass the same threshold as agentClaimTask.
+     * @param {string} agentId 
+     * @param {Object} options
+     * @param {number} options.durationMs Lease lifetime; defaults to the engine leaseDurationMs
+     * @returns {Object|null} { leaseId, expiresAt, task } or null when no task is available
+     */
+    leaseTask(agentId, { durationMs } = {}) {
+        const agent = this.agents[agentId];
+        if (!agent) {
+            throw new Error(`Agent ${agentId} not found`);
+        }
+        if (agent.status !== 'idle') {
+            throw new Error(`Agent ${agentId} cannot lease work while ${agent.status}`);
+        }
+
+        let best = null;
+        for (const task of this.taskQueue.filter(t => this.isTaskReady(t))) {
+            if (this.excludedAgentsFor(task).includes(agentId)) continue;
+
+            const prediction = this.metaReflection.predictSuccess(agent, task);
+            if (prediction >= this.metaReflection.claimThreshold && (!best || prediction > best.prediction)) {
+                best = { task, prediction };
+            }
+        }
+
+        if (!best) return null;
+
+        const { task, prediction } = best;
+        const leaseDurationMs = durationMs || this.options.leaseDurationMs;
+
+        this.lockTaskResources(task);
+        task.status = 'processing';
+        task.assignedTo = agentId;
+        task.predictedSuccess = prediction;
+        task.lease = {
+            leaseId: `lease_${uuidv4()}`,
+            agentId,
+            leasedAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + leaseDurationMs).toISOString()
+        };
+        this.setAgentStatus(agentId, 'busy');
+        this.recordTaskEvent(DomainEventTypes.TASK_LEASED, task, { agentId, mode: 'lease', predictedSuccess: prediction });
+
+        logger.info('TASK_LEASED', `Agent ${agentId} leased task ${task.id} until ${task.lease.expiresAt} (Prob: ${prediction})`, {
+            taskId: task.id,
+            agentId,
+            leaseId: task.lease.leaseId,
+            expiresAt: task.lease.expiresAt,
+            predictedSuccess: prediction
+        });
+
+        this.flushJournal();
+        return { leaseId: task.lease.leaseId, expiresAt: task.lease.expiresAt, task: buildTaskPayload(task) };
+    }
+
+    /**
+     * Finds a task by ID and verifies the caller holds its active lease.
+     * @param {string} taskId 
+     * @param {string} leaseId 
+     * @returns {Object} The leased task
+     */
+    getLeasedTask(taskId, leaseId) {
+        const task = this.taskQueue.find(t => t.id === taskId);
+        if (!task) {
+            throw new Error(`Task ${taskId} not found`);
+        }
+        if (!task.lease || task.lease.leaseId !== leaseId || task.status !== 'processing' || task.assignedTo !== task.lease.agentId) {
+            throw new Error(`Lease ${leaseId} is not active for task ${taskId}`);
+        }
+        return task;
+    }
+
+    /**
+     * Extends an active lease.
+     * @param {string} taskId 
+     * @param {string} leaseId 
+     * @param {number} durationMs New lifetime counted from now
+     * @returns {Object} { leaseId, expiresAt }
+     */
+    renewLease(taskId, leaseId, durationMs = null) {
+        const task = this.getLeasedTask(taskId, leaseId);
+        task.lease.expiresAt = new Date(Date.now() + (durationMs || this.options.leaseDurationMs)).toISOString();
+        this.recordTaskEvent(DomainEventTypes.TASK_LEASE_RENEWED, task, { agentId: task.lease.agentId });
+
+        logger.info('LEASE_RENEWED', `Lease ${leaseId} on task ${taskId} renewed until ${task.lease.expiresAt}`, {
+            taskId,
+            leaseId,
+            expiresAt: task.lease.expiresAt
+        });
+
+        this.flushJournal();
+        return { leaseId, expiresAt: task.lease.expiresAt };
+    }
+
+    /**
+     * Completes a leased task with the agent's result. Goes through the same
+     * confidence checks as pushed dispatches.
+     * @param {string} taskId 
+     * @param {string} leaseId 
+     * @param {Object} result { resultData, confidenceScore, actualImpact, executionTime }
+     */
+    completeLease(taskId, leaseId, result) {
+        const task = this.getLeasedTask(taskId, leaseId);
+        const latencyMs = Date.now() - new Date(task.lease.leasedAt).getTime();
+        const parsed = parseAgentResult(result, latencyMs);
+        const agentId = task.lease.agentId;
+
+        task.lease = null;
+        task.lastDispatch = { transport: 'pull', latencyMs, success: true, errorCode: null };
+        this.handleAgentResult(task, agentId, parsed);
+        this.flushJournal();
+    }
+
+    /**
+     * Reports that the agent holding a lease could not complete the task.
+     * @param {string} taskId 
+     * @param {string} leaseId 
+     * @param {string} reason 
+     */
+    failLease(taskId, leaseId, reason = 'Agent reported failure') {
+        const task = this.getLeasedTask(taskId, leaseId);
+        const agentId = task.lease.agentId;
+
+        task.lastDispatch = {
+            transport: 'pull',
+            latencyMs: Date.now() - new Date(task.lease.leasedAt).getTime(),
+            success: false,
+            errorCode: 'AGENT_REPORTED_FAILURE'
+        };
+        task.lease = null;
+        this.handleTaskFailure(task, agentId, new Error(reason));
+        this.flushJournal();
+    }
+
+    /**
+     * Returns tasks whose lease expired without a result to the queue.
+     */
+    reclaimExpiredLeases() {
+        const now = Date.now();
+
+        for (const task of this.taskQueue) {
+            if (!task.lease || task.status !== 'processing') continue;
+            if (new Date(task.lease.expiresAt).getTime() > now) continue;
+
+            const { agentId, leaseId } = task.lease;
+            task.lease = null;
+
+            logger.warn('LEASE_EXPIRED', `Lease ${leaseId} on task ${task.id} held by ${agentId} expired. Reclaiming task.`, {
+                taskId: task.id,
+                agentId,
+                leaseId
+            });
+
+            this.handleTaskReassignment(task, agentId, `Lease ${leaseId} expired`, 'TIMEOUT');
+        }
+    }
+
+    /**
+     * Starts the dispatch of a task to its assigned agent and tracks it as in flight
+     * so it can be timed out or cancelled.
+     * @param {Object} task 
+     * @param {string} agentId 
+     * @returns {Promise} Settles once the outcome has been routed
+     */
+    startDispatch(task, agentId) {
+        const controller = new AbortController();
+        const entry = { controller, agentId, startedAt: Date.now() };
+        entry.promise = this.executeTask(task, agentId, controller).finally(() => {
+            if (this.inFlight.get(task.id) === entry) {
+                this.inFlight.delete(task.id);
+            }
+            this.flushJournal();
+        });
+        this.inFlight.set(task.id, entry);
+        return entry.promise;
+    }
+
+    /**
+     * Runs a dispatch to the assigned agent and routes the outcome.
+     * The dispatch is aborted once the task's timeoutMs (or the engine default) elapses.
+     * @param {Object} task 
+     * @param {string} agentId 
+     * @param {AbortController} controller Aborted on timeout or cancellation
+     */
+    async executeTask(task, agentId, controller) {
+        const timeoutMs = task.timeoutMs || this.options.dispatchTimeoutMs;
+        const timer = setTimeout(() => {
+            controller.abort(new TransportError(`Task ${task.id} exceeded its ${timeoutMs}ms execution timeout`, { code: 'TIMEOUT' }));
+        }, timeoutMs);
+
+        // Bounds dispatch implementations that ignore the signal
+        const aborted = new Promise((_, reject) => {
+            controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+        });
+
+        try {
+            const result = await Promise.race([
+                this.dispatchToAgent(this.agents[agentId], task, { signal: controller.signal }),
+                aborted
+            ]);
+            if (this.isDispatchStale(task, agentId)) return;
+            this.handleAgentResult(task, agentId, result);
+        } catch (error) {
+            // Cancellation or agent eviction already released the agent and resources
+            if (this.isDispatchStale(task, agentId)) return;
+            if (error instanceof TransportError && error.code === 'TIMEOUT') {
+                logger.warn('TASK_TIMEOUT', `Task ${task.id} timed out on agent ${agentId} after ${timeoutMs}ms`, { taskId: task.id, agentId, timeoutMs });
+            }
+            this.handleDispatchError(task, agentId, error);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Cancels a task, aborting its in-flight dispatch, releasing its resources and agent,
+     * and cascading to its subtasks and to every task that depends on it.
+     * @param {string} taskId 
+     * @param {string} reason 
+     * @returns {string[]} IDs of all tasks cancelled
+     */
+    cancelTask(taskId, reason = 'Cancelled by request') {
+        const task = this.taskQueue.find(t => t.id === taskId);
+        if (!task) {
+            logger.error('CANCELLATION_FAILED', `Task ${taskId} not found`);
+            throw new Error(`Task ${taskId} not found`);
+        }
+
+        if (['completed', 'failed', 'cancelled', 'skipped'].includes(task.status)) {
+            logger.warn('CANCELLATION_FAILED', `Task ${taskId} is already ${task.status}`, { taskId, status: task.status });
+            throw new Error(`Task ${taskId} is already ${task.status}`);
+        }
+
+        const cancelled = [];
+        this.cancelTaskTree(task, reason, cancelled);
+
+        // A cancelled subtask may be the last one its parent was waiting for
+        if (task.parentTaskId) {
+            this.checkAndAggregateParent(task.parentTaskId);
+        }
+
+        this.flushJournal();
+        return cancelled;
+    }
+
+    /**
+     * Recursive part of cancelTask.
+     * @param {Object} task 
+     * @param {string} reason 
+     * @param {string[]} cancelled Accumulator of cancelled task IDs
+     */
+    cancelTaskTree(task, reason, cancelled) {
+        if (['completed', 'failed', 'cancelled', 'skipped'].includes(task.status)) return;
+
+        const wasProcessing = task.status === 'processing';
+        task.status = 'cancelled';
+        task.cancelReason = reason;
+        task.cancelledAt = new Date().toISOString();
+        cancelled.push(task.id);
+        this.recordTaskEvent(DomainEventTypes.TASK_CANCELLED, task, { reason, agentId: wasProcessing ? task.assignedTo : null });
+
+        const dispatch = this.inFlight.get(task.id);
+        if (dispatch) {
+            dispatch.controller.abort(new TransportError(`Task ${task.id} cancelled: ${reason}`, { code: 'CANCELLED' }));
+            this.inFlight.delete(task.id);
+        }
+
+        if (wasProcessing) {
+            this.releaseAgent(task.assignedTo);
+            this.releaseTaskResources(task, 'RESOURCE_RELEASED_ON_CANCEL', 'cancellation');
+        }
+
+        logger.warn('TASK_CANCELLED', `Task ${task.id} cancelled. Reason: ${reason}`, {
+            taskId: task.id,
+            reason,
+            assignedTo: task.assignedTo,
+            wasProcessing
+        });
+
+        for (const subtaskId of task.subtasks || []) {
+            const subtask = this.taskQueue.find(t => t.id === subtaskId);
+            if (subtask) this.cancelTaskTree(subtask, `Parent ${task.id} cancelled`, cancelled);
+        }
+
+        for (const dependent of this.taskQueue.filter(t => (t.dependencies || []).includes(task.id))) {
+            this.cancelTaskTree(dependent, `Dependency ${task.id} cancelled`, cancelled);
+        }
+
+        // An output held at an approval gate was never released
+        if (task.approvalRequest?.gate === 'output') {
+            delete this.taskOutputs[task.id];
+        }
+
+        for (const review of this.taskQueue.filter(t => t.reviewOf?.taskId === task.id)) {
+            this.cancelTaskTree(review, `Reviewed task ${task.id} cancelled`, cancelled);
+        }
     }
 
     /**
-     * Alias for processQueue for backward compatibility
+     * True when a settling dispatch no longer owns its task,
+     * e.g. because the task was cancelled or requeued after its agent went offline.
+     * @param {Object} task 
+     * @param {string} agentId 
+     * @returns {boolean}
      */
-    async assignTasks() {
-        return this.processQueue();
+    isDispatchStale(task, agentId) {
+        return task.status !== 'processing' || task.assignedTo !== agentId;
     }
 
     /**
-     * Allows an agent to attempt to claim a specific task.
-     * This simulates race conditions where multiple agents might try to grab the same task.
+     * Returns a busy agent to the idle pool. Agents marked unhealthy or offline keep
+     * that status until their next heartbeat.
      * @param {string} agentId 
-     * @param {string} taskId 
-     * @returns {Promise<boolean>} Success or failure of the claim
      */
-    async agentClaimTask(agentId, taskId) {
-        const task = this.taskQueue.find(t => t.id === taskId);
+    releaseAgent(agentId) {
         const agent = this.agents[agentId];
-
-        if (!task || !agent) {
-            logger.error('CLAIM_FAILED', `Invalid task or agent for claim: Task ${taskId}, Agent ${agentId}`);
-            return false;
-        }
-
-        // Conflict Check: Is the task already claimed or processing?
-        if (task.status !== 'pending') {
-            logger.warn('TASK_ALREADY_CLAIMED', `Agent ${agentId} tried to claim task ${taskId}, but it is already ${task.status}`, {
-                taskId,
-                currentStatus: task.status,
-                assignedTo: task.assignedTo
-            });
-            return false;
-        }
-
-        // Success Probability Check (Meta-Reflection Integration)
-        const prediction = this.metaReflection.predictSuccess(agent, task);
-        if (prediction < 0.3) {
-            logger.warn('CLAIM_REJECTED_LOW_PROBABILITY', `Agent ${agentId} claim for ${taskId} rejected due to extremely low success probability (${prediction})`);
-            return false;
+        if (agent && agent.status === 'busy') {
+            this.setAgentStatus(agentId, 'idle');
         }
+    }
 
-        // Atomic Assignment (Simulated)
-        // In a real distributed system, this would be a CAS (Compare-And-Swap) operation or a lock.
-        task.status = 'processing';
-        task.assignedTo = agentId;
-        agent.status = 'busy';
+    /**
+     * Changes an agent's status and records the transition.
+     * @param {string} agentId 
+     * @param {string} status 'idle' | 'busy' | 'unhealthy' | 'offline'
+     * @param {string} reason Optional cause of the transition
+     */
+    setAgentStatus(agentId, status, reason = null) {
+        const agent = this.agents[agentId];
+        if (!agent || agent.status === status) return;
 
-        logger.info('TASK_CLAIM_SUCCESS', `Agent ${agentId} successfully claimed task ${taskId}`, {
-            taskId,
+        const previousStatus = agent.status;
+        agent.status = status;
+        this.recordEvent(DomainEventTypes.AGENT_STATUS_CHANGED, {
+            entity: 'agent',
             agentId,
-            predictedSuccess: prediction
+            changes: { status },
+            data: { previousStatus, reason }
         });
+    }
 
-        // Trigger execution
-        try {
-            const result = await this.dispatchToAgent(agent, task);
-            this.logOutput(taskId, agentId, result);
-            return true;
-        } catch (error) {
-            this.handleTaskFailure(task, agentId, error);
-            return false;
+    /**
+     * Records a heartbeat from an agent. An unhealthy or offline agent recovers immediately.
+     * @param {string} agentId 
+     * @param {Object} payload Optional self-reported state (e.g. load, version)
+     * @returns {Object} { agentId, status, lastHeartbeat }
+     */
+    recordHeartbeat(agentId, payload = {}) {
+        const agent = this.agents[agentId];
+        if (!agent) {
+            throw new Error(`Agent ${agentId} not found`);
+        }
+
+        agent.lastHeartbeat = new Date().toISOString();
+        agent.heartbeatData = payload;
+        this.markDirty('agents', agentId);
+
+        if (agent.status === 'unhealthy' || agent.status === 'offline') {
+            const previousStatus = agent.status;
+            const holdsTask = this.taskQueue.some(t => t.status === 'processing' && t.assignedTo === agentId);
+            this.setAgentStatus(agentId, holdsTask ? 'busy' : 'idle', 'Heartbeat received');
+            logger.info('AGENT_RECOVERED', `Agent ${agentId} recovered from ${previousStatus} and is ${agent.status}`, {
+                agentId,
+                previousStatus,
+                status: agent.status
+            });
         }
+
+        this.flushJournal();
+        return { agentId, status: agent.status, lastHeartbeat: agent.lastHeartbeat };
     }
 
     /**
-     * Dequeues and processes available tasks.
-     * Also performs health checks for cycles and stalls.
+     * Marks agents that stopped sending heartbeats as unhealthy (no new tasks) or
+     * offline (held tasks are requeued). Agents that never sent a heartbeat are not tracked.
      */
-    async processQueue() {
-        this.detectAndHandleCycles();
-        const nextTask = this.taskQueue.find(t => {
-            if (t.status !== 'pending') return false;
+    sweepAgentLiveness() {
+        const { unhealthyAfterMs, offlineAfterMs } = this.options.heartbeat;
+        const now = Date.now();
 
-            // If it has initialized subtasks, it's a parent waiting for them
-            if (t.subtasks && t.subtasks.length > 0) return false;
+        for (const agent of Object.values(this.agents)) {
+            if (!agent.lastHeartbeat || agent.status === 'offline') continue;
 
-            // Dependency check: all dependency tasks must be completed
-            if (t.dependencies && t.dependencies.length > 0) {
-                const depStatuses = t.dependencies.map(depId => {
-                    const depTask = this.taskQueue.find(task => task.id === depId);
-                    return depTask ? depTask.status : 'missing';
-                });
+            const silenceMs = now - new Date(agent.lastHeartbeat).getTime();
 
-                // If any dependency failed or is missing, this task cannot proceed as planned
-                if (depStatuses.some(s => s === 'failed' || s === 'missing')) {
-                    logger.error('DEPENDENCY_FAILURE_CASCADE', `Task ${t.id} cannot proceed because dependencies failed or are missing`, { taskId: t.id, depStatuses });
-                    this.handleTaskFailure(t, 'SYSTEM_DEPENDENCY_MANAGER', new Error('Dependency failed or missing'));
-                    return false;
-                }
+            if (silenceMs >= offlineAfterMs) {
+                this.setAgentStatus(agent.id, 'offline', `No heartbeat for ${silenceMs}ms`);
+                const heldTasks = this.taskQueue.filter(t => t.status === 'processing' && t.assignedTo === agent.id);
 
-                const allDepsMet = depStatuses.every(s => s === 'completed');
-                if (!allDepsMet) return false;
-            }
+                logger.error('AGENT_OFFLINE', `Agent ${agent.id} missed heartbeats for ${silenceMs}ms. Requeuing ${heldTasks.length} held tasks.`, {
+                    agentId: agent.id,
+                    silenceMs,
+                    heldTasks: heldTasks.map(t => t.id)
+                });
 
-            // Resource availability check
-            if (t.resourceRequirements) {
-                for (const [resId, reqType] of Object.entries(t.resourceRequirements)) {
-                    const res = this.resources[resId];
-                    if (!res) {
-                        logger.warn('RESOURCE_MISSING', `Task ${t.id} requires missing resource ${resId}`);
-                        return false;
-                    }
-                    if (reqType === 'exclusive' && (res.currentUsage > 0 || res.lockedBy)) {
-                        return false; // Resource busy
-                    }
-                    if (reqType === 'parallel' && res.type === 'exclusive' && res.lockedBy) {
-                        return false; // Exclusive lock exists
-                    }
-                    if (reqType === 'parallel' && res.currentUsage >= res.capacity) {
-                        return false; // Capacity reached
+                for (const task of heldTasks) {
+                    const dispatch = this.inFlight.get(task.id);
+                    if (dispatch) {
+                        dispatch.controller.abort(new TransportError(`Agent ${agent.id} went offline`, { code: 'CONNECTION_FAILED' }));
+                        this.inFlight.delete(task.id);
                     }
+                    task.lease = null;
+                    this.handleTaskReassignment(task, agent.id, `Agent ${agent.id} went offline`, 'CONNECTION_FAILED');
                 }
+            } else if (silenceMs >= unhealthyAfterMs && (agent.status === 'idle' || agent.status === 'busy')) {
+                this.setAgentStatus(agent.id, 'unhealthy', `No heartbeat for ${silenceMs}ms`);
+                logger.warn('AGENT_UNHEALTHY', `Agent ${agent.id} missed heartbeats for ${silenceMs}ms. Excluding from new assignments.`, {
+                    agentId: agent.id,
+                    silenceMs
+                });
             }
+        }
+    }
 
-            return true;
-        });
-
-        if (!nextTask) return;
-
-        const { agentId, predictedSuccess } = this.metaReflection.evaluateAssignment(nextTask, nextTask.failedAgents || []);
-        if (!agentId) return;
+    /**
+     * Validates an agent result and either records it or reassigns the task on low confidence.
+     * @param {Object} task 
+     * @param {string} agentId 
+     * @param {Object} result 
+     */
+    handleAgentResult(task, agentId, result) {
+        // Robustness: Handle nonsensical results (null, undefined, non-objects)
+        if (!result || typeof result !== 'object') {
+            throw new Error(`Agent ${agentId} returned invalid result type: ${typeof result}`);
+        }
 
-        // Meta-Reflection Check: Before assigning, check predicted success probability
-        if (predictedSuccess < this.metaReflection.threshold) {
-            const strategy = this.metaReflection.suggestRemediation(nextTask, predictedSuccess);
+        // Logic for dynamic reassignment if confidence is too low
+        const CONFIDENCE_THRESHOLD = 0.6;
+        const confidenceScore = typeof result.confidenceScore === 'number' ? result.confidenceScore : 0;
 
-            logger.warn('LOW_PREDICTED_SUCCESS', `Task ${nextTask.id} has low predicted success (${predictedSuccess}). Applying strategy: ${strategy}`, {
-                taskId: nextTask.id,
+        if (confidenceScore < CONFIDENCE_THRESHOLD) {
+            logger.warn('LOW_CONFIDENCE_REASSIGNMENT', `Agent ${agentId} reported low confidence (${confidenceScore}) for task ${task.id}. Reassigning...`, {
+                taskId: task.id,
                 agentId,
-                strategy
+                confidenceScore
             });
 
-            if (strategy === 'SPLIT') {
-                this.handleTaskSplitting(nextTask);
-                return;
-            } else if (strategy === 'COLLABORATE') {
-                this.handleTaskCollaboration(nextTask);
-                // Proceed with collaboration flag
-            } else if (strategy === 'REROUTE') {
-                // Return to queue, effectively waiting for a more suitable agent or state
-                logger.info('TASK_REROUTED', `Task ${nextTask.id} rerouted/delayed for better agent compatibility`);
+            this.handleTaskReassignment(task, agentId, `Low confidence score: ${confidenceScore}`, 'LOW_CONFIDENCE');
+            return;
+        }
 
-                // Robustness: Increment retry count on reroute to prevent infinite loops
-                nextTask.retryCount = (nextTask.retryCount || 0) + 0.2; // Minor increment for reroutes
-                if (nextTask.retryCount >= 3) {
-                    this.handleTaskFailure(nextTask, 'SYSTEM_REMEDIATION_MANAGER', new Error('Task rerouted too many times without success strategy'));
-                }
+        if (task.reviewOf) {
+            const { verdict, comments, error } = readVerdict(result.resultData);
+            if (error) {
+                this.handleTaskFailure(task, agentId, new Error(error));
                 return;
             }
+            this.logOutput(task.id, agentId, result);
+            this.applyReview(task, agentId, verdict, comments);
+            return;
         }
 
-        // Lock resources
-        if (nextTask.resourceRequirements) {
-            for (const [resId, reqType] of Object.entries(nextTask.resourceRequirements)) {
-                const res = this.resources[resId];
-                res.currentUsage += 1;
-                if (reqType === 'exclusive') {
-                    res.lockedBy = nextTask.id;
-                }
-                logger.info('RESOURCE_LOCKED', `Task ${nextTask.id} locked resource ${resId} (${reqType})`, { taskId: nextTask.id, resId, usage: res.currentUsage });
+        if (task.review) {
+            this.requestReview(task, agentId, result);
+            return;
+        }
+
+        this.logOutput(task.id, agentId, result);
+    }
+
+    /**
+     * Holds an author's output back and queues a review task for a second agent of the same domain.
+     * The author is free for other work meanwhile; its performance is only scored once the verdict is in.
+     * Escalates the task when no other agent of the domain is reachable to review it.
+     * @param {Object} task 
+     * @param {string} authorId 
+     * @param {Object} output The author's result
+     */
+    requestReview(task, authorId, output) {
+        const dispatchReport = this.consumeDispatchReport(task);
+        if (this.agents[authorId]) {
+            this.releaseAgent(authorId);
+            if (dispatchReport) {
+                this.recordDispatchReport(this.agents[authorId], dispatchReport);
             }
         }
+        this.releaseTaskResources(task);
 
-        // Transition task to processing state
-        nextTask.status = 'processing';
-        nextTask.assignedTo = agentId;
-        nextTask.predictedSuccess = predictedSuccess;
-        this.agents[agentId].status = 'busy';
+        const reviewers = Object.values(this.agents).filter(a => a.id !== authorId
+            && a.domainLabels.includes(task.domainLabel) && !['unhealthy', 'offline'].includes(a.status));
+        if (reviewers.length === 0) {
+            this.escalateTask(task, `No agent other than ${authorId} in domain ${task.domainLabel} is available to review the output`);
+            return;
+        }
 
-        logger.info('TASK_DISPATCHED', `Dispatching task ${nextTask.id} to agent ${agentId} (Prob: ${predictedSuccess})`, {
-            taskId: nextTask.id,
-            agentId,
-            predictedSuccess
+        const reviewTaskId = `task_${uuidv4()}`;
+        const reviewTask = this.buildTask({
+            description: `Review: ${task.description}`,
+            domainLabel: task.domainLabel,
+            complexityScore: task.complexityScore,
+            priority: task.priority,
+            inputs: {
+                taskId: task.id,
+                description: task.description,
+                output: output.resultData,
+                confidenceScore: output.confidenceScore,
+                previousReviews: (task.reviews || []).map(({ verdict, comments }) => ({ verdict, comments }))
+            },
+            reviewOf: { taskId: task.id, authorId }
+        }, reviewTaskId);
+        this.taskQueue.push(reviewTask);
+        this.sortQueue();
+        this.recordEvent(DomainEventTypes.TASK_SUBMITTED, {
+            entity: 'task',
+            taskId: reviewTaskId,
+            domainLabel: reviewTask.domainLabel,
+            parentTaskId: null,
+            data: { task: structuredClone(reviewTask) }
         });
 
-        try {
-            const result = await this.dispatchToAgent(this.agents[agentId], nextTask);
+        const requestedAt = Date.now();
+        task.status = 'awaiting_review';
+        task.pendingReview = {
+            reviewTaskId,
+            authorId,
+            output,
+            requestedAt: new Date(requestedAt).toISOString(),
+            expiresAt: new Date(requestedAt + normalizeReview(task.review).timeoutMs).toISOString()
+        };
+        this.recordTaskEvent(DomainEventTypes.TASK_REVIEW_REQUESTED, task, { authorId, reviewTaskId });
 
-            // Robustness: Handle nonsensical results (null, undefined, non-objects)
-            if (!result || typeof result !== 'object') {
-                throw new Error(`Agent ${agentId} returned invalid result type: ${typeof result}`);
-            }
+        logger.info('TASK_REVIEW_REQUESTED', `Output of task ${task.id} by ${authorId} sent for review as ${reviewTaskId}`, {
+            taskId: task.id,
+            authorId,
+            reviewTaskId
+        });
+    }
 
-            // Logic for dynamic reassignment if confidence is too low
-            const CONFIDENCE_THRESHOLD = 0.6;
-            const confidenceScore = typeof result.confidenceScore === 'number' ? result.confidenceScore : 0;
+    /**
+     * Applies a reviewer's verdict to the reviewed task. Approval completes it with the author's output;
+     * rejection requeues it with the reviewer's comments attached, failing it after maxRejections.
+     * Either way the verdict counts toward the author's record in the task's domain.
+     * @param {Object} reviewTask 
+     * @param {string} reviewerId 
+     * @param {string} verdict 'approve' | 'reject'
+     * @param {string} comments 
+     */
+    applyReview(reviewTask, reviewerId, verdict, comments) {
+        const task = this.taskQueue.find(t => t.id === reviewTask.reviewOf.taskId);
+        if (!task || task.status !== 'awaiting_review' || task.pendingReview?.reviewTaskId !== reviewTask.id) {
+            logger.warn('REVIEW_DISCARDED', `Review ${reviewTask.id} arrived after task ${reviewTask.reviewOf.taskId} left review`, {
+                reviewTaskId: reviewTask.id,
+                taskId: reviewTask.reviewOf.taskId
+            });
+            return;
+        }
 
-            if (confidenceScore < CONFIDENCE_THRESHOLD) {
-                logger.warn('LOW_CONFIDENCE_REASSIGNMENT', `Agent ${agentId} reported low confidence (${confidenceScore}) for task ${nextTask.id}. Reassigning...`, {
-                    taskId: nextTask.id,
-                    agentId,
-                    confidenceScore
-                });
+        const { authorId, output } = task.pendingReview;
+        const approved = verdict === 'approve';
+        task.pendingReview = null;
+        task.reviews = [...(task.reviews || []), {
+            reviewTaskId: reviewTask.id,
+            reviewerId,
+            authorId,
+            verdict,
+            comments,
+            reviewedAt: new Date().toISOString()
+        }];
+        this.recordTaskEvent(DomainEventTypes.TASK_REVIEWED, task, { reviewerId, authorId, verdict, comments });
+
+        logger.info('TASK_REVIEWED', `Reviewer ${reviewerId} ${approved ? 'approved' : 'rejected'} the output of task ${task.id}`, {
+            taskId: task.id,
+            reviewerId,
+            authorId,
+            verdict
+        });
 
-                this.handleTaskReassignment(nextTask, agentId, `Low confidence score: ${confidenceScore}`);
-                return;
+        if (this.agents[authorId]) {
+            this.updateAgentPerformance(authorId, approved, approved ? output.actualImpact || 0 : 0, task.domainLabel);
+        }
+
+        if (approved) {
+            this.logOutput(task.id, authorId, output);
+            return;
+        }
+
+        const { maxRejections } = normalizeReview(task.review);
+        const rejections = task.reviews.filter(r => r.verdict === 'reject').length;
+        const reason = `Rejected in review by ${reviewerId}${comments ? `: ${comments}` : ''}`;
+
+        if (rejections < maxRejections) {
+            task.status = 'pending';
+            task.assignedTo = null;
+            this.recordTaskEvent(DomainEventTypes.TASK_REQUEUED, task, { agentId: authorId, reason });
+            logger.info('TASK_REQUEUED', `Task ${task.id} returned to queue with review feedback (${rejections}/${maxRejections} rejections)`);
+        } else {
+            task.status = 'failed';
+            this.recordTaskEvent(DomainEventTypes.TASK_FAILED, task, { agentId: authorId, reason: `${reason} (${rejections} rejections)` });
+            logger.error('TASK_ABORTED', `Task ${task.id} failed after ${rejections} rejected reviews.`);
+
+            if (task.parentTaskId) {
+                this.checkAndAggregateParent(task.parentTaskId);
             }
+        }
+    }
 
-            this.logOutput(nextTask.id, agentId, result);
-        } catch (error) {
-            this.handleTaskFailure(nextTask, agentId, error);
+    /**
+     * Fails the reviewed task when its review task could not be completed.
+     * @param {Object} reviewTask 
+     * @param {string} reason 
+     */
+    abandonReview(reviewTask, reason = `Review task ${reviewTask.id} failed`) {
+        const task = this.taskQueue.find(t => t.id === reviewTask.reviewOf.taskId);
+        if (!task || task.status !== 'awaiting_review' || task.pendingReview?.reviewTaskId !== reviewTask.id) return;
+
+        task.status = 'failed';
+        task.pendingReview = null;
+        this.recordTaskEvent(DomainEventTypes.TASK_FAILED, task, { agentId: null, reason });
+        logger.error('TASK_ABORTED', `Task ${task.id} failed because its review could not be completed.`);
+
+        if (task.parentTaskId) {
+            this.checkAndAggregateParent(task.parentTaskId);
+        }
+    }
+
+    /**
+     * Materializes a declarative workflow: a parent task whose subtasks are the workflow's nodes,
+     * with dependsOn references between nodes resolved to task IDs. The whole document is validated,
+     * cycles included, before anything is queued.
+     * @param {Object} workflow { name, description, domainLabel, priority, callbackUrl, failurePolicy, aggregationStrategy, nodes: { key: taskSpec } }
+     * @param {Object} options
+     * @param {Object} options.template { name, params } when the workflow was instantiated from a template
+     * @returns {string} The workflow ID, which is also the ID of its parent task
+     * @throws {Error} If the document is invalid
+     */
+    createWorkflow(workflow, { template = null } = {}) {
+        const validation = validateWorkflow(workflow);
+        if (validation.isValid) {
+            validation.errors.push(...this.findUnknownAggregationStrategies([workflow, ...Object.values(workflow.nodes)]));
+        }
+        if (validation.errors.length > 0) {
+            logger.error('WORKFLOW_SUBMISSION_FAILED', 'Workflow validation failed', { errors: validation.errors, name: workflow.name });
+            throw new Error(`Invalid Workflow: ${validation.errors.join(' ')}`);
+        }
+
+        const nodes = Object.entries(workflow.nodes);
+        const workflowId = `workflow_${uuidv4()}`;
+        const parentTask = this.buildTask({
+            description: workflow.description || workflow.name,
+            domainLabel: workflow.domainLabel || nodes[0][1].domainLabel,
+            complexityScore: Math.max(...nodes.map(([, node]) => node.complexityScore)),
+            priority: workflow.priority,
+            callbackUrl: workflow.callbackUrl,
+            failurePolicy: workflow.failurePolicy,
+            aggregationStrategy: workflow.aggregationStrategy
+        }, workflowId);
+        parentTask.workflowId = workflowId;
+        parentTask.workflowName = workflow.name;
+        if (template) {
+            parentTask.template = template;
+        }
+
+        this.taskQueue.push(parentTask);
+        logger.info('WORKFLOW_SUBMITTED', `Workflow ${workflowId} (${workflow.name}) submitted with ${nodes.length} nodes`, {
+            workflowId,
+            name: workflow.name,
+            nodes: nodes.map(([key]) => key)
+        });
+        this.recordEvent(DomainEventTypes.TASK_SUBMITTED, {
+            entity: 'task',
+            taskId: workflowId,
+            domainLabel: parentTask.domainLabel,
+            parentTaskId: null,
+            data: { task: structuredClone(parentTask) }
+        });
+
+        // Journals parent and nodes together
+        this.decomposeTask(workflowId, nodes.map(([key, node]) => ({ ...node, key })));
+        return workflowId;
+    }
+
+    /**
+     * Registers a parameterized workflow that can be run repeatedly with runTemplate.
+     * @param {Object} template { name, description, domainLabel, priority, callbackUrl, failurePolicy, aggregationStrategy, parameters: { name: { description, default } }, nodes }
+     * @returns {Object} The stored template
+     * @throws {Error} If the template is invalid or the name is taken
+     */
+    registerTemplate(template) {
+        const validation = validateTemplate(template, this.templates);
+        if (!validation.isValid) {
+            logger.error('TEMPLATE_REGISTRATION_FAILED', 'Template validation failed', { errors: validation.errors, name: template.name });
+            throw new Error(`Invalid Template: ${validation.errors.join(' ')}`);
+        }
+
+        const { name, description, domainLabel, priority, callbackUrl, failurePolicy, aggregationStrategy, parameters = {}, nodes } = template;
+        this.templates[name] = structuredClone({
+            name, description, domainLabel, priority, callbackUrl, failurePolicy, aggregationStrategy, parameters, nodes, createdAt: new Date().toISOString()
+        });
+
+        logger.info('TEMPLATE_REGISTERED', `Template ${name} registered with ${Object.keys(nodes).length} nodes`, {
+            name,
+            parameters: Object.keys(parameters)
+        });
+        this.markDirty('templates', name);
+        this.flushJournal();
+        return this.templates[name];
+    }
+
+    /**
+     * Removes a workflow template. Workflows already started from it are unaffected.
+     * @param {string} name 
+     * @returns {boolean} False if no such template exists
+     */
+    removeTemplate(name) {
+        if (!this.templates[name]) return false;
+
+        delete this.templates[name];
+        logger.info('TEMPLATE_REMOVED', `Template ${name} removed`, { name });
+        this.markDirty('templates', name);
+        this.flushJournal();
+        return true;
+    }
+
+    /**
+     * Instantiates a template with parameters and submits it as a workflow.
+     * @param {string} name 
+     * @param {Object} params Mapping of parameter name to value
+     * @returns {string} The workflow ID
+     * @throws {Error} If the template does not exist, or the parameters or rendered workflow are invalid
+     */
+    runTemplate(name, params = {}) {
+        const template = this.templates[name];
+        if (!template) {
+            throw new Error(`Template ${name} not found`);
+        }
+
+        const { workflow, errors } = instantiateTemplate(template, params);
+        if (errors.length > 0) {
+            logger.error('TEMPLATE_RUN_FAILED', `Template ${name} could not be instantiated`, { name, errors });
+            throw new Error(`Invalid Template Parameters: ${errors.join(' ')}`);
+        }
+
+        return this.createWorkflow(workflow, { template: { name, params: structuredClone(params) } });
+    }
+
+    /**
+     * Describes a workflow's graph and progress.
+     * @param {string} workflowId 
+     * @returns {Object|null} Null if no such workflow exists
+     */
+    getWorkflow(workflowId) {
+        const parentTask = this.taskQueue.find(t => t.id === workflowId && t.workflowId === workflowId);
+        if (!parentTask) return null;
+
+        const nodes = parentTask.subtasks
+            .map(id => this.taskQueue.find(t => t.id === id))
+            .filter(Boolean);
+        const keysById = Object.fromEntries(nodes.map(n => [n.id, n.key]));
+        const counts = {};
+        for (const node of nodes) {
+            counts[node.status] = (counts[node.status] || 0) + 1;
         }
+        const finished = (counts.completed || 0) + (counts.failed || 0) + (counts.cancelled || 0) + (counts.skipped || 0);
+
+        return {
+            workflowId,
+            name: parentTask.workflowName,
+            template: parentTask.template || null,
+            status: parentTask.status,
+            submittedAt: parentTask.timestamp,
+            progress: {
+                total: nodes.length,
+                finished,
+                percent: nodes.length > 0 ? Math.round((finished / nodes.length) * 100) : 0,
+                byStatus: counts
+            },
+            nodes: nodes.map(node => ({
+                key: node.key,
+                taskId: node.id,
+                description: node.description,
+                domainLabel: node.domainLabel,
+                status: node.status,
+                assignedTo: node.assignedTo,
+                dependsOn: node.dependencies.map(id => keysById[id] || id),
+                output: this.taskOutputs[node.id] || null
+            })),
+            output: this.taskOutputs[workflowId] || null
+        };
     }
 
     /**
      * Splits a complex task into multiple subtasks with dependencies.
+     * Subtasks may set a `key` and list sibling keys in `dependsOn`; these are resolved to the generated IDs.
      * @param {string} parentTaskId The ID of the task to decompose
      * @param {Array<Object>} subtaskSpecs Definitions of the subtasks
+     * @param {Object} options
+     * @param {string|Object} options.failurePolicy Replaces the parent's policy for failed subtasks
+     * @param {string} options.aggregationStrategy Replaces the parent's aggregation strategy
+     * @returns {string[]} IDs of the parent's subtasks
+     * @throws {Error} If the parent is missing, a dependsOn key is unknown, or the failure policy or aggregation strategy is invalid
      */
-    decomposeTask(parentTaskId, subtaskSpecs) {
+    decomposeTask(parentTaskId, subtaskSpecs, { failurePolicy, aggregationStrategy } = {}) {
         const parentTask = this.taskQueue.find(t => t.id === parentTaskId);
         if (!parentTask) {
             logger.error('DECOMPOSITION_FAILED', `Parent task ${parentTaskId} not found`);
             throw new Error(`Parent task ${parentTaskId} not found`);
         }
 
+        const optionErrors = [
+            ...validateFailurePolicy(failurePolicy),
+            ...validateAggregationStrategy(aggregationStrategy),
+            ...this.findUnknownAggregationStrategies([{ aggregationStrategy }, ...subtaskSpecs])
+        ];
+        if (optionErrors.length > 0) {
+            logger.error('DECOMPOSITION_FAILED', 'Invalid decomposition options', { parentTaskId, errors: optionErrors });
+            throw new Error(optionErrors.join(' '));
+        }
+
+        // Subtasks can name each other by key (dependsOn) before their IDs exist
+        const idsByKey = {};
+        for (const spec of subtaskSpecs) {
+            if (spec.key) idsByKey[spec.key] = `subtask_${uuidv4()}`;
+        }
+        for (const spec of subtaskSpecs) {
+            const unknown = (spec.dependsOn || []).filter(key => !idsByKey[key]);
+            if (unknown.length > 0) {
+                logger.error('DECOMPOSITION_FAILED', `Subtask references unknown keys: ${unknown.join(', ')}`, { parentTaskId });
+                throw new Error(`Subtask "${spec.key || spec.description}" depends on unknown subtask keys: ${unknown.join(', ')}`);
+            }
+        }
+
         parentTask.status = 'waiting_for_subtasks';
+        if (failurePolicy !== undefined) {
+            parentTask.failurePolicy = failurePolicy;
+        }
+        if (aggregationStrategy !== undefined) {
+            parentTask.aggregationStrategy = aggregationStrategy;
+        }
 
         logger.info('TASK_DECOMPOSITION', `Decomposing complex task ${parentTaskId} into ${subtaskSpecs.length} subtasks`, {
             parentTaskId,
@@ -417,26 +2496,36 @@ class CoreEngine {
         });
 
         for (const spec of subtaskSpecs) {
-            const subtaskId = `subtask_${uuidv4()}`;
+            const subtaskId = idsByKey[spec.key] || `subtask_${uuidv4()}`;
             const subtask = {
                 ...spec,
                 id: subtaskId,
                 taskID: subtaskId,
                 parentTaskId: parentTaskId,
+                workflowId: parentTask.workflowId || null,
                 status: 'pending',
-                dependencies: spec.dependencies || [],
+                dependencies: [...(spec.dependencies || []), ...(spec.dependsOn || []).map(key => idsByKey[key])],
                 subtasks: [],
                 timestamp: new Date().toISOString(),
                 assignedTo: null,
                 retryCount: 0,
                 failedAgents: []
             };
+            const deadline = resolveDeadline(spec);
+            if (deadline) subtask.deadline = deadline;
 
             // Calculate predicted impact for subtasks
             subtask.predictedImpact = this.metaReflection.predictImpact(subtask);
 
             this.taskQueue.push(subtask);
             parentTask.subtasks.push(subtaskId);
+            this.recordEvent(DomainEventTypes.SUBTASK_CREATED, {
+                entity: 'task',
+                taskId: subtaskId,
+                domainLabel: subtask.domainLabel,
+                parentTaskId,
+                data: { task: structuredClone(subtask), parentTaskId }
+            });
 
             logger.info('SUBTASK_CREATED', `Subtask ${subtaskId} created for parent ${parentTaskId} (Impact: ${subtask.predictedImpact})`, {
                 subtaskId,
@@ -447,13 +2536,12 @@ class CoreEngine {
             });
         }
 
+        this.recordTaskEvent(DomainEventTypes.TASK_DECOMPOSED, parentTask, { subtaskIds: [...parentTask.subtasks] });
+
         // Re-sort queue: Priority first, then Predicted Impact
-        this.taskQueue.sort((a, b) => {
-            const priorityDiff = (b.priority || 1) - (a.priority || 1);
-            if (priorityDiff !== 0) return priorityDiff;
-            return (b.predictedImpact || 0) - (a.predictedImpact || 0);
-        });
+        this.sortQueue();
 
+        this.flushJournal();
         return parentTask.subtasks;
     }
 
@@ -473,13 +2561,11 @@ class CoreEngine {
         task.priority = newPriority;
 
         // Re-sort queue
-        this.taskQueue.sort((a, b) => {
-            const priorityDiff = (b.priority || 1) - (a.priority || 1);
-            if (priorityDiff !== 0) return priorityDiff;
-            return (b.predictedImpact || 0) - (a.predictedImpact || 0);
-        });
+        this.sortQueue();
 
         logger.info('TASK_PRIORITY_UPDATED', `Task ${taskId} priority changed from ${oldPriority} to ${newPriority}`, { taskId, oldPriority, newPriority });
+        this.recordTaskEvent(DomainEventTypes.TASK_PRIORITY_CHANGED, task, { oldPriority, newPriority });
+        this.flushJournal();
     }
 
     /**
@@ -498,7 +2584,31 @@ class CoreEngine {
         if (!task.dependencies.includes(dependencyId)) {
             task.dependencies.push(dependencyId);
             logger.info('TASK_DEPENDENCY_ADDED', `Task ${taskId} now depends on ${dependencyId}`, { taskId, dependencyId });
+            this.recordTaskEvent(DomainEventTypes.TASK_DEPENDENCY_ADDED, task, { dependencyId });
+            this.flushJournal();
+        }
+    }
+
+    /**
+     * True when making a task depend on dependencyId would close a dependency cycle.
+     * @param {string} taskId 
+     * @param {string} dependencyId 
+     * @returns {boolean}
+     */
+    wouldCreateCycle(taskId, dependencyId) {
+        const stack = [dependencyId];
+        const visited = new Set();
+
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (id === taskId) return true;
+            if (visited.has(id)) continue;
+            visited.add(id);
+
+            const task = this.taskQueue.find(t => t.id === id);
+            if (task) stack.push(...(task.dependencies || []));
         }
+        return false;
     }
 
     /**
@@ -520,6 +2630,7 @@ class CoreEngine {
 
         // Remove old subtasks from queue and parent's list
         this.taskQueue = this.taskQueue.filter(t => !subtaskIdsToMerge.includes(t.id));
+        subtaskIdsToMerge.forEach(id => this.markDirty('tasks', id));
         parentTask.subtasks = parentTask.subtasks.filter(id => !subtaskIdsToMerge.includes(id));
 
         // Create the merged subtask
@@ -542,6 +2653,14 @@ class CoreEngine {
 
         this.taskQueue.push(mergedSubtask);
         parentTask.subtasks.push(mergedTaskId);
+        this.recordTaskEvent(DomainEventTypes.SUBTASKS_MERGED, parentTask, { removedIds: subtaskIdsToMerge, mergedTaskId });
+        this.recordEvent(DomainEventTypes.SUBTASK_CREATED, {
+            entity: 'task',
+            taskId: mergedTaskId,
+            domainLabel: mergedSubtask.domainLabel,
+            parentTaskId,
+            data: { task: structuredClone(mergedSubtask), parentTaskId }
+        });
 
         logger.info('SUBTASKS_MERGED', `Merged ${subtaskIdsToMerge.length} subtasks into ${mergedTaskId}`, {
             parentTaskId,
@@ -551,12 +2670,9 @@ class CoreEngine {
         });
 
         // Re-sort queue
-        this.taskQueue.sort((a, b) => {
-            const priorityDiff = (b.priority || 1) - (a.priority || 1);
-            if (priorityDiff !== 0) return priorityDiff;
-            return (b.predictedImpact || 0) - (a.predictedImpact || 0);
-        });
+        this.sortQueue();
 
+        this.flushJournal();
         return mergedTaskId;
     }
 
@@ -596,78 +2712,176 @@ class CoreEngine {
         task.isCollaborative = true;
         task.priority = Math.min((task.priority || 1) + 2, 10); // Increase priority for collaborative efforts
 
-        // In this core, we signal collaboration by adding a metadata flag that the agent can read
-        task.suggestedAction = 'USE_COLLABORATION_PROTOCOL';
+        // In this core, we signal collaboration by adding a metadata flag that the agent can read
+        task.suggestedAction = 'USE_COLLABORATION_PROTOCOL';
+        this.recordTaskEvent(DomainEventTypes.TASK_COLLABORATION_REQUESTED, task);
+    }
+
+    /**
+     * Handles task reassignment logic for low confidence or non-fatal issues
+     * @param {Object} task 
+     * @param {string} agentId 
+     * @param {string} reason 
+     * @param {string} errorClass Retry policy class of the cause, e.g. 'LOW_CONFIDENCE'
+     */
+    handleTaskReassignment(task, agentId, reason, errorClass = 'AGENT_REJECTED') {
+        const dispatchReport = this.consumeDispatchReport(task);
+        if (this.agents[agentId]) {
+            this.releaseAgent(agentId);
+            if (dispatchReport) {
+                this.recordDispatchReport(this.agents[agentId], dispatchReport);
+            }
+        }
+
+        task.retryCount += 1;
+        task.failedAgents = task.failedAgents || [];
+        task.failedAgents.push(agentId);
+
+        if (this.scheduleRetry(task, agentId, reason, errorClass)) {
+            logger.info('TASK_REQUEUED', `Task ${task.id} returned to queue for next-best agent. Reason: ${reason}`, { retryAt: task.notBefore });
+        } else {
+            task.status = 'failed';
+            this.recordTaskEvent(DomainEventTypes.TASK_FAILED, task, { agentId, reason, errorClass });
+            logger.error('TASK_ABORTED', `Task ${task.id} aborted after ${task.retryCount} reassignment attempt(s). Reason: ${reason}`);
+        }
+
+        // Release resources on failure
+        this.releaseTaskResources(task, 'RESOURCE_RELEASED_ON_FAILURE', 'failure');
+
+        // A failed subtask may be the last one its parent was waiting for
+        if (task.status === 'failed' && task.parentTaskId) {
+            this.checkAndAggregateParent(task.parentTaskId);
+        }
+        if (task.status === 'failed' && task.reviewOf) {
+            this.abandonReview(task);
+        }
+    }
+
+    /**
+     * Registers an in-process handler that agents can target with an fn://<name> endpoint.
+     * @param {string} name 
+     * @param {Function} handler async (payload, { agent, task }) => result
+     */
+    registerAgentFunction(name, handler) {
+        this.transports.get('fn').register(name, handler);
+        logger.info('AGENT_FUNCTION_REGISTERED', `In-process agent function fn://${name} registered`, { name });
+    }
+
+    /**
+     * Registers (or replaces) an in-process aggregation strategy that parents can select by name.
+     * @param {string} name 
+     * @param {Function} reducer (outputs, { parentTask, subtasks, collaboration }) => { resultData, confidenceScore?, aggregation? }
+     */
+    registerAggregationStrategy(name, reducer) {
+        if (typeof reducer !== 'function') {
+            throw new Error(`Aggregation strategy "${name}" must be a function`);
+        }
+        this.aggregationStrategies[name] = reducer;
+        logger.info('AGGREGATION_STRATEGY_REGISTERED', `Aggregation strategy ${name} registered`, { name });
+    }
+
+    /**
+     * Lists the aggregation strategies named by task specifications that are not registered.
+     * Custom strategies live in-process, so this is checked by the engine rather than by validateTask.
+     * @param {Object[]} specs Tasks, workflows or decomposition options that may set aggregationStrategy
+     * @returns {string[]} Errors, empty when every strategy is known
+     */
+    findUnknownAggregationStrategies(specs) {
+        return specs
+            .map(spec => spec?.aggregationStrategy)
+            .filter(name => typeof name === 'string' && !this.aggregationStrategies[name])
+            .map(name => `Unknown "aggregationStrategy": "${name}". Registered strategies are: ${Object.keys(this.aggregationStrategies).join(', ')}.`);
     }
 
     /**
-     * Handles task reassignment logic for low confidence or non-fatal issues
-     * @param {Object} task 
-     * @param {string} agentId 
-     * @param {string} reason 
+     * Selects the transport for an agent from its endpoint scheme,
+     * unless the engine forces a single transport (e.g. 'simulated').
+     * @param {Object} agent
+     * @returns {Object} { scheme, transport }
      */
-    handleTaskReassignment(task, agentId, reason) {
-        if (this.agents[agentId]) {
-            this.agents[agentId].status = 'idle';
+    getTransport(agent) {
+        if (this.options.transport) {
+            return this.transports.resolve(`${this.options.transport}://${agent.id}`);
         }
+        return this.transports.resolve(agent.apiEndpoint);
+    }
 
-        task.retryCount += 1;
-        task.failedAgents = task.failedAgents || [];
-        task.failedAgents.push(agentId);
+    /**
+     * Dispatches task to the agent through the transport matching its endpoint.
+     * Latency and failures are recorded on the task as a uniform dispatch report
+     * that updateAgentPerformance folds into the agent's metrics.
+     * @param {Object} agent 
+     * @param {Object} task 
+     * @param {Object} options
+     * @param {AbortSignal} [options.signal] Aborts the transport call on timeout or cancellation
+     * @returns {Promise<Object>} The structured output
+     */
+    async dispatchToAgent(agent, task, { signal } = {}) {
+        const startTime = Date.now();
+        const runDispatchHooks = async (name, context) => {
+            try {
+                return await this.runHooks(name, context);
+            } catch (error) {
+                throw new TransportError(`${name} hook failed: ${error.message}`, { code: 'HOOK_FAILED' });
+            }
+        };
+        let scheme = null;
+        let result;
+        let dispatchError = null;
 
-        if (task.retryCount < 3) {
-            task.status = 'pending';
-            task.assignedTo = null;
-            logger.info('TASK_REQUEUED', `Task ${task.id} returned to queue for next-best agent. Reason: ${reason}`);
-        } else {
-            task.status = 'failed';
-            logger.error('TASK_ABORTED', `Task ${task.id} aborted after multiple reassignment attempts. Reason: ${reason}`);
+        try {
+            result = await runDispatchHooks(EngineHooks.BEFORE_DISPATCH, { agent, task, signal });
+            if (result !== undefined) {
+                scheme = 'hook';
+            } else {
+                const resolved = this.getTransport(agent);
+                scheme = resolved.scheme;
+                result = await resolved.transport.send(agent, task, { signal });
+            }
+        } catch (error) {
+            dispatchError = error instanceof TransportError
+                ? error
+                : new TransportError(error.message, { code: 'CONNECTION_FAILED' });
         }
 
-        // Release resources on failure
-        if (task.resourceRequirements) {
-            for (const [resId, reqType] of Object.entries(task.resourceRequirements)) {
-                const res = this.resources[resId];
-                if (res) {
-                    res.currentUsage = Math.max(0, res.currentUsage - 1);
-                    if (reqType === 'exclusive') {
-                        res.lockedBy = null;
-                    }
-                    logger.info('RESOURCE_RELEASED_ON_FAILURE', `Task ${task.id} released resource ${resId} due to failure`, { taskId: task.id, resId });
-                }
-            }
+        try {
+            result = await runDispatchHooks(EngineHooks.AFTER_DISPATCH, { agent, task, result, error: dispatchError, latencyMs: Date.now() - startTime });
+            if (result !== undefined) dispatchError = null;
+        } catch (hookError) {
+            dispatchError = hookError;
         }
+
+        task.lastDispatch = {
+            transport: scheme,
+            latencyMs: Date.now() - startTime,
+            success: !dispatchError,
+            errorCode: dispatchError ? dispatchError.code : null
+        };
+        this.markDirty('tasks', task.id);
+        if (dispatchError) throw dispatchError;
+        return result;
     }
 
     /**
-     * Dispatches task to Agent API (Mocked Implementation)
-     * @param {Object} agent 
+     * Routes a dispatch error to reassignment when the agent declined the task,
+     * otherwise to the standard failure path.
      * @param {Object} task 
-     * @returns {Promise<Object>} The structured output
+     * @param {string} agentId 
+     * @param {Error} error 
      */
-    async dispatchToAgent(agent, task) {
-        return new Promise((resolve, reject) => {
-            // Simulated network latency
-            setTimeout(() => {
-                // Random failure simulation for error handling testing
-                if (Math.random() < 0.1) {
-                    reject(new Error('Agent API Connection Timeout'));
-                    return;
-                }
-
-                const startTime = Date.now();
-                // Simulate processing...
-                const endTime = Date.now();
+    handleDispatchError(task, agentId, error) {
+        if (error instanceof TransportError && error.reassignable) {
+            logger.warn('AGENT_DECLINED_TASK', `Agent ${agentId} declined task ${task.id}: ${error.message}`, {
+                taskId: task.id,
+                agentId,
+                code: error.code,
+                status: error.status
+            });
+            this.handleTaskReassignment(task, agentId, error.message, error.code);
+            return;
+        }
 
-                // Mocked "Actual" results
-                resolve({
-                    resultData: `Task "${task.description}" executed successfully.`,
-                    confidenceScore: parseFloat((Math.random() * (0.99 - 0.7) + 0.7).toFixed(2)),
-                    actualImpact: parseFloat((task.predictedImpact * (Math.random() * (1.2 - 0.8) + 0.8)).toFixed(1)),
-                    executionTime: (endTime - startTime) + 150 // Mocked duration
-                });
-            }, 500);
-        });
+        this.handleTaskFailure(task, agentId, error);
     }
 
     /**
@@ -764,12 +2978,27 @@ class CoreEngine {
             actualImpact: typeof output.actualImpact === 'number' ? output.actualImpact : 0,
             executionTime: typeof output.executionTime === 'number' ? output.executionTime : 0
         };
+        if (output.aggregation) {
+            this.taskOutputs[taskId].aggregation = output.aggregation;
+        }
+        if (output.droppedSubtasks) {
+            this.taskOutputs[taskId].droppedSubtasks = output.droppedSubtasks;
+        }
+
+        if (task && awaitsApproval(task, 'output')) {
+            this.holdOutputForApproval(task, agentId, collaborationMetadata);
+            return;
+        }
 
         if (task) {
+            // An output released by review or approval was returned earlier: its agent and resources were freed then
+            const heldEarlier = task.status === 'awaiting_review' || task.status === 'awaiting_approval';
             task.status = 'completed';
-            if (this.agents[agentId]) {
-                this.agents[agentId].status = 'idle';
-                this.updateAgentPerformance(agentId, true, output.actualImpact || 0, task.domainLabel);
+            this.recordTaskEvent(DomainEventTypes.TASK_COMPLETED, task, { agentId, output: { ...this.taskOutputs[taskId] } });
+            this.checkDeadline(task);
+            if (!heldEarlier && this.agents[agentId]) {
+                this.releaseAgent(agentId);
+                this.updateAgentPerformance(agentId, true, output.actualImpact || 0, task.domainLabel, this.consumeDispatchReport(task));
             }
 
             // Enhanced Execution Logging
@@ -795,17 +3024,8 @@ class CoreEngine {
             }
 
             // Release resources
-            if (task.resourceRequirements) {
-                for (const [resId, reqType] of Object.entries(task.resourceRequirements)) {
-                    const res = this.resources[resId];
-                    if (res) {
-                        res.currentUsage = Math.max(0, res.currentUsage - 1);
-                        if (reqType === 'exclusive') {
-                            res.lockedBy = null;
-                        }
-                        logger.info('RESOURCE_RELEASED', `Task ${taskId} released resource ${resId}`, { taskId, resId, usage: res.currentUsage });
-                    }
-                }
+            if (!heldEarlier) {
+                this.releaseTaskResources(task);
             }
         }
 
@@ -818,12 +3038,193 @@ class CoreEngine {
         });
     }
 
+    /**
+     * Holds a task's output at its approval gate. The output is stored so the approver can inspect it,
+     * but the task stays out of `completed`, so neither dependents nor the parent see it until it is approved.
+     * @param {Object} task 
+     * @param {string} agentId 
+     * @param {Object} collaborationMetadata 
+     */
+    holdOutputForApproval(task, agentId, collaborationMetadata) {
+        if (task.status === 'processing' && this.agents[agentId]) {
+            this.releaseAgent(agentId);
+            this.updateAgentPerformance(agentId, true, this.taskOutputs[task.id].actualImpact, task.domainLabel, this.consumeDispatchReport(task));
+        }
+        if (task.status !== 'awaiting_review') {
+            this.releaseTaskResources(task);
+        }
+        this.requestApproval(task, 'output', { agentId, collaborationMetadata });
+    }
+
+    /**
+     * Parks a task in awaiting_approval, where processQueue leaves it until a person decides.
+     * @param {Object} task 
+     * @param {string} gate 'start' | 'output'
+     * @param {Object} held For output gates, { agentId, collaborationMetadata } of the held output
+     */
+    requestApproval(task, gate, held = {}) {
+        const { expiresInMs } = normalizeApproval(task.approval);
+        const requestedAt = Date.now();
+        const expiresAt = expiresInMs ? new Date(requestedAt + expiresInMs).toISOString() : null;
+
+        task.status = 'awaiting_approval';
+        task.approvalRequest = { gate, requestedAt: new Date(requestedAt).toISOString(), expiresAt, ...held };
+        this.recordTaskEvent(DomainEventTypes.TASK_APPROVAL_REQUESTED, task, { gate, expiresAt });
+
+        logger.info('TASK_APPROVAL_REQUESTED', `Task ${task.id} is awaiting approval at its ${gate} gate`, {
+            taskId: task.id,
+            gate,
+            expiresAt
+        });
+    }
+
+    /**
+     * Signs off a task waiting at an approval gate. A start gate returns the task to the queue;
+     * an output gate releases the held output to dependents and the parent.
+     * @param {string} taskId 
+     * @param {Object} decision { approver, comment }
+     * @throws {Error} If the task does not exist, is not awaiting approval or no approver is given
+     */
+    approveTask(taskId, { approver, comment = null } = {}) {
+        this.decideApproval(this.findAwaitingApproval(taskId, approver), 'approved', approver, comment);
+        this.flushJournal();
+    }
+
+    /**
+     * Rejects a task waiting at an approval gate, failing it. Dependents fail with it.
+     * @param {string} taskId 
+     * @param {Object} decision { approver, comment }
+     * @throws {Error} If the task does not exist, is not awaiting approval or no approver is given
+     */
+    rejectTask(taskId, { approver, comment = null } = {}) {
+        this.decideApproval(this.findAwaitingApproval(taskId, approver), 'rejected', approver, comment);
+        this.flushJournal();
+    }
+
+    /**
+     * Looks up a task for an approval decision.
+     * @param {string} taskId 
+     * @param {string} approver 
+     * @returns {Object}
+     */
+    findAwaitingApproval(taskId, approver) {
+        const task = this.taskQueue.find(t => t.id === taskId);
+        if (!task) {
+            throw new Error(`Task ${taskId} not found`);
+        }
+        if (task.status !== 'awaiting_approval') {
+            throw new Error(`Task ${taskId} is not awaiting approval (status: ${task.status})`);
+        }
+        if (!approver || typeof approver !== 'string') {
+            throw new Error('An approver identity is required');
+        }
+        return task;
+    }
+
+    /**
+     * Rejects tasks whose approval window has passed without a decision.
+     */
+    expireApprovals() {
+        const now = Date.now();
+        for (const task of this.taskQueue) {
+            const expiresAt = task.status === 'awaiting_approval' && task.approvalRequest?.expiresAt;
+            if (expiresAt && Date.parse(expiresAt) <= now) {
+                this.decideApproval(task, 'expired', null, `Approval expired at ${expiresAt}`);
+            }
+        }
+    }
+
+    /**
+     * Abandons reviews that were not completed in time: the review task is cancelled,
+     * aborting its dispatch if one is in flight, and the reviewed task fails.
+     */
+    expireReviews() {
+        const now = Date.now();
+        for (const task of this.taskQueue) {
+            const expiresAt = task.status === 'awaiting_review' && task.pendingReview?.expiresAt;
+            if (!expiresAt || Date.parse(expiresAt) > now) continue;
+
+            const reviewTask = this.taskQueue.find(t => t.id === task.pendingReview.reviewTaskId);
+            const reason = `Review ${task.pendingReview.reviewTaskId} not completed by ${expiresAt}`;
+            this.cancelTaskTree(reviewTask, reason, []);
+            this.abandonReview(reviewTask, reason);
+        }
+    }
+
+    /**
+     * Records an approval decision in the task's history and the execution log, then settles the gate.
+     * @param {Object} task 
+     * @param {string} decision 'approved' | 'rejected' | 'expired'
+     * @param {string} approver Null when the approval expired
+     * @param {string} comment 
+     */
+    decideApproval(task, decision, approver, comment) {
+        const { gate, agentId = null, collaborationMetadata = null } = task.approvalRequest;
+        const approved = decision === 'approved';
+        task.approvalRequest = null;
+        task.approvalDecision = { gate, decision, approver, comment, decidedAt: new Date().toISOString() };
+        this.recordTaskEvent(approved ? DomainEventTypes.TASK_APPROVED : DomainEventTypes.TASK_REJECTED, task, { gate, decision, approver, comment });
+
+        logger.execution({
+            taskId: task.id,
+            agentId,
+            domainLabel: task.domainLabel,
+            predictedImpact: task.predictedImpact,
+            dependencies: task.dependencies,
+            collaboration: { isCollaborative: !!task.isCollaborative, parentTaskId: task.parentTaskId },
+            status: decision,
+            approval: { gate, approver, comment }
+        });
+
+        if (approved) {
+            logger.info('TASK_APPROVED', `Task ${task.id} approved by ${approver} at its ${gate} gate`, { taskId: task.id, gate, approver });
+            if (gate === 'start') {
+                task.status = 'pending';
+            } else {
+                this.logOutput(task.id, agentId, this.taskOutputs[task.id], collaborationMetadata);
+            }
+            return;
+        }
+
+        const reason = decision === 'expired' ? comment : `Rejected by ${approver}${comment ? `: ${comment}` : ''}`;
+        task.status = 'failed';
+        delete this.taskOutputs[task.id];
+        this.recordTaskEvent(DomainEventTypes.TASK_FAILED, task, { agentId, reason });
+        logger.warn('TASK_REJECTED', `Task ${task.id} failed at its ${gate} gate. Reason: ${reason}`, { taskId: task.id, gate, approver });
+
+        if (task.parentTaskId) {
+            this.checkAndAggregateParent(task.parentTaskId);
+        }
+    }
+
+    /**
+     * Releases the resources held by a task.
+     * @param {Object} task 
+     * @param {string} action Log action to record
+     * @param {string} cause Optional cause appended to the log message
+     */
+    releaseTaskResources(task, action = 'RESOURCE_RELEASED', cause = null) {
+        if (!task.resourceRequirements) return;
+
+        for (const [resId, reqType] of Object.entries(task.resourceRequirements)) {
+            const res = this.resources[resId];
+            if (res) {
+                res.currentUsage = Math.max(0, res.currentUsage - 1);
+                if (reqType === 'exclusive') {
+                    res.lockedBy = null;
+                }
+                this.recordResourceEvent(DomainEventTypes.RESOURCE_RELEASED, res, task.id);
+                logger.info(action, `Task ${task.id} released resource ${resId}${cause ? ` due to ${cause}` : ''}`, { taskId: task.id, resId, usage: res.currentUsage });
+            }
+        }
+    }
+
     /**
      * Internal protocol for agent communication during task execution.
      * Allows sharing results, requesting input, and synchronizing progress.
      * @param {string} taskId Task enacting the collaboration
      * @param {string} agentId Agent performing the action
-     * @param {string} action 'SHARE_RESULT' | 'REQUEST_INPUT' | 'SYNC_PROGRESS'
+     * @param {string} action 'SHARE_RESULT' | 'REQUEST_INPUT' | 'SYNC_PROGRESS' | 'REQUEST_REVIEW'
      * @param {Object} payload Data for the collaboration
      */
     async collaborate(taskId, agentId, action, payload) {
@@ -841,8 +3242,10 @@ class CoreEngine {
         }
 
         const context = this.collaborationSpace[contextId];
+        this.markDirty('collaborationSpace', contextId);
 
         // Log the interaction
+        this.markDirty('collaborationLogs', `log_${this.collaborationLogs.length}`);
         this.collaborationLogs.push({
             timestamp: new Date().toISOString(),
             taskId,
@@ -870,6 +3273,7 @@ class CoreEngine {
                 context.requests.push({ from: agentId, taskId, payload, timestamp: new Date().toISOString() });
                 // Conflict resolution: If multiple agents request same data, prioritize existing shared results
                 if (payload.targetTaskId && context.sharedResults[payload.targetTaskId]) {
+                    this.flushJournal();
                     return context.sharedResults[payload.targetTaskId].data;
                 }
                 break;
@@ -879,10 +3283,21 @@ class CoreEngine {
                 context.syncPoints[taskId] = payload;
                 break;
 
+            case 'REQUEST_REVIEW':
+                // The agent's eventual result goes to a peer reviewer instead of completing the task
+                if (task.status !== 'processing' || task.assignedTo !== agentId || task.reviewOf || this.isExpandedByEngine(task)) {
+                    logger.warn('REVIEW_REQUEST_REJECTED', `Agent ${agentId} cannot request review of task ${taskId} (${task.status})`, { taskId, agentId });
+                    break;
+                }
+                task.review = task.review || true;
+                this.recordTaskEvent(DomainEventTypes.TASK_COLLABORATION_REQUESTED, task, { agentId, action });
+                break;
+
             default:
                 logger.warn('UNKNOWN_COLLABORATION_ACTION', `Action ${action} is not supported`);
         }
 
+        this.flushJournal();
         return null;
     }
 
@@ -892,20 +3307,37 @@ class CoreEngine {
      */
     checkAndAggregateParent(parentTaskId) {
         const parentTask = this.taskQueue.find(t => t.id === parentTaskId);
-        if (!parentTask || parentTask.status === 'completed') return;
+        if (!parentTask || ['completed', 'cancelled', 'skipped'].includes(parentTask.status)) return;
 
         const subtasks = this.taskQueue.filter(t => t.parentTaskId === parentTaskId);
-        const allFinished = subtasks.length > 0 && subtasks.every(s => s.status === 'completed' || s.status === 'failed');
+        const allFinished = subtasks.length > 0 && subtasks.every(s => ['completed', 'failed', 'cancelled', 'skipped'].includes(s.status));
 
         if (allFinished) {
-            const anyFailed = subtasks.some(s => s.status === 'failed');
+            if (parentTask.redundancy) {
+                this.resolveConsensus(parentTask, subtasks);
+                return;
+            }
+
+            const { satisfied, reason, dropped } = evaluateFailurePolicy(parentTask.failurePolicy, subtasks);
 
-            if (anyFailed) {
+            if (!satisfied) {
                 logger.error('SUBTASKS_FAILED', `Some subtasks for parent ${parentTaskId} failed. Aborting parent task.`, {
                     parentTaskId,
-                    failedSubtasks: subtasks.filter(s => s.status === 'failed').map(s => s.id)
+                    failurePolicy: parentTask.failurePolicy || 'all-required',
+                    reason,
+                    failedSubtasks: dropped.map(s => s.id)
                 });
                 parentTask.status = 'failed';
+                this.recordTaskEvent(DomainEventTypes.TASK_FAILED, parentTask, { reason });
+                // Nested parents (switch and map nodes inside a workflow) pass the failure up
+                if (parentTask.parentTaskId) {
+                    this.checkAndAggregateParent(parentTask.parentTaskId);
+                }
+                return;
+            }
+
+            if (subtasks.every(s => s.status === 'skipped')) {
+                this.skipTask(parentTask, 'All subtasks were skipped');
                 return;
             }
 
@@ -915,27 +3347,26 @@ class CoreEngine {
             });
 
             const subtaskResults = subtasks.map(s => this.taskOutputs[s.id]).filter(Boolean);
-            const collabContext = this.collaborationSpace[parentTaskId];
 
-            // Result Aggregation Logic
-            let aggregatedData = subtaskResults.map(r => `[Agent ${r.agentId}]: ${r.resultData}`).join('\n---\n');
-
-            // Include collaborative data in the final result
-            if (collabContext && Object.keys(collabContext.sharedResults).length > 0) {
-                aggregatedData += '\n\n=== Collaborative Contributions ===\n';
-                for (const [taskId, res] of Object.entries(collabContext.sharedResults)) {
-                    aggregatedData += `[Task ${taskId} by Agent ${res.agentId}]: ${JSON.stringify(res.data)}\n`;
+            let aggregatedResult;
+            try {
+                const context = { parentTask, subtasks, outputs: subtaskResults, dropped };
+                aggregatedResult = this.runHooksSync(EngineHooks.BEFORE_AGGREGATION, context)
+                    ?? this.aggregateSubtaskResults(parentTaskId, subtaskResults);
+                if (dropped.length > 0) {
+                    aggregatedResult = this.recordDroppedSubtasks(aggregatedResult, subtaskResults.length, dropped);
+                }
+                aggregatedResult = this.runHooksSync(EngineHooks.AFTER_AGGREGATION, { ...context, result: aggregatedResult });
+            } catch (error) {
+                logger.error('AGGREGATION_FAILED', `Aggregation failed for parent ${parentTaskId}. Aborting parent task.`, error, { parentTaskId });
+                parentTask.status = 'failed';
+                this.recordTaskEvent(DomainEventTypes.TASK_FAILED, parentTask, { reason: `Aggregation failed: ${error.message}` });
+                if (parentTask.parentTaskId) {
+                    this.checkAndAggregateParent(parentTask.parentTaskId);
                 }
+                return;
             }
 
-            const aggregatedResult = {
-                resultData: aggregatedData,
-                confidenceScore: parseFloat((subtaskResults.reduce((acc, r) => acc + r.confidenceScore, 0) / subtaskResults.length).toFixed(2)),
-                predictedImpact: parseFloat((subtaskResults.reduce((acc, r) => acc + (r.predictedImpact || 0), 0) / subtaskResults.length).toFixed(1)),
-                actualImpact: parseFloat((subtaskResults.reduce((acc, r) => acc + (r.actualImpact || 0), 0) / subtaskResults.length).toFixed(1)),
-                executionTime: subtaskResults.reduce((acc, r) => acc + (r.executionTime || 0), 0)
-            };
-
             // Log the parent task as completed with aggregated data
             this.logOutput(parentTaskId, 'AGGREGATOR_SYSTEM', aggregatedResult, {
                 type: 'AGGREGATION',
@@ -950,6 +3381,52 @@ class CoreEngine {
         }
     }
 
+    /**
+     * Notes the subtasks a partial-failure policy let the parent drop, and scales the
+     * aggregated confidence by the share of subtasks that contributed a result.
+     * @param {Object} result Aggregated result
+     * @param {number} completedCount 
+     * @param {Object[]} dropped Failed and cancelled subtasks
+     * @returns {Object}
+     */
+    recordDroppedSubtasks(result, completedCount, dropped) {
+        const coverage = completedCount / (completedCount + dropped.length);
+        return {
+            ...result,
+            confidenceScore: parseFloat(((result.confidenceScore || 0) * coverage).toFixed(2)),
+            droppedSubtasks: dropped.map(s => ({ taskId: s.id, key: s.key || null, status: s.status }))
+        };
+    }
+
+    /**
+     * Combines subtask outputs with the parent's aggregation strategy. Without one, switch nodes pass
+     * their branch's result through, map nodes collect their items' results and other parents concatenate.
+     * @param {string} parentTaskId 
+     * @param {Object[]} subtaskResults Outputs of the finished subtasks
+     * @returns {Object} Aggregated result
+     * @throws {Error} If the strategy is not registered or its reducer fails
+     */
+    aggregateSubtaskResults(parentTaskId, subtaskResults) {
+        const parentTask = this.taskQueue.find(t => t.id === parentTaskId);
+        const strategy = parentTask.aggregationStrategy || { switch: 'passthrough', map: 'collect' }[parentTask.type] || 'concatenate';
+        const reducer = this.aggregationStrategies[strategy];
+        if (!reducer) {
+            throw new Error(`Unknown aggregation strategy "${strategy}"`);
+        }
+
+        const ordered = [...subtaskResults].sort((a, b) => parentTask.subtasks.indexOf(a.taskId) - parentTask.subtasks.indexOf(b.taskId));
+        const result = reducer(ordered, {
+            parentTask,
+            subtasks: this.taskQueue.filter(t => t.parentTaskId === parentTaskId),
+            collaboration: this.collaborationSpace[parentTaskId] || null
+        });
+        if (!result || typeof result !== 'object' || !('resultData' in result)) {
+            throw new Error(`Aggregation strategy "${strategy}" must return an object with resultData`);
+        }
+
+        return { ...averageScores(ordered), ...result, aggregation: { strategy, ...result.aggregation } };
+    }
+
     /**
      * Error handling for failed tasks
      * @param {Object} task 
@@ -960,20 +3437,23 @@ class CoreEngine {
         logger.error('TASK_FAILED', `Task ${task.id} failed by ${agentId}`, error);
 
         if (this.agents[agentId]) {
-            this.agents[agentId].status = 'idle';
-            this.updateAgentPerformance(agentId, false, 0, task.domainLabel);
+            this.releaseAgent(agentId);
+            this.updateAgentPerformance(agentId, false, 0, task.domainLabel, this.consumeDispatchReport(task));
         }
 
         task.retryCount += 1;
         task.failedAgents = task.failedAgents || [];
         task.failedAgents.push(agentId);
 
-        if (task.retryCount < 3) {
-            logger.info('TASK_REASSIGNMENT', `Flagging task ${task.id} for reassignment (Retry ${task.retryCount}/3)`);
-            task.status = 'pending';
-            task.assignedTo = null;
+        const reason = error?.message || String(error);
+        const errorClass = classifyError(error);
+        if (this.scheduleRetry(task, agentId, reason, errorClass)) {
+            logger.info('TASK_REASSIGNMENT', `Flagging task ${task.id} for reassignment (Attempt ${task.retryCount}/${this.retryPolicyFor(task).maxAttempts} failed with ${errorClass})`, {
+                retryAt: task.notBefore
+            });
         } else {
             task.status = 'failed';
+            this.recordTaskEvent(DomainEventTypes.TASK_FAILED, task, { agentId, reason, errorClass });
 
             // Record final failure in execution logs
             logger.execution({
@@ -993,31 +3473,241 @@ class CoreEngine {
                 status: 'failed'
             });
 
-            logger.error('TASK_ABORTED', `Task ${task.id} failed after maximum retries.`);
+            logger.error('TASK_ABORTED', isRetryable(this.retryPolicyFor(task), errorClass)
+                ? `Task ${task.id} failed after maximum retries.`
+                : `Task ${task.id} failed with non-retryable ${errorClass}.`);
         }
 
         // Release resources on failure
-        if (task.resourceRequirements) {
-            for (const [resId, reqType] of Object.entries(task.resourceRequirements)) {
-                const res = this.resources[resId];
-                if (res) {
-                    res.currentUsage = Math.max(0, res.currentUsage - 1);
-                    if (reqType === 'exclusive') {
-                        res.lockedBy = null;
-                    }
-                    logger.info('RESOURCE_RELEASED_ON_FAILURE', `Task ${task.id} released resource ${resId} due to failure`, { taskId: task.id, resId });
-                }
+        this.releaseTaskResources(task, 'RESOURCE_RELEASED_ON_FAILURE', 'failure');
+
+        // A failed subtask may be the last one its parent was waiting for
+        if (task.status === 'failed' && task.parentTaskId) {
+            this.checkAndAggregateParent(task.parentTaskId);
+        }
+        if (task.status === 'failed' && task.reviewOf) {
+            this.abandonReview(task);
+        }
+    }
+
+    /**
+     * Returns a failed or declined task to the queue when its retry policy allows another attempt,
+     * deferring it by the policy's backoff. retryCount must already include the attempt that just ended.
+     * A replica runs once: one that fails or is declined simply does not vote.
+     * @param {Object} task 
+     * @param {string} agentId 
+     * @param {string} reason 
+     * @param {string} errorClass One of ERROR_CLASSES
+     * @returns {boolean} False when the task should fail instead
+     */
+    scheduleRetry(task, agentId, reason, errorClass) {
+        const policy = this.retryPolicyFor(task);
+        if (task.replica || task.retryCount >= policy.maxAttempts || !isRetryable(policy, errorClass)) {
+            return false;
+        }
+
+        task.status = 'pending';
+        task.assignedTo = null;
+        task.notBefore = this.backoffUntil(policy, task.retryCount);
+        this.recordTaskEvent(DomainEventTypes.TASK_REQUEUED, task, { agentId, reason, errorClass, retryAt: task.notBefore });
+        return true;
+    }
+
+    /**
+     * Timestamp before which a task backing off must not be dispatched.
+     * @param {Object} policy Resolved retry policy
+     * @param {number} attempt Attempts (or reroutes) made so far
+     * @returns {string|null} ISO timestamp, or null when the task may run at once
+     */
+    backoffUntil(policy, attempt) {
+        const delayMs = retryDelay(policy, attempt);
+        return delayMs > 0 ? new Date(Date.now() + delayMs).toISOString() : null;
+    }
+
+    /**
+     * The retry policy in force for a task: its own retryPolicy over its domain's, over the default.
+     * @param {Object} task 
+     * @returns {Object}
+     */
+    retryPolicyFor(task) {
+        return resolveRetryPolicy(this.retryPolicies[task.domainLabel], task.retryPolicy);
+    }
+
+    /**
+     * Sets the retry policy for every task of a domain. Tasks already queued pick it up on their next failure.
+     * @param {string} domainLabel 
+     * @param {Object} policy { maxAttempts, maxReroutes, backoff: { initialDelayMs, multiplier, maxDelayMs, jitter }, retryOn, fatal }
+     * @returns {Object} The resolved policy
+     * @throws {Error} If the domain or policy is invalid
+     */
+    setRetryPolicy(domainLabel, policy) {
+        const errors = [...validateRetryPolicyDomain(domainLabel), ...validateRetryPolicy(policy ?? null)];
+        if (errors.length > 0) {
+            logger.error('RETRY_POLICY_REJECTED', 'Retry policy validation failed', { errors, domainLabel });
+            throw new Error(`Invalid Retry Policy: ${errors.join(' ')}`);
+        }
+
+        this.retryPolicies[domainLabel] = structuredClone(policy);
+        logger.info('RETRY_POLICY_SET', `Retry policy for ${domainLabel} set`, { domainLabel, policy });
+        this.markDirty('retryPolicies', domainLabel);
+        this.flushJournal();
+        return resolveRetryPolicy(this.retryPolicies[domainLabel]);
+    }
+
+    /**
+     * Removes a domain's retry policy, returning its tasks to the default.
+     * @param {string} domainLabel 
+     * @returns {boolean} False if the domain had no policy
+     */
+    removeRetryPolicy(domainLabel) {
+        if (!this.retryPolicies[domainLabel]) return false;
+
+        delete this.retryPolicies[domainLabel];
+        logger.info('RETRY_POLICY_REMOVED', `Retry policy for ${domainLabel} removed`, { domainLabel });
+        this.markDirty('retryPolicies', domainLabel);
+        this.flushJournal();
+        return true;
+    }
+
+    /**
+     * Records a dead-letter entry for a task that failed for good, with every agent tried, every error and every reroute.
+     * The entry is a copy: the task itself stays in the queue as failed, so its parent and dependents keep their links
+     * and a replay can revive it in place. Replicas and review tasks are left out: their failure is accounted for by
+     * the task they belong to.
+     * @param {Object} task 
+     */
+    deadLetter(task) {
+        if (task.replica || task.reviewOf) return;
+
+        const dependents = this.taskQueue.filter(t => (t.dependencies || []).includes(task.id)).map(t => t.id);
+        const entry = buildDeadLetter(task, this.getTaskHistory(task.id), dependents);
+        this.deadLetters[task.id] = entry;
+        this.recordTaskEvent(DomainEventTypes.TASK_DEAD_LETTERED, task, { reason: entry.reason, errorClass: entry.errorClass });
+
+        logger.warn('TASK_DEAD_LETTERED', `Task ${task.id} recorded in the dead-letter store. Reason: ${entry.reason}`, {
+            taskId: task.id,
+            errorClass: entry.errorClass,
+            agentsTried: entry.agentsTried
+        });
+    }
+
+    /**
+     * Resubmits a dead task under its own ID, so its parent, dependencies and dependents stay linked.
+     * Its attempts start over; failed subtasks of a parent are replayed with it, dependents that failed
+     * only because of it are revived, and a parent that failed because of it is reopened.
+     * @param {string} taskId 
+     * @param {Object} edits Changes to REPLAY_EDITABLE_FIELDS, e.g. { inputs, timeoutMs }
+     * @returns {string[]} IDs of all tasks revived
+     * @throws {Error} If the task is not in the dead-letter store, runs redundantly, or the edits are invalid
+     */
+    replayDeadLetter(taskId, edits = {}) {
+        const task = this.taskQueue.find(t => t.id === taskId);
+        if (!task || !this.deadLetters[taskId]) {
+            logger.error('REPLAY_FAILED', `Task ${taskId} is not in the dead-letter store`);
+            throw new Error(`Task ${taskId} is not in the dead-letter store`);
+        }
+
+        const errors = validateReplayEdits(edits);
+        if (errors.length === 0) {
+            errors.push(...validateTask({ ...task, ...edits }).errors);
+        }
+        // Consensus rounds already spent cannot be undone; such tasks are submitted afresh
+        if (task.redundancy) {
+            errors.push('Redundant tasks cannot be replayed; submit them again instead.');
+        }
+        if (errors.length > 0) {
+            logger.error('REPLAY_FAILED', 'Replay validation failed', { taskId, errors });
+            throw new Error(`Invalid Replay: ${errors.join(' ')}`);
+        }
+
+        if (Object.keys(edits).length > 0) {
+            Object.assign(task, structuredClone(edits));
+            task.predictedImpact = this.metaReflection.predictImpact(task);
+        }
+
+        const revived = [];
+        this.reviveTask(task, 'Replayed by request', revived, { edits });
+
+        // A reopened parent whose subtasks had all finished (e.g. its aggregation failed) aggregates again
+        for (const id of revived) {
+            const revivedTask = this.taskQueue.find(t => t.id === id);
+            if (revivedTask.status === 'waiting_for_subtasks') this.checkAndAggregateParent(id);
+        }
+
+        this.sortQueue();
+        this.flushJournal();
+        return revived;
+    }
+
+    /**
+     * Recursive part of replayDeadLetter.
+     * @param {Object} task A failed task in the dead-letter store
+     * @param {string} cause 
+     * @param {string[]} revived Accumulator of revived task IDs
+     * @param {Object} options
+     * @param {Object} options.edits Edits applied to the task being replayed
+     * @param {boolean} options.replaySubtasks Also revive the task's failed subtasks
+     */
+    reviveTask(task, cause, revived, { edits = {}, replaySubtasks = true } = {}) {
+        if (task.status !== 'failed' || !this.deadLetters[task.id]) return;
+
+        delete this.deadLetters[task.id];
+        task.status = task.subtasks?.length > 0 ? 'waiting_for_subtasks' : 'pending';
+        task.assignedTo = null;
+        task.lease = null;
+        task.retryCount = 0;
+        task.failedAgents = [];
+        task.reroutes = 0;
+        task.notBefore = null;
+        task.reviews = null;
+        task.approvalRequest = null;
+        task.approvalDecision = null;
+        delete task.inputErrors;
+        task.replayCount = (task.replayCount || 0) + 1;
+        revived.push(task.id);
+        this.recordTaskEvent(DomainEventTypes.TASK_REPLAYED, task, { cause, edits });
+        logger.info('TASK_REPLAYED', `Task ${task.id} revived from the dead-letter store. Cause: ${cause}`, {
+            taskId: task.id,
+            replayCount: task.replayCount
+        });
+
+        if (replaySubtasks) {
+            for (const subtaskId of task.subtasks || []) {
+                const subtask = this.taskQueue.find(t => t.id === subtaskId);
+                if (subtask) this.reviveTask(subtask, `Parent ${task.id} replayed`, revived);
+            }
+        }
+
+        // Dependents that failed only because this task did, once nothing else they wait on has failed
+        for (const dependent of this.taskQueue.filter(t => (t.dependencies || []).includes(task.id))) {
+            const blocked = dependent.dependencies.some(depId => ['failed', 'cancelled'].includes(this.taskQueue.find(t => t.id === depId)?.status));
+            if (!blocked && this.deadLetters[dependent.id]?.errorClass === 'DEPENDENCY_FAILED') {
+                this.reviveTask(dependent, `Dependency ${task.id} replayed`, revived);
             }
         }
+
+        if (task.parentTaskId) {
+            const parent = this.taskQueue.find(t => t.id === task.parentTaskId);
+            if (parent) this.reviveTask(parent, `Subtask ${task.id} replayed`, revived, { replaySubtasks: false });
+        }
     }
 
     /**
      * Update agent performance metrics
+     * @param {string} agentId 
+     * @param {boolean} success 
+     * @param {number} impact 
+     * @param {string} domain 
+     * @param {Object} dispatchReport Optional { transport, latencyMs, success, errorCode } from dispatchToAgent
      */
-    updateAgentPerformance(agentId, success, impact = 0, domain = null) {
+    updateAgentPerformance(agentId, success, impact = 0, domain = null, dispatchReport = null) {
         const agent = this.agents[agentId];
         const perf = agent.performanceData;
 
+        if (dispatchReport) {
+            this.recordDispatchReport(agent, dispatchReport);
+        }
+
         perf.tasksCompleted += 1;
         const previousSuccesses = (perf.successRate * (perf.tasksCompleted - 1));
         perf.successRate = (previousSuccesses + (success ? 1 : 0)) / perf.tasksCompleted;
@@ -1035,6 +3725,39 @@ class CoreEngine {
         }
     }
 
+    /**
+     * Returns the task's pending dispatch report and clears it so it is only counted once.
+     * @param {Object} task 
+     * @returns {Object|null}
+     */
+    consumeDispatchReport(task) {
+        const report = task.lastDispatch || null;
+        task.lastDispatch = null;
+        return report;
+    }
+
+    /**
+     * Folds a transport dispatch report into the agent's transport metrics.
+     * @param {Object} agent 
+     * @param {Object} report { transport, latencyMs, success, errorCode }
+     */
+    recordDispatchReport(agent, report) {
+        const perf = agent.performanceData;
+        if (!perf.transport) {
+            perf.transport = { dispatches: 0, failures: 0, averageLatency: 0, failuresByCode: {}, lastError: null };
+        }
+
+        const stats = perf.transport;
+        stats.dispatches += 1;
+        stats.averageLatency = parseFloat((((stats.averageLatency * (stats.dispatches - 1)) + report.latencyMs) / stats.dispatches).toFixed(1));
+
+        if (!report.success) {
+            stats.failures += 1;
+            stats.failuresByCode[report.errorCode] = (stats.failuresByCode[report.errorCode] || 0) + 1;
+            stats.lastError = report.errorCode;
+        }
+    }
+
     /**
      * Detects cyclic dependencies and fails the involved tasks.
      */
@@ -1045,33 +3768,7 @@ class CoreEngine {
             adj[t.id] = t.dependencies || [];
         });
 
-        const visited = new Set();
-        const stack = new Set();
-        const cycles = [];
-
-        const find = (u, path) => {
-            visited.add(u);
-            stack.add(u);
-            path.push(u);
-
-            for (const v of (adj[u] || [])) {
-                if (!visited.has(v)) {
-                    find(v, path);
-                } else if (stack.has(v)) {
-                    const cycle = path.slice(path.indexOf(v));
-                    cycles.push(cycle);
-                }
-            }
-
-            stack.delete(u);
-            path.pop();
-        };
-
-        Object.keys(adj).forEach(id => {
-            if (!visited.has(id)) {
-                find(id, []);
-            }
-        });
+        const cycles = findCycles(adj);
 
         if (cycles.length > 0) {
             logger.warn('CYCLES_DETECTED', `Found ${cycles.length} cyclic dependency paths. Breaking cycles...`);
@@ -1081,7 +3778,7 @@ class CoreEngine {
                 const task = this.taskQueue.find(t => t.id === taskId);
                 if (task && task.status === 'pending') {
                     logger.error('CYCLIC_DEPENDENCY_FAILURE', `Failing task ${taskId} due to cyclic dependency cycle`, { cycle: cycles.find(c => c.includes(taskId)) });
-                    this.handleTaskFailure(task, 'SYSTEM_CYCLE_DETECTOR', new Error('Cyclic dependency detected'));
+                    this.handleTaskFailure(task, 'SYSTEM_CYCLE_DETECTOR', Object.assign(new Error('Cyclic dependency detected'), { code: 'DEPENDENCY_FAILED' }));
                 }
             });
         }
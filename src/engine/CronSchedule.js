@@ -0,0 +1,128 @@
+/**
+ * Five-field cron expressions ("minute hour day-of-month month day-of-week"), evaluated in UTC.
+ * Each field takes *, a value, a range (1-5), a step over either (0-30/10 runs at 0, 10, 20 and 30)
+ * or a comma-separated list of these.
+ * Day-of-week runs 0-6 from Sunday (7 is also Sunday). When both day fields are restricted,
+ * a day matching either one runs, as in standard cron.
+ */
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day-of-month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day-of-week', min: 0, max: 7 }
+];
+
+/**
+ * Shorthands accepted in place of the five fields.
+ */
+export const CRON_ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *'
+};
+
+// A schedule with no run this far ahead (e.g. "0 0 31 2 *") never runs
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Expands one cron field into the set of values it matches.
+ * @param {string} text
+ * @param {Object} field { name, min, max }
+ * @returns {Object} { values: Set<number>, restricted: boolean, error: string|null }
+ */
+function parseField(text, { name, min, max }) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+            return { error: `"${part}" in the ${name} field is not a value, range or step.` };
+        }
+        const [, , start, end, step] = match;
+        const from = start === undefined ? min : Number(start);
+        const to = start === undefined ? max : end !== undefined ? Number(end) : step !== undefined ? max : from;
+        const by = step === undefined ? 1 : Number(step);
+        if (from < min || to > max || from > to || by < 1) {
+            return { error: `"${part}" in the ${name} field is not a valid range within ${min}-${max}.` };
+        }
+        for (let value = from; value <= to; value += by) values.add(value);
+    }
+    return { values, restricted: !text.startsWith('*'), error: null };
+}
+
+/**
+ * Parses a cron expression.
+ * @param {string} expression
+ * @returns {Object} { fields: [minutes, hours, daysOfMonth, months, daysOfWeek] as { values, restricted }, errors }
+ */
+function parseCron(expression) {
+    const parts = (CRON_ALIASES[expression] || expression).trim().split(/\s+/);
+    if (parts.length !== 5) {
+        return { errors: [`Invalid "schedule": "${expression}" must have five fields (minute hour day-of-month month day-of-week) or be one of ${Object.keys(CRON_ALIASES).join(', ')}.`] };
+    }
+
+    const fields = parts.map((part, i) => parseField(part, FIELDS[i]));
+    const errors = fields.filter(f => f.error).map(f => `Invalid "schedule": ${f.error}`);
+    if (errors.length === 0 && fields[4].values.has(7)) {
+        fields[4].values.add(0);
+    }
+    return { fields, errors };
+}
+
+/**
+ * Validates a cron expression, including that it runs at all.
+ * @param {string} schedule
+ * @returns {string[]} Errors, empty when the expression is valid or absent
+ */
+export function validateSchedule(schedule) {
+    if (schedule === undefined) return [];
+    if (typeof schedule !== 'string' || !schedule.trim()) {
+        return ['Invalid "schedule": must be a cron expression such as "0 * * * *".'];
+    }
+
+    const { errors } = parseCron(schedule);
+    if (errors.length === 0 && !nextRunAfter(schedule, new Date())) {
+        errors.push(`Invalid "schedule": "${schedule}" never runs.`);
+    }
+    return errors;
+}
+
+/**
+ * The first minute strictly after a moment that a cron expression matches.
+ * @param {string} schedule A valid cron expression
+ * @param {Date} after
+ * @returns {Date|null} Null when the expression never runs
+ */
+export function nextRunAfter(schedule, after) {
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parseCron(schedule).fields;
+    const dayMatches = date => {
+        const dom = daysOfMonth.values.has(date.getUTCDate());
+        const dow = daysOfWeek.values.has(date.getUTCDay());
+        return daysOfMonth.restricted && daysOfWeek.restricted ? dom || dow : dom && dow;
+    };
+
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+    const limit = after.getTime() + SEARCH_LIMIT_MS;
+
+    // Skip whole months, days and hours that cannot match rather than stepping minute by minute
+    while (date.getTime() <= limit) {
+        if (!months.values.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0);
+        } else if (!dayMatches(date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0);
+        } else if (!hours.values.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0);
+        } else if (!minutes.values.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
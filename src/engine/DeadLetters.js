@@ -0,0 +1,63 @@
+/**
+ * Task fields a replay may change. Links to the parent, dependencies and subtasks are kept as they were.
+ */
+export const REPLAY_EDITABLE_FIELDS = [
+    'description',
+    'domainLabel',
+    'complexityScore',
+    'priority',
+    'inputs',
+    'timeoutMs',
+    'retryPolicy',
+    'callbackUrl'
+];
+
+/**
+ * Checks that replay edits only touch editable fields. The edited task is validated as a whole by the engine.
+ * @param {Object} edits
+ * @returns {string[]} Errors, empty when the edits are acceptable
+ */
+export function validateReplayEdits(edits) {
+    if (!edits || typeof edits !== 'object' || Array.isArray(edits)) {
+        return ['Invalid "edits": must be an object of task fields.'];
+    }
+    const locked = Object.keys(edits).filter(field => !REPLAY_EDITABLE_FIELDS.includes(field));
+    return locked.length > 0
+        ? [`Invalid "edits": ${locked.join(', ')} cannot be changed on replay. Editable fields are: ${REPLAY_EDITABLE_FIELDS.join(', ')}.`]
+        : [];
+}
+
+/**
+ * Builds a dead-letter entry from a failed task and its lifecycle events.
+ * @param {Object} task
+ * @param {Object[]} events The task's domain events, oldest first
+ * @param {string[]} dependents IDs of the tasks that depend on it
+ * @returns {Object} { taskId, description, domainLabel, parentTaskId, dependents, failedAt, reason, errorClass,
+ *   agentsTried, errors, reroutes, replays, history }
+ */
+export function buildDeadLetter(task, events, dependents) {
+    const failure = events.filter(e => e.type === 'TaskFailed').pop();
+    const agentsTried = [...new Set(events
+        .filter(e => e.type === 'TaskDispatched' || e.type === 'TaskLeased')
+        .map(e => e.data.agentId))];
+
+    return {
+        taskId: task.id,
+        description: task.description,
+        domainLabel: task.domainLabel,
+        parentTaskId: task.parentTaskId,
+        dependents,
+        failedAt: failure?.timestamp || new Date().toISOString(),
+        reason: failure?.data.reason || null,
+        errorClass: failure?.data.errorClass || null,
+        agentsTried,
+        errors: events
+            .filter(e => e.type === 'TaskRequeued' || e.type === 'TaskFailed')
+            .map(e => ({ at: e.timestamp, agentId: e.data.agentId || null, reason: e.data.reason || null, errorClass: e.data.errorClass || null })),
+        reroutes: events
+            .filter(e => e.type === 'TaskRerouted')
+            .map(e => ({ at: e.timestamp, agentId: e.data.agentId, predictedSuccess: e.data.predictedSuccess })),
+        replays: task.replayCount || 0,
+        history: events.map(({ seq, type, timestamp, data }) => ({ seq, type, timestamp, data }))
+    };
+}
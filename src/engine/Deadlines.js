@@ -0,0 +1,57 @@
+/**
+ * Validates a task's deadline: an absolute `deadline` (ISO 8601) or a `deadlineInMs` counted from submission.
+ * @param {Object} task
+ * @returns {string[]} Errors, empty when the deadline is valid or absent
+ */
+export function validateDeadline(task) {
+    const { deadline, deadlineInMs } = task;
+    if (deadline !== undefined && deadlineInMs !== undefined) {
+        return ['Invalid deadline: set either "deadline" or "deadlineInMs", not both.'];
+    }
+    if (deadline !== undefined && (typeof deadline !== 'string' || Number.isNaN(Date.parse(deadline)))) {
+        return ['Invalid "deadline": must be an ISO 8601 timestamp.'];
+    }
+    if (deadlineInMs !== undefined && (typeof deadlineInMs !== 'number' || deadlineInMs <= 0)) {
+        return ['Invalid "deadlineInMs": must be a positive number of milliseconds.'];
+    }
+    return [];
+}
+
+/**
+ * The absolute deadline of a task specification, with deadlineInMs counted from now.
+ * @param {Object} spec
+ * @returns {string|undefined} ISO timestamp, or undefined without a deadline
+ */
+export function resolveDeadline(spec) {
+    if (spec.deadlineInMs !== undefined) return new Date(Date.now() + spec.deadlineInMs).toISOString();
+    return spec.deadline;
+}
+
+/**
+ * Orders tasks for dispatch. Tasks whose deadline is close enough that waiting behind higher-priority
+ * work could make them miss it go first, earliest deadline first. The rest are ordered by priority,
+ * then earliest deadline (tasks without one last), then predicted impact.
+ * @param {Object} a
+ * @param {Object} b
+ * @param {Function} isUrgent (task) => boolean
+ * @returns {number}
+ */
+export function compareForDispatch(a, b, isUrgent) {
+    const urgentDiff = isUrgent(b) - isUrgent(a);
+    if (urgentDiff !== 0) return urgentDiff;
+    const deadlineDiff = deadlineOf(a) - deadlineOf(b);
+    if (isUrgent(a) && deadlineDiff !== 0) return deadlineDiff;
+
+    const priorityDiff = (b.priority || 1) - (a.priority || 1);
+    if (priorityDiff !== 0) return priorityDiff;
+    if (deadlineDiff !== 0 && !Number.isNaN(deadlineDiff)) return deadlineDiff;
+    return (b.predictedImpact || 0) - (a.predictedImpact || 0);
+}
+
+/**
+ * @param {Object} task
+ * @returns {number} Epoch milliseconds, Infinity without a deadline
+ */
+function deadlineOf(task) {
+    return task.deadline ? Date.parse(task.deadline) : Infinity;
+}
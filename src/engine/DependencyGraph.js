@@ -0,0 +1,36 @@
+/**
+ * Finds dependency cycles with a depth-first search.
+ * @param {Object.<string, string[]>} adjacency Map of node ID to the IDs it depends on
+ * @returns {Array<string[]>} Each cycle as the path of node IDs that forms it
+ */
+export function findCycles(adjacency) {
+    const visited = new Set();
+    const stack = new Set();
+    const cycles = [];
+
+    const find = (u, path) => {
+        visited.add(u);
+        stack.add(u);
+        path.push(u);
+
+        for (const v of (adjacency[u] || [])) {
+            if (!visited.has(v)) {
+                find(v, path);
+            } else if (stack.has(v)) {
+                const cycle = path.slice(path.indexOf(v));
+                cycles.push(cycle);
+            }
+        }
+
+        stack.delete(u);
+        path.pop();
+    };
+
+    Object.keys(adjacency).forEach(id => {
+        if (!visited.has(id)) {
+            find(id, []);
+        }
+    });
+
+    return cycles;
+}
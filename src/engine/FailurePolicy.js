@@ -0,0 +1,81 @@
+/**
+ * How a parent task treats failed or cancelled subtasks when aggregating:
+ * - all-required: any failure fails the parent (default)
+ * - quorum: at least `min` subtasks must complete
+ * - best-effort: at least one subtask must complete
+ * - required-subset: the subtasks listed in `required` (IDs or keys) must not fail
+ */
+export const FAILURE_POLICIES = ['all-required', 'quorum', 'best-effort', 'required-subset'];
+
+/**
+ * Normalizes a policy given as a name or as { type, min, required }.
+ * @param {string|Object|undefined} policy
+ * @returns {Object} { type, min, required }
+ */
+export function normalizeFailurePolicy(policy) {
+    if (policy === undefined || policy === null) return { type: 'all-required' };
+    return typeof policy === 'string' ? { type: policy } : policy;
+}
+
+/**
+ * Validates a failure policy.
+ * @param {string|Object} policy
+ * @param {string[]|null} knownRefs Subtask keys that required-subset may name, when known up front
+ * @returns {string[]} Errors, empty when the policy is valid
+ */
+export function validateFailurePolicy(policy, knownRefs = null) {
+    const errors = [];
+    if (policy === undefined) return errors;
+
+    if (typeof policy !== 'string' && (!policy || typeof policy !== 'object' || Array.isArray(policy))) {
+        return ['Invalid "failurePolicy": must be a policy name or an object such as { "type": "quorum", "min": 2 }.'];
+    }
+
+    const { type, min, required } = normalizeFailurePolicy(policy);
+    if (!FAILURE_POLICIES.includes(type)) {
+        errors.push(`Invalid "failurePolicy": "${type}". Valid policies are: ${FAILURE_POLICIES.join(', ')}.`);
+    } else if (type === 'quorum' && (!Number.isInteger(min) || min < 1)) {
+        errors.push('Invalid "failurePolicy": quorum needs "min", a positive integer.');
+    } else if (type === 'required-subset') {
+        if (!Array.isArray(required) || required.length === 0) {
+            errors.push('Invalid "failurePolicy": required-subset needs "required", a non-empty array of subtask IDs or keys.');
+        } else if (knownRefs) {
+            required.filter(ref => !knownRefs.includes(ref))
+                .forEach(ref => errors.push(`Invalid "failurePolicy": required subtask "${ref}" does not exist.`));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Decides whether a parent whose subtasks have all finished can still be aggregated.
+ * Skipped subtasks are neither completions nor failures.
+ * @param {string|Object} policy
+ * @param {Object[]} subtasks Finished subtasks
+ * @returns {Object} { satisfied: boolean, reason: string|null, dropped: Object[] } dropped lists the failed and cancelled subtasks
+ */
+export function evaluateFailurePolicy(policy, subtasks) {
+    const { type, min, required } = normalizeFailurePolicy(policy);
+    const completed = subtasks.filter(s => s.status === 'completed');
+    const dropped = subtasks.filter(s => s.status === 'failed' || s.status === 'cancelled');
+
+    let reason = null;
+    if (type === 'quorum' && completed.length < min) {
+        reason = `Quorum not reached: ${completed.length} of ${min} required subtasks completed`;
+    } else if (type === 'required-subset') {
+        const missing = dropped.filter(s => required.includes(s.id) || required.includes(s.key));
+        if (missing.length > 0) {
+            reason = `Required subtasks failed: ${missing.map(s => s.key || s.id).join(', ')}`;
+        }
+    } else if (type === 'all-required' && dropped.length > 0) {
+        reason = 'Subtasks failed';
+    }
+
+    // Every policy needs at least one result to aggregate
+    if (!reason && completed.length === 0 && dropped.length > 0) {
+        reason = 'No subtask completed';
+    }
+
+    return { satisfied: reason === null, reason, dropped };
+}
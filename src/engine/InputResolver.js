@@ -0,0 +1,88 @@
+const BINDING_PREFIX = '$deps.';
+
+/**
+ * Parses an input binding such as "$deps.taskA.resultData.summary".
+ * @param {*} value
+ * @returns {Object|null} { ref, path } or null when the value is a literal rather than a binding
+ */
+export function parseBinding(value) {
+    if (typeof value !== 'string' || !value.startsWith(BINDING_PREFIX)) return null;
+
+    const [ref, ...path] = value.slice(BINDING_PREFIX.length).split('.');
+    return { ref, path };
+}
+
+/**
+ * Validates a task's input bindings. Every binding must name one of the task's dependencies,
+ * either by task ID or, inside a workflow, by node name.
+ * @param {Object} inputs Mapping of input name to a binding or a literal value
+ * @param {string[]} dependencyRefs Task IDs and node names the task depends on
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+export function validateInputs(inputs, dependencyRefs = []) {
+    const errors = [];
+
+    if (!inputs || typeof inputs !== 'object' || Array.isArray(inputs)) {
+        errors.push('Invalid "inputs": must be an object mapping input names to values or "$deps.<task>.<field>" bindings.');
+        return { isValid: false, errors };
+    }
+
+    for (const [name, value] of Object.entries(inputs)) {
+        const binding = parseBinding(value);
+        if (!binding) continue;
+
+        if (!binding.ref || binding.path.some(segment => !segment)) {
+            errors.push(`Invalid input "${name}": "${value}" is not a valid "$deps.<task>.<field>" binding.`);
+        } else if (!dependencyRefs.includes(binding.ref)) {
+            errors.push(`Invalid input "${name}": "${binding.ref}" is not a dependency of this task.`);
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Resolves input bindings against the outputs of completed dependencies.
+ * Bindings to a skipped dependency resolve to null.
+ * @param {Object} inputs Mapping of input name to a binding or a literal value
+ * @param {Function} lookupOutput (ref) => the dependency's output, null if it was skipped, undefined when there is none
+ * @returns {Object} { inputs: Object, errors: string[] }
+ */
+export function resolveInputs(inputs, lookupOutput) {
+    const resolved = {};
+    const errors = [];
+
+    for (const [name, value] of Object.entries(inputs || {})) {
+        const binding = parseBinding(value);
+        if (!binding) {
+            resolved[name] = value;
+            continue;
+        }
+
+        let current = lookupOutput(binding.ref);
+        if (current === undefined) {
+            errors.push(`Input "${name}": dependency "${binding.ref}" has no output.`);
+            continue;
+        }
+        if (current === null) {
+            resolved[name] = null;
+            continue;
+        }
+
+        for (const segment of binding.path) {
+            current = current !== null && typeof current === 'object' ? current[segment] : undefined;
+            if (current === undefined) break;
+        }
+
+        if (current === undefined) {
+            errors.push(`Input "${name}": "${value}" does not exist in the output of "${binding.ref}".`);
+        } else {
+            resolved[name] = current;
+        }
+    }
+
+    return { inputs: resolved, errors };
+}
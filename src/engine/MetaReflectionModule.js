@@ -1,5 +1,8 @@
 import logger from '../logger/Logger.js';
 
+// Outputs the engine logs itself (aggregated parents, consensus results); their executionTime sums many runs
+const SYSTEM_AGENT_IDS = ['AGGREGATOR_SYSTEM', 'CONSENSUS_SYSTEM'];
+
 /**
  * Meta-Reflection Module
  * Tracks agent confidence, uncertainty, and historical performance.
@@ -9,6 +12,11 @@ class MetaReflectionModule {
     constructor(core) {
         this.core = core;
         this.threshold = 0.65; // Success probability threshold
+        this.claimThreshold = 0.3; // Minimum probability for an agent to claim or lease a task itself
+        this.executionTimeWindow = 20; // Recent completed runs averaged to predict execution time
+
+        // Rolling windows of recent execution times per domain and across domains, fed from the execution log
+        this.executionTimes = { byDomain: {}, all: [], logCursor: 0 };
     }
 
     /**
@@ -28,6 +36,7 @@ class MetaReflectionModule {
         // Ensure performanceData exists and has domain tracking
         if (!agent.performanceData.domains) {
             agent.performanceData.domains = {};
+            this.core.markDirty('agents', agent.id);
         }
 
         const domainPerf = agent.performanceData.domains[domain] || {
@@ -78,8 +87,9 @@ class MetaReflectionModule {
      * @returns {Object} { agentId, predictedSuccess }
      */
     evaluateAssignment(task, excludeIds = []) {
+        // Pull-mode agents fetch their own work through leases and are never pushed to
         const availableAgents = Object.values(this.core.agents).filter(a =>
-            a.status === 'idle' && !excludeIds.includes(a.id)
+            a.status === 'idle' && !excludeIds.includes(a.id) && a.transport !== 'pull'
         );
 
         if (availableAgents.length === 0) return { agentId: null, predictedSuccess: 0 };
@@ -108,6 +118,7 @@ class MetaReflectionModule {
     updateAgentMetadata(agentId, domain, success, impact = 0) {
         const agent = this.core.agents[agentId];
         if (!agent) return;
+        this.core.markDirty('agents', agentId);
 
         if (!agent.performanceData.domains) {
             agent.performanceData.domains = {};
@@ -178,6 +189,45 @@ class MetaReflectionModule {
         return parseFloat(predictedImpact.toFixed(2));
     }
 
+    /**
+     * Estimates how long a task will run from the executionTime of the most recent completed runs
+     * in its domain recorded in the execution log, falling back to recent runs in any domain.
+     * Outputs logged by the engine itself are ignored.
+     * @param {Object} task 
+     * @returns {number|null} Milliseconds, or null when there is no history to go on
+     */
+    predictExecutionTime(task) {
+        this.updateExecutionTimes();
+        const inDomain = this.executionTimes.byDomain[task.domainLabel] || [];
+        const recent = inDomain.length > 0 ? inDomain : this.executionTimes.all;
+        if (recent.length === 0) return null;
+
+        return Math.round(recent.reduce((sum, time) => sum + time, 0) / recent.length);
+    }
+
+    /**
+     * Folds execution log entries recorded since the last call into the rolling windows.
+     */
+    updateExecutionTimes() {
+        const logs = logger.executionLogs;
+        if (logs.length < this.executionTimes.logCursor) {
+            // The log was replaced; start over
+            this.executionTimes = { byDomain: {}, all: [], logCursor: 0 };
+        }
+
+        const push = (window, time) => {
+            window.push(time);
+            if (window.length > this.executionTimeWindow) window.shift();
+        };
+        for (let i = this.executionTimes.logCursor; i < logs.length; i++) {
+            const log = logs[i];
+            if (log.status !== 'completed' || !(log.executionTime > 0) || SYSTEM_AGENT_IDS.includes(log.agentId)) continue;
+            push(this.executionTimes.byDomain[log.domain] ||= [], log.executionTime);
+            push(this.executionTimes.all, log.executionTime);
+        }
+        this.executionTimes.logCursor = logs.length;
+    }
+
     /**
      * Determines best course of action when predicted success is low.
      * @param {Object} task 
@@ -0,0 +1,54 @@
+/**
+ * Verdicts a reviewer can return in its resultData: { verdict, comments }
+ */
+export const REVIEW_VERDICTS = ['approve', 'reject'];
+
+/**
+ * Fills in the defaults of a review specification (`review: true` or { maxRejections, timeoutMs }).
+ * @param {boolean|Object} review
+ * @returns {Object} { maxRejections, timeoutMs }
+ */
+export function normalizeReview(review) {
+    return {
+        maxRejections: 2,
+        timeoutMs: 60 * 60 * 1000,
+        ...(review === true ? {} : review)
+    };
+}
+
+/**
+ * Validates a review specification.
+ * @param {boolean|Object} review
+ * @returns {string[]} Errors, empty when the specification is valid or absent
+ */
+export function validateReview(review) {
+    if (review === undefined || typeof review === 'boolean') return [];
+    if (!review || typeof review !== 'object' || Array.isArray(review)) {
+        return ['Invalid "review": must be true or an object such as { "maxRejections": 2 }.'];
+    }
+
+    const { maxRejections, timeoutMs } = normalizeReview(review);
+    const errors = [];
+    if (!Number.isInteger(maxRejections) || maxRejections < 1) {
+        errors.push('Invalid "review": "maxRejections" must be a positive integer.');
+    }
+    if (typeof timeoutMs !== 'number' || !(timeoutMs > 0)) {
+        errors.push('Invalid "review": "timeoutMs" must be a positive number of milliseconds.');
+    }
+    return errors;
+}
+
+/**
+ * Reads a reviewer's verdict from its resultData.
+ * @param {*} resultData Expected { verdict: 'approve' | 'reject', comments }
+ * @returns {Object} { verdict, comments } or { error } when the verdict is malformed
+ */
+export function readVerdict(resultData) {
+    if (!resultData || typeof resultData !== 'object' || !REVIEW_VERDICTS.includes(resultData.verdict)) {
+        return { error: `Review result must be an object with a "verdict" of ${REVIEW_VERDICTS.join(' or ')}` };
+    }
+    if (resultData.comments !== undefined && typeof resultData.comments !== 'string') {
+        return { error: 'Review "comments" must be a string' };
+    }
+    return { verdict: resultData.verdict, comments: resultData.comments || '' };
+}
@@ -0,0 +1,28 @@
+/**
+ * Validates resource registration details.
+ * @param {Object} resource { id, type, capacity }
+ * @param {Object} existingResources Mapping of existing resource IDs
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+export function validateResource(resource, existingResources = {}) {
+    const errors = [];
+
+    if (!resource.id || typeof resource.id !== 'string') {
+        errors.push('Missing or invalid "id": must be a string.');
+    } else if (existingResources[resource.id]) {
+        errors.push(`Duplicate "id": A resource with ID "${resource.id}" is already registered.`);
+    }
+
+    if (!resource.type || typeof resource.type !== 'string') {
+        errors.push('Missing or invalid "type": must be a string such as "exclusive" or "shared".');
+    }
+
+    if (resource.capacity !== undefined && (!Number.isInteger(resource.capacity) || resource.capacity < 1)) {
+        errors.push('Invalid "capacity": must be a positive integer.');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
@@ -0,0 +1,149 @@
+import { VALID_DOMAINS } from '../constants/Domains.js';
+
+/**
+ * Classes a failed attempt can fall into: the TransportError codes, plus
+ * - LOW_CONFIDENCE: the agent answered below the confidence threshold
+ * - DEPENDENCY_FAILED: a dependency failed, is missing or forms a cycle (never retried)
+ * - REROUTE_LIMIT: meta-reflection rerouted the task more than maxReroutes times (never retried)
+ * - TASK_ERROR: any other error raised while handling the attempt
+ */
+export const ERROR_CLASSES = [
+    'CONNECTION_FAILED',
+    'TIMEOUT',
+    'HTTP_ERROR',
+    'AGENT_REJECTED',
+    'MALFORMED_RESPONSE',
+    'PROCESS_FAILED',
+    'HANDLER_ERROR',
+    'UNSUPPORTED_TRANSPORT',
+    'HOOK_FAILED',
+    'LOW_CONFIDENCE',
+    'DEPENDENCY_FAILED',
+    'REROUTE_LIMIT',
+    'TASK_ERROR'
+];
+
+// Retrying cannot change the outcome of these, whatever the policy says
+const ALWAYS_FATAL = ['CANCELLED', 'DEPENDENCY_FAILED', 'REROUTE_LIMIT'];
+
+/**
+ * Policy applied when neither the task nor its domain defines one: three attempts, retried at once, whatever the error.
+ * maxReroutes bounds how often meta-reflection may send a task back to wait for a better-suited agent.
+ */
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+    maxAttempts: 3,
+    maxReroutes: 15,
+    backoff: Object.freeze({ initialDelayMs: 0, multiplier: 2, maxDelayMs: 60000, jitter: 0 }),
+    retryOn: null,
+    fatal: []
+});
+
+/**
+ * Merges retry policies over the default, later ones overriding earlier ones field by field.
+ * @param {...Object} policies e.g. the domain policy, then the task's own
+ * @returns {Object} { maxAttempts, maxReroutes, backoff: { initialDelayMs, multiplier, maxDelayMs, jitter }, retryOn, fatal }
+ */
+export function resolveRetryPolicy(...policies) {
+    return policies.filter(Boolean).reduce((resolved, policy) => ({
+        ...resolved,
+        ...policy,
+        backoff: { ...resolved.backoff, ...policy.backoff }
+    }), { ...DEFAULT_RETRY_POLICY, backoff: { ...DEFAULT_RETRY_POLICY.backoff } });
+}
+
+/**
+ * Validates a retry policy.
+ * @param {Object} policy { maxAttempts, maxReroutes, backoff: { initialDelayMs, multiplier, maxDelayMs, jitter }, retryOn, fatal }
+ * @returns {string[]} Errors, empty when the policy is valid or absent
+ */
+export function validateRetryPolicy(policy) {
+    if (policy === undefined) return [];
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return ['Invalid "retryPolicy": must be an object such as { "maxAttempts": 5, "backoff": { "initialDelayMs": 1000 } }.'];
+    }
+
+    const errors = [];
+    const { maxAttempts, maxReroutes, backoff, retryOn, fatal } = resolveRetryPolicy(policy);
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+        errors.push('Invalid "retryPolicy": "maxAttempts" must be a positive integer.');
+    }
+    if (!Number.isInteger(maxReroutes) || maxReroutes < 0) {
+        errors.push('Invalid "retryPolicy": "maxReroutes" must be a non-negative integer.');
+    }
+
+    if (policy.backoff !== undefined && (!policy.backoff || typeof policy.backoff !== 'object' || Array.isArray(policy.backoff))) {
+        errors.push('Invalid "retryPolicy": "backoff" must be an object.');
+    } else {
+        const { initialDelayMs, multiplier, maxDelayMs, jitter } = backoff;
+        if (typeof initialDelayMs !== 'number' || initialDelayMs < 0) {
+            errors.push('Invalid "retryPolicy": "backoff.initialDelayMs" must be a non-negative number of milliseconds.');
+        }
+        if (typeof multiplier !== 'number' || multiplier < 1) {
+            errors.push('Invalid "retryPolicy": "backoff.multiplier" must be a number of at least 1.');
+        }
+        if (typeof maxDelayMs !== 'number' || maxDelayMs < 0) {
+            errors.push('Invalid "retryPolicy": "backoff.maxDelayMs" must be a non-negative number of milliseconds.');
+        }
+        if (typeof jitter !== 'number' || jitter < 0 || jitter > 1) {
+            errors.push('Invalid "retryPolicy": "backoff.jitter" must be a fraction between 0 and 1.');
+        }
+    }
+
+    for (const [field, classes] of [['retryOn', retryOn], ['fatal', fatal]]) {
+        if (classes === null && field === 'retryOn') continue;
+        if (!Array.isArray(classes)) {
+            errors.push(`Invalid "retryPolicy": "${field}" must be an array of error classes.`);
+            continue;
+        }
+        const unknown = classes.filter(c => !ERROR_CLASSES.includes(c));
+        if (unknown.length > 0) {
+            errors.push(`Invalid "retryPolicy": unknown error class in "${field}": ${unknown.join(', ')}. Valid classes are: ${ERROR_CLASSES.join(', ')}.`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Validates the domain a retry policy is registered for.
+ * @param {string} domainLabel
+ * @returns {string[]}
+ */
+export function validateRetryPolicyDomain(domainLabel) {
+    return VALID_DOMAINS.includes(domainLabel)
+        ? []
+        : [`Invalid domain "${domainLabel}". Valid domains are: ${VALID_DOMAINS.join(', ')}.`];
+}
+
+/**
+ * Classifies an error by its code; errors without one are TASK_ERROR.
+ * @param {Error} error
+ * @returns {string}
+ */
+export function classifyError(error) {
+    return error?.code || 'TASK_ERROR';
+}
+
+/**
+ * True when a failed attempt of the given class may be retried under the policy.
+ * @param {Object} policy Resolved policy
+ * @param {string} errorClass
+ * @returns {boolean}
+ */
+export function isRetryable(policy, errorClass) {
+    if (ALWAYS_FATAL.includes(errorClass) || policy.fatal.includes(errorClass)) return false;
+    return !policy.retryOn || policy.retryOn.includes(errorClass);
+}
+
+/**
+ * Delay before the next attempt: initialDelayMs grown by multiplier per attempt made, capped at maxDelayMs,
+ * then spread by up to ±jitter of itself so retries of many tasks do not land at once.
+ * @param {Object} policy Resolved policy
+ * @param {number} attempt Number of attempts made so far (1 after the first failure)
+ * @param {Function} random Source of randomness in [0, 1)
+ * @returns {number} Milliseconds
+ */
+export function retryDelay({ backoff }, attempt, random = Math.random) {
+    const { initialDelayMs, multiplier, maxDelayMs, jitter } = backoff;
+    const delay = Math.min(maxDelayMs, initialDelayMs * Math.pow(multiplier, attempt - 1));
+    return Math.max(0, Math.round(delay * (1 + jitter * (2 * random() - 1))));
+}
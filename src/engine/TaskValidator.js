@@ -1,4 +1,16 @@
 import { VALID_DOMAINS } from '../constants/Domains.js';
+import { isWebhookUrl } from '../webhooks/WebhookValidator.js';
+import { validateInputs, parseBinding } from './InputResolver.js';
+import { validateConditions } from './ConditionEvaluator.js';
+import { validateFailurePolicy } from './FailurePolicy.js';
+import { validateAggregationStrategy } from './AggregationStrategies.js';
+import { validateRedundancy } from './Consensus.js';
+import { validateReview } from './PeerReview.js';
+import { validateApproval } from './ApprovalGate.js';
+import { validateRetryPolicy } from './RetryPolicy.js';
+import { validateSchedule } from './CronSchedule.js';
+import { validateDeadline } from './Deadlines.js';
+import { NODE_TYPES } from '../constants/NodeTypes.js';
 
 /**
  * Validates a task object against the defined schema.
@@ -34,6 +46,62 @@ export function validateTask(task) {
         errors.push('Invalid "dependencies": must be an array of task IDs.');
     }
 
+    if (task.timeoutMs !== undefined && (typeof task.timeoutMs !== 'number' || task.timeoutMs <= 0)) {
+        errors.push('Invalid "timeoutMs": must be a positive number of milliseconds.');
+    }
+
+    if (task.callbackUrl !== undefined && !isWebhookUrl(task.callbackUrl)) {
+        errors.push('Invalid "callbackUrl": must be an absolute http(s) URL.');
+    }
+
+    if (task.runAt !== undefined && (typeof task.runAt !== 'string' || Number.isNaN(Date.parse(task.runAt)))) {
+        errors.push('Invalid "runAt": must be an ISO 8601 timestamp.');
+    }
+
+    errors.push(...validateSchedule(task.schedule));
+    errors.push(...validateDeadline(task));
+
+    // Workflow nodes and keyed subtasks may bind to siblings by name through dependsOn
+    const dependencyRefs = [task.dependencies, task.dependsOn].filter(Array.isArray).flat();
+
+    if (task.inputs !== undefined) {
+        errors.push(...validateInputs(task.inputs, dependencyRefs).errors);
+    }
+
+    if (task.when !== undefined) {
+        errors.push(...validateConditions(task.when, dependencyRefs).map(error => `Invalid "when": ${error}`));
+    }
+
+    if (task.allowSkipped !== undefined && typeof task.allowSkipped !== 'boolean') {
+        errors.push('Invalid "allowSkipped": must be a boolean.');
+    }
+
+    if (task.type !== undefined && !NODE_TYPES.includes(task.type)) {
+        errors.push(`Invalid "type": "${task.type}". Valid types are: ${NODE_TYPES.join(', ')}.`);
+    } else if (task.type === 'switch') {
+        errors.push(...validateSwitchNode(task, dependencyRefs));
+    } else if (task.type === 'map') {
+        errors.push(...validateMapNode(task, dependencyRefs));
+    }
+
+    errors.push(...validateFailurePolicy(task.failurePolicy));
+    errors.push(...validateAggregationStrategy(task.aggregationStrategy));
+
+    if (task.redundancy !== undefined && (task.type === 'switch' || task.type === 'map')) {
+        errors.push('Invalid "redundancy": switch and map nodes are expanded by the engine and cannot be replicated.');
+    } else {
+        errors.push(...validateRedundancy(task.redundancy));
+    }
+
+    if (task.review !== undefined && task.review !== false && (task.type === 'switch' || task.type === 'map' || task.redundancy !== undefined)) {
+        errors.push('Invalid "review": only tasks dispatched to a single agent can be reviewed; switch, map and redundant tasks cannot.');
+    } else {
+        errors.push(...validateReview(task.review));
+    }
+
+    errors.push(...validateApproval(task.approval));
+    errors.push(...validateRetryPolicy(task.retryPolicy));
+
     if (task.subtasks !== undefined && !Array.isArray(task.subtasks)) {
         errors.push('Invalid "subtasks": must be an array of subtask definitions.');
     }
@@ -44,6 +112,78 @@ export function validateTask(task) {
     };
 }
 
+/**
+ * Validates the task a switch or map node expands into. It runs without dependencies of its own,
+ * so it cannot bind to "$deps"; it receives the node's resolved inputs instead.
+ * @param {Object} spec 
+ * @param {string} label Prefix for error messages
+ * @returns {string[]}
+ */
+function validateExpansionSpec(spec, label) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        return [`${label}: must be a task specification.`];
+    }
+    if (spec.type !== undefined && spec.type !== 'task') {
+        return [`${label}: switch and map nodes cannot be nested.`];
+    }
+    return validateTask(spec).errors.map(error => `${label}: ${error}`);
+}
+
+/**
+ * Validates a switch node: { cases: [{ when, task }], default: task }. The first case whose
+ * conditions hold is run; without a match the default runs, or the node is skipped.
+ * @param {Object} task 
+ * @param {string[]} dependencyRefs 
+ * @returns {string[]}
+ */
+function validateSwitchNode(task, dependencyRefs) {
+    const errors = [];
+
+    if (!Array.isArray(task.cases) || task.cases.length === 0) {
+        errors.push('Invalid "cases": a switch node needs an array of { when, task } cases.');
+    } else {
+        task.cases.forEach((branch, i) => {
+            if (!branch || typeof branch !== 'object' || branch.when === undefined) {
+                errors.push(`Case ${i}: must be an object with "when" and "task".`);
+                return;
+            }
+            validateConditions(branch.when, dependencyRefs).forEach(error => errors.push(`Case ${i}: ${error}`));
+            errors.push(...validateExpansionSpec(branch.task, `Case ${i} task`));
+        });
+    }
+
+    if (task.default !== undefined) {
+        errors.push(...validateExpansionSpec(task.default, 'Default task'));
+    }
+
+    return errors;
+}
+
+/**
+ * Validates a map node: { items, task }. The task runs once per item; items is an array
+ * or a "$deps.<task>.<field>" binding that resolves to one.
+ * @param {Object} task 
+ * @param {string[]} dependencyRefs 
+ * @returns {string[]}
+ */
+function validateMapNode(task, dependencyRefs) {
+    const errors = [];
+
+    const binding = parseBinding(task.items);
+    if (binding) {
+        if (!binding.ref || binding.path.some(segment => !segment)) {
+            errors.push(`Invalid "items": "${task.items}" is not a valid "$deps.<task>.<field>" binding.`);
+        } else if (!dependencyRefs.includes(binding.ref)) {
+            errors.push(`Invalid "items": "${binding.ref}" is not a dependency of this task.`);
+        }
+    } else if (!Array.isArray(task.items)) {
+        errors.push('Invalid "items": a map node needs an array or a "$deps.<task>.<field>" binding.');
+    }
+
+    errors.push(...validateExpansionSpec(task.task, 'Map task'));
+    return errors;
+}
+
 /**
  * Task Schema Definition for documentation and potential future use with validation libraries.
  */
@@ -78,6 +218,76 @@ export const TaskSchema = {
             type: 'number',
             description: 'Optional priority level'
         },
+        timeoutMs: {
+            type: 'number',
+            description: 'Optional execution timeout in milliseconds; defaults to the engine dispatch timeout',
+            exclusiveMinimum: 0
+        },
+        callbackUrl: {
+            type: 'string',
+            description: 'Optional URL notified (signed POST) when the task completes, fails or is cancelled',
+            format: 'uri'
+        },
+        type: {
+            type: 'string',
+            description: 'Node kind; switch and map nodes are expanded into subtasks at runtime',
+            enum: NODE_TYPES
+        },
+        when: {
+            type: ['object', 'array'],
+            description: 'Optional conditions on dependency outputs ({ input, op, value }); the task is skipped when they do not hold'
+        },
+        allowSkipped: {
+            type: 'boolean',
+            description: 'Run even if some dependencies were skipped; otherwise the task is skipped with them'
+        },
+        failurePolicy: {
+            type: ['string', 'object'],
+            description: 'How failed subtasks affect aggregation: all-required (default), best-effort, { type: "quorum", min } or { type: "required-subset", required }'
+        },
+        redundancy: {
+            type: 'object',
+            description: 'Optional redundant execution: { replicas, agreement: "majority" | "unanimous" | n, onDisagreement: "retry" | "escalate", maxRounds }'
+        },
+        review: {
+            type: ['boolean', 'object'],
+            description: 'Optional peer review: true or { maxRejections, timeoutMs }; the output is checked by a second agent of the same domain before the task completes'
+        },
+        approval: {
+            type: ['boolean', 'object'],
+            description: 'Optional human sign-off: true or { gate: "start" | "output", expiresInMs }; the task waits in awaiting_approval until POST /tasks/:id/approve or /reject'
+        },
+        runAt: {
+            type: 'string',
+            description: 'Optional earliest start (ISO 8601); the task is not dispatched before then. For a scheduled task, the earliest first run',
+            format: 'date-time'
+        },
+        deadline: {
+            type: 'string',
+            description: 'Optional time (ISO 8601) the task must be completed by; tasks close to their deadline are dispatched ahead of higher-priority work',
+            format: 'date-time'
+        },
+        deadlineInMs: {
+            type: 'number',
+            description: 'Optional deadline counted from submission, in milliseconds; use instead of deadline for scheduled tasks',
+            exclusiveMinimum: 0
+        },
+        schedule: {
+            type: 'string',
+            description: 'Optional five-field cron expression in UTC (e.g. "0 * * * *" or "@hourly"); submits a new instance of the task at every match instead of running it once'
+        },
+        retryPolicy: {
+            type: 'object',
+            description: 'Optional retry policy, overriding the domain\'s: { maxAttempts, maxReroutes, backoff: { initialDelayMs, multiplier, maxDelayMs, jitter }, retryOn: [errorClass], fatal: [errorClass] }'
+        },
+        aggregationStrategy: {
+            type: 'string',
+            description: 'How subtask outputs are combined: concatenate (default), collect, passthrough, json-merge, keyed, majority-vote, confidence-weighted or a registered custom reducer'
+        },
+        inputs: {
+            type: 'object',
+            description: 'Optional values passed to the agent; "$deps.<task>.<field>" bindings are resolved from dependency outputs before dispatch'
+        },
         timestamp: {
             type: 'string',
             description: 'ISO 8601 timestamp of task creation'
@@ -0,0 +1,50 @@
+import { validateWorkflowGraph } from './WorkflowValidator.js';
+import { findPlaceholders } from './WorkflowTemplate.js';
+
+/**
+ * Validates a workflow template definition. Node fields may contain "{{param}}" placeholders,
+ * so full task validation happens when the template is run; here the graph and parameters are checked.
+ * @param {Object} template { name, description, domainLabel, priority, callbackUrl, failurePolicy, aggregationStrategy, parameters: { name: { description, default } }, nodes }
+ * @param {Object} existingTemplates Mapping of existing template names
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+export function validateTemplate(template, existingTemplates = {}) {
+    const errors = [];
+
+    if (!template.name || typeof template.name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(template.name)) {
+        errors.push('Missing or invalid "name": must contain only letters, digits, "-" and "_".');
+    } else if (existingTemplates[template.name]) {
+        errors.push(`Duplicate "name": A template named "${template.name}" is already registered.`);
+    }
+
+    const parameters = template.parameters || {};
+    if (typeof parameters !== 'object' || Array.isArray(parameters)) {
+        errors.push('Invalid "parameters": must be an object mapping parameter names to { description, default }.');
+    } else {
+        for (const [name, spec] of Object.entries(parameters)) {
+            if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+                errors.push(`Parameter "${name}": must be an object such as { "description": "...", "default": ... }.`);
+            }
+        }
+    }
+
+    const nodes = template.nodes;
+    if (!nodes || typeof nodes !== 'object' || Array.isArray(nodes) || Object.keys(nodes).length === 0) {
+        errors.push('Missing or invalid "nodes": must be an object mapping node names to task specifications.');
+        return { isValid: false, errors };
+    }
+    errors.push(...validateWorkflowGraph(nodes));
+
+    const declared = typeof parameters === 'object' && parameters ? parameters : {};
+    const used = findPlaceholders([template.description, template.domainLabel, template.priority, template.callbackUrl, template.failurePolicy, template.aggregationStrategy, nodes]);
+    for (const name of used) {
+        if (!Object.hasOwn(declared, name)) {
+            errors.push(`Placeholder "{{${name}}}" does not match a declared parameter.`);
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
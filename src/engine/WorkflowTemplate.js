@@ -0,0 +1,87 @@
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([A-Za-z_][\w-]*)\s*\}\}$/;
+
+// Template fields that are rendered into the workflow; the name stays the template's own
+const RENDERED_FIELDS = ['description', 'domainLabel', 'priority', 'callbackUrl', 'failurePolicy', 'aggregationStrategy', 'nodes'];
+
+/**
+ * Lists the parameter names referenced by "{{param}}" placeholders anywhere in a value.
+ * @param {*} value
+ * @param {Set<string>} found Accumulator
+ * @returns {Set<string>}
+ */
+export function findPlaceholders(value, found = new Set()) {
+    if (typeof value === 'string') {
+        for (const match of value.matchAll(PLACEHOLDER)) found.add(match[1]);
+    } else if (Array.isArray(value)) {
+        value.forEach(item => findPlaceholders(item, found));
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(item => findPlaceholders(item, found));
+    }
+    return found;
+}
+
+/**
+ * Substitutes parameters into a value. A string that is exactly one placeholder takes the
+ * parameter's value as-is (so numbers stay numbers); otherwise placeholders are interpolated.
+ * @param {*} value
+ * @param {Object} params
+ * @returns {*}
+ */
+function render(value, params) {
+    if (typeof value === 'string') {
+        const whole = value.match(WHOLE_PLACEHOLDER);
+        if (whole) return params[whole[1]];
+        return value.replace(PLACEHOLDER, (_, name) => String(params[name]));
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => render(item, params));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, render(item, params)]));
+    }
+    return value;
+}
+
+/**
+ * Turns a template and run parameters into a workflow document for engine.createWorkflow.
+ * Parameters without a default are required; parameters the template does not declare are rejected.
+ * @param {Object} template { name, description, domainLabel, priority, callbackUrl, failurePolicy, aggregationStrategy, parameters, nodes }
+ * @param {Object} params Mapping of parameter name to value
+ * @returns {Object} { workflow: Object|null, errors: string[] }
+ */
+export function instantiateTemplate(template, params = {}) {
+    const errors = [];
+    const declared = template.parameters || {};
+
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        return { workflow: null, errors: ['Invalid "params": must be an object mapping parameter names to values.'] };
+    }
+
+    for (const name of Object.keys(params)) {
+        if (!Object.hasOwn(declared, name)) {
+            errors.push(`Unknown parameter "${name}".`);
+        }
+    }
+
+    const values = {};
+    for (const [name, spec] of Object.entries(declared)) {
+        if (params[name] !== undefined) {
+            values[name] = params[name];
+        } else if (spec.default !== undefined) {
+            values[name] = spec.default;
+        } else {
+            errors.push(`Missing required parameter "${name}".`);
+        }
+    }
+
+    if (errors.length > 0) return { workflow: null, errors };
+
+    const workflow = { name: template.name };
+    for (const field of RENDERED_FIELDS) {
+        if (template[field] !== undefined) {
+            workflow[field] = render(template[field], values);
+        }
+    }
+    return { workflow, errors };
+}
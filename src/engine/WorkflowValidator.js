@@ -0,0 +1,85 @@
+import { validateTask } from './TaskValidator.js';
+import { findCycles } from './DependencyGraph.js';
+import { isWebhookUrl } from '../webhooks/WebhookValidator.js';
+import { validateFailurePolicy } from './FailurePolicy.js';
+import { validateAggregationStrategy } from './AggregationStrategies.js';
+
+/**
+ * Validates a declarative workflow document: named nodes that reference each other through dependsOn.
+ * @param {Object} workflow { name, description, domainLabel, priority, callbackUrl, failurePolicy, aggregationStrategy, nodes: { key: taskSpec } }
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+export function validateWorkflow(workflow) {
+    const errors = [];
+
+    if (!workflow.name || typeof workflow.name !== 'string') {
+        errors.push('Missing or invalid "name": must be a string.');
+    }
+
+    if (workflow.priority !== undefined && typeof workflow.priority !== 'number') {
+        errors.push('Invalid "priority": must be a number.');
+    }
+
+    if (workflow.callbackUrl !== undefined && !isWebhookUrl(workflow.callbackUrl)) {
+        errors.push('Invalid "callbackUrl": must be an absolute http(s) URL.');
+    }
+
+    const nodes = workflow.nodes;
+    if (!nodes || typeof nodes !== 'object' || Array.isArray(nodes) || Object.keys(nodes).length === 0) {
+        errors.push('Missing or invalid "nodes": must be an object mapping node names to task specifications.');
+        return { isValid: false, errors };
+    }
+
+    for (const [key, node] of Object.entries(nodes)) {
+        if (!node || typeof node !== 'object' || Array.isArray(node)) continue;
+        validateTask(node).errors.forEach(error => errors.push(`Node "${key}": ${error}`));
+        if (node.schedule !== undefined) {
+            errors.push(`Node "${key}": "schedule" is only supported on tasks submitted on their own.`);
+        }
+    }
+    errors.push(...validateWorkflowGraph(nodes));
+    errors.push(...validateFailurePolicy(workflow.failurePolicy, Object.keys(nodes)));
+    errors.push(...validateAggregationStrategy(workflow.aggregationStrategy));
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Checks the structure of a workflow graph: every dependsOn entry names another node and there are no cycles.
+ * @param {Object} nodes Mapping of node name to task specification
+ * @returns {string[]} Errors, empty when the graph is valid
+ */
+export function validateWorkflowGraph(nodes) {
+    const errors = [];
+    const adjacency = {};
+
+    for (const [key, node] of Object.entries(nodes)) {
+        if (!node || typeof node !== 'object' || Array.isArray(node)) {
+            errors.push(`Node "${key}": must be a task specification.`);
+            continue;
+        }
+
+        const dependsOn = node.dependsOn || [];
+        if (!Array.isArray(dependsOn)) {
+            errors.push(`Node "${key}": Invalid "dependsOn": must be an array of node names.`);
+            continue;
+        }
+        dependsOn.forEach(ref => {
+            if (ref === key) {
+                errors.push(`Node "${key}": cannot depend on itself.`);
+            } else if (!Object.hasOwn(nodes, ref)) {
+                errors.push(`Node "${key}": "dependsOn" references unknown node "${ref}".`);
+            }
+        });
+        adjacency[key] = dependsOn.filter(ref => ref !== key && Object.hasOwn(nodes, ref));
+    }
+
+    for (const cycle of findCycles(adjacency)) {
+        errors.push(`Dependency cycle: ${[...cycle, cycle[0]].join(' -> ')}.`);
+    }
+
+    return errors;
+}
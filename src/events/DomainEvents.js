@@ -0,0 +1,135 @@
+/**
+ * Typed domain events emitted by the engine for every state transition.
+ * Each event names the `entity` it transitions ('task' | 'agent' | 'resource') and carries
+ * `changes`: that entity's mutable state right after the transition. Task events also carry the
+ * task's `domainLabel` and `parentTaskId` so consumers can filter without looking the task up. The projector rebuilds
+ * state by merging these in order.
+ */
+export const DomainEventTypes = Object.freeze({
+    // Task lifecycle
+    TASK_SUBMITTED: 'TaskSubmitted',
+    SUBTASK_CREATED: 'SubtaskCreated',
+    TASK_DECOMPOSED: 'TaskDecomposed',
+    SUBTASKS_MERGED: 'SubtasksMerged',
+    TASK_PRIORITY_CHANGED: 'TaskPriorityChanged',
+    TASK_DEPENDENCY_ADDED: 'TaskDependencyAdded',
+    TASK_COLLABORATION_REQUESTED: 'TaskCollaborationRequested',
+    TASK_STRATEGY_APPLIED: 'TaskStrategyApplied',
+    TASK_REROUTED: 'TaskRerouted',
+    TASK_DISPATCHED: 'TaskDispatched',
+    TASK_LEASED: 'TaskLeased',
+    TASK_LEASE_RENEWED: 'TaskLeaseRenewed',
+    TASK_COMPLETED: 'TaskCompleted',
+    TASK_REQUEUED: 'TaskRequeued',
+    TASK_FAILED: 'TaskFailed',
+    TASK_CANCELLED: 'TaskCancelled',
+    TASK_SKIPPED: 'TaskSkipped',
+    TASK_ESCALATED: 'TaskEscalated',
+    TASK_REVIEW_REQUESTED: 'TaskReviewRequested',
+    TASK_REVIEWED: 'TaskReviewed',
+    TASK_APPROVAL_REQUESTED: 'TaskApprovalRequested',
+    TASK_APPROVED: 'TaskApproved',
+    TASK_REJECTED: 'TaskRejected',
+    TASK_DEAD_LETTERED: 'TaskDeadLettered',
+    TASK_REPLAYED: 'TaskReplayed',
+    TASK_SLA_AT_RISK: 'TaskSlaAtRisk',
+    TASK_SLA_MISSED: 'TaskSlaMissed',
+    TASK_RECOVERED: 'TaskRecovered',
+
+    // Agents
+    AGENT_REGISTERED: 'AgentRegistered',
+    AGENT_STATUS_CHANGED: 'AgentStatusChanged',
+    AGENT_REMOVED: 'AgentRemoved',
+
+    // Resources
+    RESOURCE_REGISTERED: 'ResourceRegistered',
+    RESOURCE_LOCKED: 'ResourceLocked',
+    RESOURCE_RELEASED: 'ResourceReleased'
+});
+
+/**
+ * Names under which CoreEngine emits each domain event to subscribers, e.g. engine.on('task:completed', ...).
+ */
+export const EngineEvents = Object.freeze({
+    [DomainEventTypes.TASK_SUBMITTED]: 'task:submitted',
+    [DomainEventTypes.SUBTASK_CREATED]: 'task:subtask-created',
+    [DomainEventTypes.TASK_DECOMPOSED]: 'task:decomposed',
+    [DomainEventTypes.SUBTASKS_MERGED]: 'task:subtasks-merged',
+    [DomainEventTypes.TASK_PRIORITY_CHANGED]: 'task:priority-changed',
+    [DomainEventTypes.TASK_DEPENDENCY_ADDED]: 'task:dependency-added',
+    [DomainEventTypes.TASK_COLLABORATION_REQUESTED]: 'task:collaboration-requested',
+    [DomainEventTypes.TASK_STRATEGY_APPLIED]: 'task:strategy-applied',
+    [DomainEventTypes.TASK_REROUTED]: 'task:rerouted',
+    [DomainEventTypes.TASK_DISPATCHED]: 'task:dispatched',
+    [DomainEventTypes.TASK_LEASED]: 'task:leased',
+    [DomainEventTypes.TASK_LEASE_RENEWED]: 'task:lease-renewed',
+    [DomainEventTypes.TASK_COMPLETED]: 'task:completed',
+    [DomainEventTypes.TASK_REQUEUED]: 'task:requeued',
+    [DomainEventTypes.TASK_FAILED]: 'task:failed',
+    [DomainEventTypes.TASK_CANCELLED]: 'task:cancelled',
+    [DomainEventTypes.TASK_SKIPPED]: 'task:skipped',
+    [DomainEventTypes.TASK_ESCALATED]: 'task:escalated',
+    [DomainEventTypes.TASK_REVIEW_REQUESTED]: 'task:review-requested',
+    [DomainEventTypes.TASK_REVIEWED]: 'task:reviewed',
+    [DomainEventTypes.TASK_APPROVAL_REQUESTED]: 'task:approval-requested',
+    [DomainEventTypes.TASK_APPROVED]: 'task:approved',
+    [DomainEventTypes.TASK_REJECTED]: 'task:rejected',
+    [DomainEventTypes.TASK_DEAD_LETTERED]: 'task:dead-lettered',
+    [DomainEventTypes.TASK_REPLAYED]: 'task:replayed',
+    [DomainEventTypes.TASK_SLA_AT_RISK]: 'task:sla-at-risk',
+    [DomainEventTypes.TASK_SLA_MISSED]: 'task:sla-missed',
+    [DomainEventTypes.TASK_RECOVERED]: 'task:recovered',
+    [DomainEventTypes.AGENT_REGISTERED]: 'agent:registered',
+    [DomainEventTypes.AGENT_STATUS_CHANGED]: 'agent:status-changed',
+    [DomainEventTypes.AGENT_REMOVED]: 'agent:removed',
+    [DomainEventTypes.RESOURCE_REGISTERED]: 'resource:registered',
+    [DomainEventTypes.RESOURCE_LOCKED]: 'resource:locked',
+    [DomainEventTypes.RESOURCE_RELEASED]: 'resource:released'
+});
+
+/**
+ * Task fields that change after submission and are captured on every task event.
+ */
+export const TASK_STATE_FIELDS = [
+    'status',
+    'assignedTo',
+    'retryCount',
+    'notBefore',
+    'reroutes',
+    'failedAgents',
+    'priority',
+    'dependencies',
+    'subtasks',
+    'predictedSuccess',
+    'lease',
+    'isCollaborative',
+    'suggestedAction',
+    'cancelReason',
+    'cancelledAt',
+    'skipReason',
+    'selectedCase',
+    'consensus',
+    'review',
+    'pendingReview',
+    'reviews',
+    'approvalRequest',
+    'approvalDecision',
+    'replayCount',
+    'slaStatus',
+    'recoveredAt'
+];
+
+/**
+ * Copies the mutable state of a task for inclusion in an event.
+ * @param {Object} task
+ * @returns {Object}
+ */
+export function captureTaskState(task) {
+    const state = {};
+    for (const field of TASK_STATE_FIELDS) {
+        if (task[field] !== undefined) {
+            state[field] = structuredClone(task[field]);
+        }
+    }
+    return state;
+}
@@ -0,0 +1,172 @@
+import fs from 'fs';
+import { projectState } from './StateProjector.js';
+
+/**
+ * Ordered, append-only stream of domain events.
+ * Kept in memory and, when a file path is given, mirrored to an NDJSON file that is reloaded on boot.
+ * Compaction folds events older than the retention window into a checkpoint (the projected state
+ * at the last folded event), so time travel still works from the checkpoint onwards.
+ */
+class EventStore {
+    /**
+     * @param {string|null} filePath NDJSON file for durable events; in-memory only when null
+     */
+    constructor(filePath = null) {
+        this.filePath = filePath;
+        this.checkpointPath = filePath ? `${filePath.replace(/\.ndjson$/, '')}.checkpoint.json` : null;
+        this.events = [];
+        this.seq = 0;
+
+        /**
+         * Projected state folded from compacted events: { seq, timestamp, state }, null before the first compaction
+         * @type {Object|null}
+         */
+        this.checkpoint = null;
+
+        /**
+         * Events per task ID, oldest first
+         * @type {Map<string, Array<Object>>}
+         */
+        this.byTask = new Map();
+
+        if (this.checkpointPath && fs.existsSync(this.checkpointPath)) {
+            this.checkpoint = JSON.parse(fs.readFileSync(this.checkpointPath, 'utf8'));
+            this.seq = this.checkpoint.seq;
+        }
+
+        if (filePath && fs.existsSync(filePath)) {
+            for (const line of fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean)) {
+                let event;
+                try {
+                    event = JSON.parse(line);
+                } catch (error) {
+                    // Torn final line from a crash mid-write
+                    continue;
+                }
+                // Left behind by a crash between writing the checkpoint and rewriting the file
+                if (event.seq <= this.seq) continue;
+                this.index(event);
+                this.seq = event.seq;
+            }
+        }
+    }
+
+    /**
+     * Appends an event to the stream.
+     * @param {string} type One of DomainEventTypes
+     * @param {Object} fields { entity, taskId, agentId, resourceId, changes, data }
+     * @returns {Object} The stored event
+     */
+    append(type, fields = {}) {
+        const event = {
+            seq: ++this.seq,
+            type,
+            timestamp: new Date().toISOString(),
+            ...fields
+        };
+
+        this.index(event);
+        if (this.filePath) {
+            fs.appendFileSync(this.filePath, JSON.stringify(event) + '\n');
+        }
+        return event;
+    }
+
+    /**
+     * Adds an event to the in-memory stream and the per-task index.
+     * @param {Object} event
+     */
+    index(event) {
+        this.events.push(event);
+        if (!event.taskId) return;
+        if (!this.byTask.has(event.taskId)) this.byTask.set(event.taskId, []);
+        this.byTask.get(event.taskId).push(event);
+    }
+
+    /**
+     * @param {string} taskId
+     * @returns {Array<Object>} Retained events concerning the task, oldest first
+     */
+    forTask(taskId) {
+        return [...(this.byTask.get(taskId) || [])];
+    }
+
+    /**
+     * @param {number} seq Exclusive lower bound
+     * @returns {Array<Object>} Retained events recorded after the given sequence number
+     */
+    since(seq) {
+        return this.events.slice(this.countWhile(e => e.seq <= seq));
+    }
+
+    /**
+     * @param {number} timestampMs Inclusive upper bound (epoch ms)
+     * @returns {Array<Object>} Retained events recorded at or before the given time
+     */
+    until(timestampMs) {
+        return this.events.slice(0, this.countWhile(e => Date.parse(e.timestamp) <= timestampMs));
+    }
+
+    /**
+     * Rebuilds the state at a point in time from the checkpoint and the retained events.
+     * @param {number} timestampMs Epoch milliseconds
+     * @returns {Object} { tasks, agents, resources, outputs, lastEvent }
+     * @throws {Error} If the moment precedes the checkpoint
+     */
+    stateAt(timestampMs) {
+        if (this.checkpoint && timestampMs < Date.parse(this.checkpoint.timestamp)) {
+            throw new Error(`Events before ${this.checkpoint.timestamp} have been compacted`);
+        }
+        return projectState(this.until(timestampMs), this.checkpoint?.state);
+    }
+
+    /**
+     * Folds the events recorded before a moment into the checkpoint and drops them from memory and disk.
+     * @param {number} beforeMs Epoch milliseconds; events at or before it are compacted
+     * @returns {number} Number of events compacted
+     */
+    compact(beforeMs) {
+        const count = this.countWhile(e => Date.parse(e.timestamp) <= beforeMs);
+        if (count === 0) return 0;
+
+        const folded = this.events.slice(0, count);
+        const last = folded[folded.length - 1];
+        this.checkpoint = { seq: last.seq, timestamp: last.timestamp, state: projectState(folded, this.checkpoint?.state) };
+        this.events = this.events.slice(count);
+
+        // Folded events are the oldest of each task's list
+        for (const event of folded) {
+            if (!event.taskId) continue;
+            const taskEvents = this.byTask.get(event.taskId);
+            taskEvents.shift();
+            if (taskEvents.length === 0) this.byTask.delete(event.taskId);
+        }
+
+        if (this.filePath) {
+            // The checkpoint goes first: events it already covers are skipped on load
+            fs.writeFileSync(`${this.checkpointPath}.tmp`, JSON.stringify(this.checkpoint));
+            fs.renameSync(`${this.checkpointPath}.tmp`, this.checkpointPath);
+            fs.writeFileSync(`${this.filePath}.tmp`, this.events.map(e => JSON.stringify(e) + '\n').join(''));
+            fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+        }
+        return count;
+    }
+
+    /**
+     * Binary search over the stream, which is ordered by seq and timestamp.
+     * @param {Function} predicate True for a prefix of the stream
+     * @returns {number} Length of that prefix
+     */
+    countWhile(predicate) {
+        let low = 0;
+        let high = this.events.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (predicate(this.events[mid])) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+}
+
+export default EventStore;
@@ -0,0 +1,69 @@
+import { DomainEventTypes } from './DomainEvents.js';
+
+/**
+ * Rebuilds engine state by folding domain events in order.
+ * @param {Array<Object>} events Ordered domain events
+ * @param {Object} [base] A state previously returned by projectState that the events follow
+ * @returns {Object} { tasks, agents, resources, outputs, lastEvent }
+ */
+export function projectState(events, base = null) {
+    const tasks = new Map((base?.tasks || []).map(task => [task.id, structuredClone(task)]));
+    const agents = structuredClone(base?.agents || {});
+    const resources = structuredClone(base?.resources || {});
+    const outputs = structuredClone(base?.outputs || {});
+
+    for (const event of events) {
+        switch (event.type) {
+            case DomainEventTypes.TASK_SUBMITTED:
+            case DomainEventTypes.SUBTASK_CREATED:
+                tasks.set(event.taskId, structuredClone(event.data.task));
+                break;
+
+            case DomainEventTypes.SUBTASKS_MERGED:
+                for (const removedId of event.data.removedIds) {
+                    tasks.delete(removedId);
+                }
+                break;
+
+            case DomainEventTypes.AGENT_REGISTERED:
+                agents[event.agentId] = structuredClone(event.data.agent);
+                break;
+
+            case DomainEventTypes.AGENT_REMOVED:
+                delete agents[event.agentId];
+                break;
+
+            case DomainEventTypes.RESOURCE_REGISTERED:
+                resources[event.resourceId] = structuredClone(event.data.resource);
+                break;
+
+            case DomainEventTypes.TASK_COMPLETED:
+                outputs[event.taskId] = structuredClone(event.data.output);
+                break;
+
+            // Replay edits change fields that are not part of the task's captured state
+            case DomainEventTypes.TASK_REPLAYED:
+                if (tasks.has(event.taskId)) Object.assign(tasks.get(event.taskId), structuredClone(event.data.edits));
+                break;
+        }
+
+        // Every entity event carries the entity's state right after the transition
+        if (event.changes) {
+            const target = event.entity === 'task' ? tasks.get(event.taskId)
+                : event.entity === 'agent' ? agents[event.agentId]
+                    : event.entity === 'resource' ? resources[event.resourceId]
+                        : null;
+            if (target) {
+                Object.assign(target, structuredClone(event.changes));
+            }
+        }
+    }
+
+    return {
+        tasks: [...tasks.values()],
+        agents,
+        resources,
+        outputs,
+        lastEvent: events.length > 0 ? { seq: events[events.length - 1].seq, timestamp: events[events.length - 1].timestamp } : base?.lastEvent ?? null
+    };
+}
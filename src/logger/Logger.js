@@ -61,6 +61,9 @@ class Logger {
             collaboration: data.collaboration || {},
             status: data.status || 'completed'
         };
+        if (data.approval) {
+            entry.approval = data.approval;
+        }
 
         this.executionLogs.push(entry);
         this.persistExecutionLogs();
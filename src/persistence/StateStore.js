@@ -0,0 +1,93 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Durable storage for engine state in a local data directory.
+ * State is a set of named collections of records keyed by ID. It is persisted as a
+ * periodic full snapshot plus an append-only journal of record upserts and deletions.
+ */
+class StateStore {
+    /**
+     * @param {string} dataDir Directory holding snapshot.json and journal.ndjson
+     */
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.snapshotPath = path.join(dataDir, 'snapshot.json');
+        this.journalPath = path.join(dataDir, 'journal.ndjson');
+        this.seq = 0;
+
+        if (!fs.existsSync(dataDir)) {
+            fs.mkdirSync(dataDir, { recursive: true });
+        }
+    }
+
+    /**
+     * Loads the latest snapshot and replays newer journal entries on top of it.
+     * A torn last journal line (crash mid-write) is ignored.
+     * @returns {Object|null} { collections, replayed } or null when nothing was persisted
+     */
+    load() {
+        let collections = {};
+        let lastSeq = 0;
+        let found = false;
+
+        if (fs.existsSync(this.snapshotPath)) {
+            const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+            collections = snapshot.collections || {};
+            lastSeq = snapshot.seq || 0;
+            found = true;
+        }
+
+        let replayed = 0;
+        if (fs.existsSync(this.journalPath)) {
+            const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n').filter(Boolean);
+            for (const line of lines) {
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (error) {
+                    continue;
+                }
+                if (entry.seq <= lastSeq) continue;
+
+                const collection = collections[entry.collection] || (collections[entry.collection] = {});
+                if (entry.data === null) {
+                    delete collection[entry.id];
+                } else {
+                    collection[entry.id] = entry.data;
+                }
+                lastSeq = entry.seq;
+                replayed += 1;
+                found = true;
+            }
+        }
+
+        this.seq = lastSeq;
+        return found ? { collections, replayed } : null;
+    }
+
+    /**
+     * Appends record changes to the journal.
+     * @param {Array<Object>} changes { collection, id, data } with data null for deletions
+     */
+    append(changes) {
+        if (changes.length === 0) return;
+
+        const timestamp = new Date().toISOString();
+        const lines = changes.map(change => JSON.stringify({ seq: ++this.seq, timestamp, ...change }));
+        fs.appendFileSync(this.journalPath, lines.join('\n') + '\n');
+    }
+
+    /**
+     * Writes a full snapshot atomically and truncates the journal it supersedes.
+     * @param {Object} collections
+     */
+    writeSnapshot(collections) {
+        const tmpPath = `${this.snapshotPath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({ seq: this.seq, timestamp: new Date().toISOString(), collections }));
+        fs.renameSync(tmpPath, this.snapshotPath);
+        fs.writeFileSync(this.journalPath, '');
+    }
+}
+
+export default StateStore;
@@ -0,0 +1,61 @@
+import { TransportError } from './TransportError.js';
+
+/**
+ * Builds the task payload delivered to agents, independent of the transport.
+ * @param {Object} task
+ * @returns {Object}
+ */
+export function buildTaskPayload(task) {
+    return {
+        taskId: task.id,
+        description: task.description,
+        domainLabel: task.domainLabel,
+        complexityScore: task.complexityScore,
+        priority: task.priority || 1,
+        predictedImpact: task.predictedImpact,
+        dependencies: task.dependencies || [],
+        inputs: task.resolvedInputs || {},
+        parentTaskId: task.parentTaskId || null,
+        isCollaborative: !!task.isCollaborative,
+        suggestedAction: task.suggestedAction || null,
+        attempt: (task.retryCount || 0) + 1,
+        reviewFeedback: (task.reviews || []).filter(r => r.verdict === 'reject').map(({ reviewerId, comments }) => ({ reviewerId, comments }))
+    };
+}
+
+/**
+ * Validates a raw agent response and normalizes it into the engine's result shape.
+ * @param {*} body Parsed response body
+ * @param {number} measuredTime Wall-clock dispatch duration in ms, used when the agent does not report one
+ * @returns {Object} { resultData, confidenceScore, actualImpact, executionTime }
+ */
+export function parseAgentResult(body, measuredTime = 0) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new TransportError('Agent returned a non-object result body', { code: 'MALFORMED_RESPONSE' });
+    }
+
+    const problems = [];
+    if (body.resultData === undefined) {
+        problems.push('"resultData" is missing');
+    }
+    if (typeof body.confidenceScore !== 'number' || body.confidenceScore < 0 || body.confidenceScore > 1) {
+        problems.push('"confidenceScore" must be a number between 0 and 1');
+    }
+    if (body.actualImpact !== undefined && typeof body.actualImpact !== 'number') {
+        problems.push('"actualImpact" must be a number');
+    }
+    if (body.executionTime !== undefined && typeof body.executionTime !== 'number') {
+        problems.push('"executionTime" must be a number');
+    }
+
+    if (problems.length > 0) {
+        throw new TransportError(`Malformed agent result: ${problems.join(', ')}`, { code: 'MALFORMED_RESPONSE' });
+    }
+
+    return {
+        resultData: body.resultData,
+        confidenceScore: body.confidenceScore,
+        actualImpact: typeof body.actualImpact === 'number' ? body.actualImpact : 0,
+        executionTime: typeof body.executionTime === 'number' ? body.executionTime : measuredTime
+    };
+}
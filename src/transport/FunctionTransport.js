@@ -0,0 +1,61 @@
+import { TransportError } from './TransportError.js';
+import { buildTaskPayload, parseAgentResult } from './AgentProtocol.js';
+
+/**
+ * Invokes in-process JavaScript handlers registered by name.
+ * The endpoint is fn://<name>; the handler receives the task payload and returns the result object.
+ */
+class FunctionTransport {
+    constructor() {
+        this.handlers = {};
+    }
+
+    /**
+     * Registers a handler reachable at fn://<name>
+     * @param {string} name
+     * @param {Function} handler async (payload, { agent, task, signal }) => result
+     */
+    register(name, handler) {
+        if (typeof handler !== 'function') {
+            throw new Error(`Handler for fn://${name} must be a function`);
+        }
+        this.handlers[name] = handler;
+    }
+
+    /**
+     * @param {Object} agent
+     * @param {Object} task
+     * @param {Object} options
+     * @param {AbortSignal} [options.signal] Passed to the handler; the call settles as soon as it aborts
+     * @returns {Promise<Object>} { resultData, confidenceScore, actualImpact, executionTime }
+     */
+    async send(agent, task, { signal } = {}) {
+        const name = agent.apiEndpoint.slice('fn://'.length);
+        const handler = this.handlers[name];
+        if (!handler) {
+            throw new TransportError(`No function registered for ${agent.apiEndpoint}`, { code: 'CONNECTION_FAILED' });
+        }
+
+        const startTime = Date.now();
+        let onAbort;
+        const aborted = new Promise((_, reject) => {
+            onAbort = () => reject(signal.reason);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+
+        let body;
+        try {
+            body = await Promise.race([handler(buildTaskPayload(task), { agent, task, signal }), aborted]);
+        } catch (error) {
+            if (signal?.aborted) throw signal.reason;
+            if (error instanceof TransportError) throw error;
+            throw new TransportError(`Function ${name} threw: ${error.message}`, { code: 'HANDLER_ERROR' });
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+        }
+
+        return parseAgentResult(body, Date.now() - startTime);
+    }
+}
+
+export default FunctionTransport;
@@ -0,0 +1,66 @@
+import { TransportError } from './TransportError.js';
+import { buildTaskPayload, parseAgentResult } from './AgentProtocol.js';
+
+/**
+ * HTTP statuses with which an agent declines a task without being at fault.
+ * These route the task to another agent instead of counting as a failure.
+ */
+const REASSIGNABLE_STATUSES = [409, 422, 429];
+
+/**
+ * Dispatches tasks by POSTing them as JSON to the agent's apiEndpoint.
+ */
+class HttpTransport {
+    /**
+     * Sends a task to the agent and returns its structured result.
+     * @param {Object} agent
+     * @param {Object} task
+     * @param {Object} options
+     * @param {AbortSignal} [options.signal] Aborts the request on timeout or cancellation
+     * @returns {Promise<Object>} { resultData, confidenceScore, actualImpact, executionTime }
+     */
+    async send(agent, task, { signal } = {}) {
+        const startTime = Date.now();
+        let response;
+
+        try {
+            response = await fetch(agent.apiEndpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-LOC-Task-Id': task.id
+                },
+                body: JSON.stringify(buildTaskPayload(task)),
+                signal
+            });
+        } catch (error) {
+            if (signal?.aborted) {
+                throw signal.reason;
+            }
+            throw new TransportError(`Could not reach agent ${agent.id} at ${agent.apiEndpoint}: ${error.cause?.message || error.message}`, { code: 'CONNECTION_FAILED' });
+        }
+
+        if (!response.ok) {
+            const reassignable = REASSIGNABLE_STATUSES.includes(response.status);
+            throw new TransportError(`Agent ${agent.id} responded with HTTP ${response.status}`, {
+                code: reassignable ? 'AGENT_REJECTED' : 'HTTP_ERROR',
+                status: response.status,
+                reassignable
+            });
+        }
+
+        let body;
+        try {
+            body = await response.json();
+        } catch (error) {
+            if (signal?.aborted) {
+                throw signal.reason;
+            }
+            throw new TransportError(`Agent ${agent.id} returned a body that is not valid JSON`, { code: 'MALFORMED_RESPONSE', status: response.status });
+        }
+
+        return parseAgentResult(body, Date.now() - startTime);
+    }
+}
+
+export default HttpTransport;
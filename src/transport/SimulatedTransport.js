@@ -0,0 +1,54 @@
+import { TransportError } from './TransportError.js';
+
+/**
+ * In-memory stand-in for a real agent, used by the simulations under tests/.
+ * Resolves after a fixed latency with a randomized result and fails a fraction of dispatches.
+ */
+class SimulatedTransport {
+    /**
+     * @param {Object} options
+     * @param {number} options.latencyMs Simulated network latency
+     * @param {number} options.failureRate Probability (0-1) of a simulated connection timeout
+     */
+    constructor({ latencyMs = 500, failureRate = 0.1 } = {}) {
+        this.latencyMs = latencyMs;
+        this.failureRate = failureRate;
+    }
+
+    /**
+     * @param {Object} agent
+     * @param {Object} task
+     * @param {Object} options
+     * @param {AbortSignal} [options.signal] Rejects the pending simulation on timeout or cancellation
+     * @returns {Promise<Object>} The structured output
+     */
+    async send(agent, task, { signal } = {}) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+
+                // Random failure simulation for error handling testing
+                if (Math.random() < this.failureRate) {
+                    reject(new TransportError('Agent API Connection Timeout', { code: 'TIMEOUT' }));
+                    return;
+                }
+
+                // Mocked "Actual" results
+                resolve({
+                    resultData: `Task "${task.description}" executed successfully.`,
+                    confidenceScore: parseFloat((Math.random() * (0.99 - 0.7) + 0.7).toFixed(2)),
+                    actualImpact: parseFloat((task.predictedImpact * (Math.random() * (1.2 - 0.8) + 0.8)).toFixed(1)),
+                    executionTime: 150 // Mocked duration
+                });
+            }, this.latencyMs);
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+export default SimulatedTransport;
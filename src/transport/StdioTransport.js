@@ -0,0 +1,74 @@
+import { spawn } from 'child_process';
+import { TransportError } from './TransportError.js';
+import { buildTaskPayload, parseAgentResult } from './AgentProtocol.js';
+
+/**
+ * Runs a local agent executable per task.
+ * The endpoint is stdio://<command> [args...]; the task payload is written to stdin as JSON
+ * and the process must print its JSON result to stdout and exit with code 0.
+ */
+class StdioTransport {
+    /**
+     * Splits a stdio:// endpoint into the command and its arguments.
+     * @param {string} apiEndpoint
+     * @returns {Object} { command, args }
+     */
+    parseEndpoint(apiEndpoint) {
+        const [command, ...args] = apiEndpoint.slice('stdio://'.length).trim().split(/\s+/);
+        return { command, args };
+    }
+
+    /**
+     * @param {Object} agent
+     * @param {Object} task
+     * @param {Object} options
+     * @param {AbortSignal} [options.signal] Kills the process on timeout or cancellation
+     * @returns {Promise<Object>} { resultData, confidenceScore, actualImpact, executionTime }
+     */
+    async send(agent, task, { signal } = {}) {
+        const { command, args } = this.parseEndpoint(agent.apiEndpoint);
+        const startTime = Date.now();
+
+        const { stdout, stderr, exitCode } = await new Promise((resolve, reject) => {
+            const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+            let stdout = '';
+            let stderr = '';
+
+            const onAbort = () => {
+                child.kill('SIGKILL');
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            child.stdout.on('data', chunk => stdout += chunk);
+            child.stderr.on('data', chunk => stderr += chunk);
+            child.on('error', error => {
+                signal?.removeEventListener('abort', onAbort);
+                reject(new TransportError(`Could not start agent ${agent.id} (${command}): ${error.message}`, { code: 'CONNECTION_FAILED' }));
+            });
+            child.on('close', exitCode => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve({ stdout, stderr, exitCode });
+            });
+
+            // The agent may exit without reading its input
+            child.stdin.on('error', () => {});
+            child.stdin.end(JSON.stringify(buildTaskPayload(task)));
+        });
+
+        if (exitCode !== 0) {
+            throw new TransportError(`Agent ${agent.id} process exited with code ${exitCode}: ${stderr.trim().slice(-200)}`, { code: 'PROCESS_FAILED' });
+        }
+
+        let body;
+        try {
+            body = JSON.parse(stdout);
+        } catch (error) {
+            throw new TransportError(`Agent ${agent.id} process printed output that is not valid JSON`, { code: 'MALFORMED_RESPONSE' });
+        }
+
+        return parseAgentResult(body, Date.now() - startTime);
+    }
+}
+
+export default StdioTransport;
@@ -0,0 +1,20 @@
+/**
+ * Error raised by agent transports when a dispatch cannot produce a usable result.
+ * The code lets the engine decide between failing the attempt and reassigning the task.
+ */
+export class TransportError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} details
+     * @param {string} details.code 'CONNECTION_FAILED' | 'TIMEOUT' | 'HTTP_ERROR' | 'AGENT_REJECTED' | 'MALFORMED_RESPONSE' | 'PROCESS_FAILED' | 'HANDLER_ERROR' | 'UNSUPPORTED_TRANSPORT' | 'CANCELLED' | 'HOOK_FAILED'
+     * @param {number} [details.status] HTTP status code, when one was received
+     * @param {boolean} [details.reassignable] True when the agent declined the task rather than failing it
+     */
+    constructor(message, { code, status = null, reassignable = false } = {}) {
+        super(message);
+        this.name = 'TransportError';
+        this.code = code;
+        this.status = status;
+        this.reassignable = reassignable;
+    }
+}
@@ -0,0 +1,64 @@
+import { TransportError } from './TransportError.js';
+
+/**
+ * Maps apiEndpoint schemes (http, stdio, fn, ...) to transport adapters.
+ * Every adapter exposes send(agent, task) and resolves with the structured agent result.
+ */
+class TransportRegistry {
+    constructor() {
+        this.transports = {};
+    }
+
+    /**
+     * Registers (or replaces) the adapter for a scheme
+     * @param {string} scheme e.g. 'http'
+     * @param {Object} transport Adapter implementing send(agent, task)
+     */
+    register(scheme, transport) {
+        if (!transport || typeof transport.send !== 'function') {
+            throw new Error(`Transport for scheme "${scheme}" must implement send(agent, task)`);
+        }
+        this.transports[scheme.toLowerCase()] = transport;
+    }
+
+    /**
+     * @param {string} scheme
+     * @returns {Object|undefined}
+     */
+    get(scheme) {
+        return this.transports[scheme.toLowerCase()];
+    }
+
+    /**
+     * @returns {string[]} Registered schemes
+     */
+    schemes() {
+        return Object.keys(this.transports);
+    }
+
+    /**
+     * Extracts the scheme of an endpoint such as stdio://bin/agent
+     * @param {string} apiEndpoint
+     * @returns {string|null}
+     */
+    getScheme(apiEndpoint) {
+        const match = /^([a-z][a-z0-9+.-]*):\/\//i.exec(apiEndpoint || '');
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    /**
+     * Resolves the adapter responsible for an endpoint
+     * @param {string} apiEndpoint
+     * @returns {Object} { scheme, transport }
+     */
+    resolve(apiEndpoint) {
+        const scheme = this.getScheme(apiEndpoint);
+        const transport = scheme && this.transports[scheme];
+        if (!transport) {
+            throw new TransportError(`No transport registered for endpoint "${apiEndpoint}". Supported schemes: ${this.schemes().join(', ')}`, { code: 'UNSUPPORTED_TRANSPORT' });
+        }
+        return { scheme, transport };
+    }
+}
+
+export default TransportRegistry;
@@ -0,0 +1,238 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../logger/Logger.js';
+import { validateWebhook } from './WebhookValidator.js';
+
+/**
+ * Delivers signed task notifications to registered webhooks and per-task callback URLs,
+ * retrying failed deliveries with exponential backoff and keeping a log of every attempt.
+ *
+ * Each delivery is a JSON POST with the headers X-LOC-Event, X-LOC-Delivery, X-LOC-Timestamp and
+ * X-LOC-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`).
+ */
+class WebhookDispatcher {
+    /**
+     * @param {Object} options
+     * @param {string} options.secret Signing secret for task callback URLs; generated when omitted
+     * @param {string[]} options.allowedHosts Hosts (hostname or hostname:port) deliveries may go to; any host when omitted
+     * @param {number} options.maxAttempts Attempts per delivery before it is marked failed
+     * @param {number} options.retryDelayMs Delay before the first retry; doubles on each attempt
+     * @param {number} options.timeoutMs Time allowed for the receiver to respond
+     * @param {number} options.maxLogEntries Deliveries kept in the log
+     */
+    constructor(options = {}) {
+        this.options = {
+            secret: options.secret || crypto.randomBytes(24).toString('hex'),
+            allowedHosts: options.allowedHosts?.length ? options.allowedHosts : null,
+            maxAttempts: options.maxAttempts || 5,
+            retryDelayMs: options.retryDelayMs || 1000,
+            timeoutMs: options.timeoutMs || 10000,
+            maxLogEntries: options.maxLogEntries || 1000
+        };
+
+        /**
+         * Global webhook subscriptions keyed by ID
+         * @type {Object.<string, Object>} { id, url, events, secret, createdAt }
+         */
+        this.subscriptions = {};
+
+        /**
+         * Delivery log, oldest first
+         * @type {Array<Object>}
+         */
+        this.deliveries = [];
+
+        /**
+         * Pending retry timers, so they can be cleared on shutdown
+         * @type {Set}
+         */
+        this.retryTimers = new Set();
+    }
+
+    /**
+     * Adds a global webhook subscription.
+     * @param {Object} spec { url, events, secret }
+     * @returns {Object} The subscription, including its signing secret
+     */
+    register(spec) {
+        const { isValid, errors } = validateWebhook(spec);
+        if (!isValid) {
+            throw new Error(`Invalid webhook: ${errors.join(' ')}`);
+        }
+        if (!this.isAllowed(spec.url)) {
+            throw new Error(`Invalid webhook: host of ${spec.url} is not in the webhook allowlist.`);
+        }
+
+        const id = `webhook_${uuidv4().split('-')[0]}`;
+        this.subscriptions[id] = {
+            id,
+            url: spec.url,
+            events: spec.events || null, // null subscribes to every event
+            secret: spec.secret || crypto.randomBytes(24).toString('hex'),
+            createdAt: new Date().toISOString()
+        };
+        return this.subscriptions[id];
+    }
+
+    /**
+     * @param {string} url Absolute http(s) URL
+     * @returns {boolean} True when deliveries may be sent to the URL's host
+     */
+    isAllowed(url) {
+        if (!this.options.allowedHosts) return true;
+        const { host, hostname } = new URL(url);
+        return this.options.allowedHosts.includes(host) || this.options.allowedHosts.includes(hostname);
+    }
+
+    /**
+     * Removes a global webhook subscription.
+     * @param {string} id 
+     * @returns {boolean} False if no such subscription exists
+     */
+    unregister(id) {
+        if (!this.subscriptions[id]) return false;
+        delete this.subscriptions[id];
+        return true;
+    }
+
+    /**
+     * Queues a notification for every matching subscription and the task's callback URL.
+     * A callback URL outside the allowlist is logged as a failed delivery and never contacted.
+     * @param {string} eventName One of WEBHOOK_EVENTS
+     * @param {Object} payload Notification body (without delivery metadata)
+     * @param {Object} target { taskId, callbackUrl }
+     * @returns {Array<Object>} The created deliveries
+     */
+    publish(eventName, payload, { taskId = null, callbackUrl = null } = {}) {
+        const targets = Object.values(this.subscriptions)
+            .filter(s => !s.events || s.events.includes(eventName))
+            .map(s => ({ webhookId: s.id, url: s.url, secret: s.secret }));
+        if (callbackUrl) {
+            targets.push({ webhookId: null, url: callbackUrl, secret: this.options.secret });
+        }
+
+        return targets.map(target => {
+            const delivery = {
+                id: `delivery_${uuidv4()}`,
+                webhookId: target.webhookId,
+                url: target.url,
+                event: eventName,
+                taskId,
+                status: 'pending',
+                attempts: [],
+                createdAt: new Date().toISOString(),
+                deliveredAt: null
+            };
+            const body = JSON.stringify({ id: delivery.id, event: eventName, timestamp: delivery.createdAt, ...payload });
+
+            this.deliveries.push(delivery);
+            if (this.deliveries.length > this.options.maxLogEntries) {
+                this.deliveries.splice(0, this.deliveries.length - this.options.maxLogEntries);
+            }
+
+            if (!this.isAllowed(target.url)) {
+                delivery.status = 'failed';
+                delivery.attempts.push({ at: delivery.createdAt, statusCode: null, error: 'Host is not in the webhook allowlist' });
+                logger.warn('WEBHOOK_HOST_REFUSED', `Delivery ${delivery.id} of ${eventName} to ${target.url} refused: host is not in the webhook allowlist`, {
+                    deliveryId: delivery.id,
+                    taskId
+                });
+                return delivery;
+            }
+
+            this.attempt(delivery, body, target.secret);
+            return delivery;
+        });
+    }
+
+    /**
+     * Makes one delivery attempt and schedules the next one on a retryable failure.
+     * @param {Object} delivery 
+     * @param {string} body 
+     * @param {string} secret 
+     */
+    async attempt(delivery, body, secret) {
+        const timestamp = Date.now().toString();
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-LOC-Event': delivery.event,
+            'X-LOC-Delivery': delivery.id,
+            'X-LOC-Timestamp': timestamp,
+            'X-LOC-Signature': WebhookDispatcher.sign(secret, timestamp, body)
+        };
+
+        const attempt = { at: new Date().toISOString(), statusCode: null, error: null };
+        delivery.attempts.push(attempt);
+
+        let retryable = true;
+        try {
+            const res = await fetch(delivery.url, {
+                method: 'POST',
+                headers,
+                body,
+                signal: AbortSignal.timeout(this.options.timeoutMs)
+            });
+            attempt.statusCode = res.status;
+            if (res.ok) {
+                delivery.status = 'delivered';
+                delivery.deliveredAt = new Date().toISOString();
+                return;
+            }
+            attempt.error = `HTTP ${res.status}`;
+            retryable = res.status === 408 || res.status === 429 || res.status >= 500;
+        } catch (error) {
+            attempt.error = error.message;
+        }
+
+        if (retryable && delivery.attempts.length < this.options.maxAttempts) {
+            const delayMs = this.options.retryDelayMs * 2 ** (delivery.attempts.length - 1);
+            const timer = setTimeout(() => {
+                this.retryTimers.delete(timer);
+                this.attempt(delivery, body, secret);
+            }, delayMs);
+            timer.unref();
+            this.retryTimers.add(timer);
+            return;
+        }
+
+        delivery.status = 'failed';
+        logger.error('WEBHOOK_DELIVERY_FAILED', `Delivery ${delivery.id} of ${delivery.event} to ${delivery.url} failed after ${delivery.attempts.length} attempts`, null, {
+            deliveryId: delivery.id,
+            webhookId: delivery.webhookId,
+            taskId: delivery.taskId,
+            lastError: attempt.error
+        });
+    }
+
+    /**
+     * Returns logged deliveries, newest first.
+     * @param {Object} filters { webhookId, taskId, status }
+     * @returns {Array<Object>}
+     */
+    getDeliveries({ webhookId, taskId, status } = {}) {
+        return this.deliveries
+            .filter(d => (!webhookId || d.webhookId === webhookId) && (!taskId || d.taskId === taskId) && (!status || d.status === status))
+            .reverse();
+    }
+
+    /**
+     * Cancels pending retries.
+     */
+    stop() {
+        for (const timer of this.retryTimers) clearTimeout(timer);
+        this.retryTimers.clear();
+    }
+
+    /**
+     * Computes the X-LOC-Signature header value. Receivers recompute it to verify a delivery.
+     * @param {string} secret 
+     * @param {string} timestamp X-LOC-Timestamp header value
+     * @param {string} body Raw request body
+     * @returns {string}
+     */
+    static sign(secret, timestamp, body) {
+        return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+    }
+}
+
+export default WebhookDispatcher;
@@ -0,0 +1,50 @@
+import { WEBHOOK_EVENTS } from '../constants/WebhookEvents.js';
+
+/**
+ * True for absolute http(s) URLs.
+ * @param {*} value 
+ * @returns {boolean}
+ */
+export function isWebhookUrl(value) {
+    if (typeof value !== 'string') return false;
+    try {
+        const { protocol } = new URL(value);
+        return protocol === 'http:' || protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Validates a webhook subscription.
+ * @param {Object} spec { url, events, secret }
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+export function validateWebhook(spec) {
+    const errors = [];
+
+    if (!isWebhookUrl(spec.url)) {
+        errors.push('Missing or invalid "url": must be an absolute http(s) URL.');
+    }
+
+    if (spec.events !== undefined) {
+        if (!Array.isArray(spec.events) || spec.events.length === 0) {
+            errors.push('Invalid "events": must be a non-empty array of event names.');
+        } else {
+            spec.events.forEach(name => {
+                if (!WEBHOOK_EVENTS.includes(name)) {
+                    errors.push(`Invalid event: "${name}". Valid events are: ${WEBHOOK_EVENTS.join(', ')}.`);
+                }
+            });
+        }
+    }
+
+    if (spec.secret !== undefined && (typeof spec.secret !== 'string' || spec.secret.length === 0)) {
+        errors.push('Invalid "secret": must be a non-empty string.');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
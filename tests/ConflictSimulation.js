@@ -4,7 +4,7 @@ import logger from '../src/logger/Logger.js';
 async function runConflictSimulation() {
     logger.info('SIMULATION_START', 'Starting High-Priority Conflict and Race Condition Simulation');
 
-    const engine = new CoreEngine();
+    const engine = new CoreEngine({ transport: 'simulated' });
 
     // 1. Register Agents with overlapping domains
     const agentA = engine.registerAgent({
@@ -3,7 +3,7 @@ import logger from '../src/logger/Logger.js';
 
 async function runFailureSimulation() {
     console.log('--- STARTING SIMULATION ---');
-    const engine = new CoreEngine();
+    const engine = new CoreEngine({ transport: 'simulated' });
 
     // Use valid domains from src/constants/Domains.js
     const domains = ['logic', 'analysis', 'creative-writing'];
@@ -1,4 +1,4 @@
-import CoreEngine from '../src/engine/CoreEngine.js';
+import CoreEngine, { EngineHooks } from '../src/engine/CoreEngine.js';
 import logger from '../src/logger/Logger.js';
 
 /**
@@ -7,7 +7,7 @@ import logger from '../src/logger/Logger.js';
  */
 async function runLongTermSimulation() {
     console.log('--- STARTING LONG-TERM CONTINUOUS SIMULATION ---');
-    const engine = new CoreEngine();
+    const engine = new CoreEngine({ transport: 'simulated' });
 
     const domains = ['logic', 'analysis', 'creative-writing', 'coding', 'research'];
     const agentProfiles = [
@@ -32,8 +32,7 @@ async function runLongTermSimulation() {
     });
 
     // Custom dispatch to simulate agent behavior based on profiles
-    const originalDispatch = engine.dispatchToAgent.bind(engine);
-    engine.dispatchToAgent = async (agent, task) => {
+    engine.hook(EngineHooks.BEFORE_DISPATCH, async ({ agent, task }) => {
         const profile = agentProfiles.find(p => p.id === agent.id);
         const reliability = profile ? profile.reliability : 0.8;
 
@@ -67,7 +66,7 @@ async function runLongTermSimulation() {
                 }
             }, 10); // Fast simulation
         });
-    };
+    });
 
     const SIMULATION_STEPS = 10; // Total "days"
     const TASKS_PER_STEP = 5;
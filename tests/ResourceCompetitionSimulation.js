@@ -4,7 +4,7 @@ import logger from '../src/logger/Logger.js';
 async function runResourceSimulation() {
     logger.info('SIMULATION_START', 'Starting Shared Resource Competition Simulation');
 
-    const engine = new CoreEngine();
+    const engine = new CoreEngine({ transport: 'simulated' });
 
     // 1. Register Resources
     engine.registerResource('PRIMARY_API', 'exclusive');
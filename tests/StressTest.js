@@ -3,7 +3,7 @@ import logger from '../src/logger/Logger.js';
 
 async function runStressTest() {
     console.log('\n=== MASSIVE LOAD ORCHESTRATION STRESS TEST ===\n');
-    const engine = new CoreEngine();
+    const engine = new CoreEngine({ transport: 'simulated' });
 
     // 1. Register 500 Agents
     console.log('>>> Registering 500 Agents...');
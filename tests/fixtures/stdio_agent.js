@@ -0,0 +1,15 @@
+// Minimal stdio agent: reads a task payload from stdin and prints a result to stdout.
+let input = '';
+process.stdin.on('data', chunk => input += chunk);
+process.stdin.on('end', () => {
+    const task = JSON.parse(input);
+    if (task.description.includes('crash')) {
+        process.stderr.write('stdio agent crashed on purpose');
+        process.exit(2);
+    }
+    process.stdout.write(JSON.stringify({
+        resultData: `stdio handled: ${task.description}`,
+        confidenceScore: 0.88,
+        actualImpact: 4
+    }));
+});
@@ -3,7 +3,7 @@ import logger from '../src/logger/Logger.js';
 
 async function runIncrementalTest() {
     console.log('\n=== STEP 12: INCREMENTAL TESTING AND SCALING ===\n');
-    const engine = new CoreEngine();
+    const engine = new CoreEngine({ transport: 'simulated' });
 
     // --- PHASE 1: Single Agent, Few Tasks ---
     console.log('>>> PHASE 1: Single Agent Validation');
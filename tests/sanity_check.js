@@ -1,6 +1,6 @@
 import CoreEngine from '../src/engine/CoreEngine.js';
 
-const engine = new CoreEngine();
+const engine = new CoreEngine({ transport: 'simulated' });
 
 // 1. Register Agents
 const researchAgentId = engine.registerAgent({
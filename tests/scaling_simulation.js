@@ -3,7 +3,7 @@ import logger from '../src/logger/Logger.js';
 
 async function runScalingSimulation() {
     console.log('\n=== FINAL SCALING SIMULATION & PARAMETER ADJUSTMENT ===\n');
-    const engine = new CoreEngine();
+    const engine = new CoreEngine({ transport: 'simulated' });
 
     // 1. Parameter Adjustments
     console.log('>>> Adjusting Core Parameters');
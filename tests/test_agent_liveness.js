@@ -0,0 +1,66 @@
+import CoreEngine from '../src/engine/CoreEngine.js';
+
+/**
+ * Agent Liveness Test
+ * Agents that stop sending heartbeats become unhealthy, then offline, and recover on their next heartbeat.
+ */
+async function runLivenessTest() {
+    const engine = new CoreEngine({ heartbeat: { unhealthyAfterMs: 100, offlineAfterMs: 300 } });
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+    const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+    // The "dead" agent never answers; the healthy one answers immediately
+    engine.registerAgentFunction('never-returns', () => new Promise(() => {}));
+    engine.registerAgentFunction('healthy', async payload => ({ resultData: `ok ${payload.taskId}`, confidenceScore: 0.9 }));
+
+    engine.registerAgent({
+        id: 'flatliner',
+        domainLabels: ['research'],
+        skillScores: { research: 10 },
+        apiEndpoint: 'fn://never-returns',
+        performanceData: { successRate: 1.0, tasksCompleted: 50 }
+    });
+    engine.registerAgent({
+        id: 'steady',
+        domainLabels: ['research'],
+        skillScores: { research: 7 },
+        apiEndpoint: 'fn://healthy',
+        performanceData: { successRate: 0.8, tasksCompleted: 20 }
+    });
+
+    engine.recordHeartbeat('flatliner');
+    engine.recordHeartbeat('steady');
+
+    const taskId = engine.submitTask({ description: 'Gather sources', domainLabel: 'research', complexityScore: 3 });
+    engine.processQueue();
+    const task = engine.taskQueue.find(t => t.id === taskId);
+    check('Task first dispatched to the stronger agent', task.assignedTo === 'flatliner');
+
+    // Only the steady agent keeps beating
+    const beat = setInterval(() => engine.recordHeartbeat('steady'), 50);
+
+    await sleep(150);
+    engine.sweepAgentLiveness();
+    check('Silent agent marked unhealthy', engine.agents.flatliner.status === 'unhealthy');
+    check('Unhealthy agent excluded from assignment', engine.metaReflection.evaluateAssignment({ domainLabel: 'research' }).agentId === 'steady');
+
+    await sleep(200);
+    await engine.processQueue();
+    check('Silent agent marked offline', engine.agents.flatliner.status === 'offline');
+    check('Held task requeued and completed by a live agent', task.status === 'completed' && task.assignedTo === 'steady');
+
+    const heartbeat = engine.recordHeartbeat('flatliner', { load: 0.1 });
+    check('Offline agent recovers on heartbeat', heartbeat.status === 'idle');
+
+    clearInterval(beat);
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runLivenessTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
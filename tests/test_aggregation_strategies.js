@@ -0,0 +1,118 @@
+import CoreEngine from '../src/engine/CoreEngine.js';
+
+/**
+ * Aggregation Strategy Test
+ * Covers the built-in strategies (json-merge, keyed, majority-vote, confidence-weighted),
+ * custom reducers, the concatenate default and strategy validation.
+ */
+async function runAggregationStrategyTest() {
+    const engine = new CoreEngine();
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+    const task = id => engine.taskQueue.find(t => t.id === id);
+
+    // Each subtask tells the agent what to answer and how confident to be
+    engine.registerAgentFunction('answerer', async payload => ({
+        resultData: payload.inputs.answer,
+        confidenceScore: payload.inputs.confidence ?? 0.9
+    }));
+    engine.registerAgent({
+        id: 'answer-agent',
+        domainLabels: ['analysis'],
+        skillScores: { analysis: 9 },
+        apiEndpoint: 'fn://answerer',
+        performanceData: { successRate: 0.9, tasksCompleted: 10 }
+    });
+
+    const answer = (answer, confidence) => ({
+        description: 'Answer',
+        domainLabel: 'analysis',
+        complexityScore: 2,
+        inputs: { answer, confidence }
+    });
+    const fanOut = (aggregationStrategy, subtasks) => {
+        const parentId = engine.submitTask({ description: 'Combine answers', domainLabel: 'analysis', complexityScore: 4, aggregationStrategy });
+        engine.decomposeTask(parentId, subtasks);
+        return parentId;
+    };
+
+    engine.registerAggregationStrategy('sum', outputs => ({
+        resultData: outputs.reduce((acc, r) => acc + r.resultData, 0),
+        aggregation: { terms: outputs.length }
+    }));
+
+    const merged = fanOut('json-merge', [
+        answer({ prices: { gold: 1900 }, sources: ['wire'] }),
+        answer({ prices: { silver: 24 }, sources: ['blog'], updated: 'today' })
+    ]);
+    const split = [answer('B', 0.61), answer('A', 0.95), answer('B', 0.61), answer('A', 0.95), answer('B', 0.61)];
+    const majority = fanOut('majority-vote', split);
+    const weighted = fanOut('confidence-weighted', split);
+    const summed = fanOut('sum', [answer(2), answer(3), answer(5)]);
+    const mismatched = fanOut('json-merge', [answer({ ok: true }), answer('plain text')]);
+    const concatenated = fanOut(undefined, [answer('first'), answer('second')]);
+    const keyed = engine.createWorkflow({
+        name: 'Keyed report',
+        aggregationStrategy: 'keyed',
+        nodes: {
+            fetch: answer({ rows: 3 }),
+            summary: { ...answer('three rows'), dependsOn: ['fetch'] }
+        }
+    });
+
+    const parents = [merged, majority, weighted, summed, mismatched, concatenated, keyed];
+    for (let i = 0; i < 40 && parents.some(id => ['pending', 'waiting_for_subtasks'].includes(task(id).status)); i++) {
+        await engine.processQueue();
+    }
+
+    console.log('\n--- Scenario 1: Structured results ---');
+    check('json-merge deep-merges object results', JSON.stringify(engine.taskOutputs[merged]?.resultData)
+        === JSON.stringify({ prices: { gold: 1900, silver: 24 }, sources: ['wire', 'blog'], updated: 'today' }));
+    check('keyed assembles results by node name', JSON.stringify(engine.taskOutputs[keyed]?.resultData)
+        === JSON.stringify({ fetch: { rows: 3 }, summary: 'three rows' }));
+    check('Strategy recorded on the output', engine.taskOutputs[keyed]?.aggregation?.strategy === 'keyed');
+
+    console.log('\n--- Scenario 2: Selection ---');
+    const vote = engine.taskOutputs[majority];
+    check('majority-vote picks the most common result', vote?.resultData === 'B' && vote.aggregation.votes === 3 && vote.aggregation.of === 5);
+    check('majority-vote scales confidence by agreement', vote?.confidenceScore === 0.37);
+    const pick = engine.taskOutputs[weighted];
+    check('confidence-weighted picks the heaviest result', pick?.resultData === 'A' && pick.confidenceScore === 0.95 && pick.aggregation.weight === 1.9);
+
+    console.log('\n--- Scenario 3: Custom reducers and defaults ---');
+    const sum = engine.taskOutputs[summed];
+    check('Custom reducer result used', sum?.resultData === 10 && sum.aggregation.strategy === 'sum' && sum.aggregation.terms === 3);
+    check('Unset fields filled from averaged scores', sum?.confidenceScore === 0.9);
+    check('Default strategy concatenates', engine.taskOutputs[concatenated]?.resultData.includes('first\n---\n')
+        && engine.taskOutputs[concatenated].aggregation.strategy === 'concatenate');
+
+    console.log('\n--- Scenario 4: Failures and validation ---');
+    const failure = engine.getTaskHistory(mismatched).find(e => e.type === 'TaskFailed');
+    check('Reducer error fails the parent', task(mismatched).status === 'failed'
+        && failure?.data.reason.includes('json-merge needs object results'));
+    const rejects = (fn, text) => {
+        try {
+            fn();
+            return false;
+        } catch (error) {
+            return error.message.includes(text);
+        }
+    };
+    check('Unknown strategy rejected at submission', rejects(() => fanOut('median', [answer(1)]), 'Unknown "aggregationStrategy": "median"'));
+    check('Unknown strategy rejected in workflows', rejects(() => engine.createWorkflow({
+        name: 'Bad',
+        aggregationStrategy: 'median',
+        nodes: { only: answer(1) }
+    }), 'Registered strategies are'));
+    check('Reducer must be a function', rejects(() => engine.registerAggregationStrategy('broken', 'sum'), 'must be a function'));
+
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runAggregationStrategyTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
@@ -1,6 +1,12 @@
-import { server, engine } from '../src/api/server.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import logger from '../src/logger/Logger.js';
 
+// Keep engine state from this run out of the default data directory
+process.env.LOC_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'loc-api-test-'));
+const { server, engine } = await import('../src/api/server.js');
+
 const PORT = 3000;
 const API_KEY = 'loc_secret_key_2026';
 const BASE_URL = `http://localhost:${PORT}`;
@@ -28,7 +34,7 @@ async function runTests() {
             id: 'api_agent_1',
             domainLabels: ['research', 'analysis'],
             skillScores: { research: 9, analysis: 8 },
-            apiEndpoint: 'http://mock-agent-1/api',
+            apiEndpoint: 'simulated://mock-agent-1/api',
             performanceData: { tasksCompleted: 10, successRate: 0.9, averageImpact: 7.5 }
         };
 
@@ -0,0 +1,135 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Keep engine state from this run out of the default data directory
+process.env.LOC_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'loc-approval-test-'));
+process.env.PORT = process.env.PORT || '3105';
+const { server, engine } = await import('../src/api/server.js');
+const { default: logger } = await import('../src/logger/Logger.js');
+
+const API_KEY = 'loc_secret_key_2026';
+const BASE_URL = `http://localhost:${process.env.PORT}`;
+
+const call = async (method, url, body) => {
+    const res = await fetch(`${BASE_URL}${url}`, {
+        method,
+        headers: { 'x-api-key': API_KEY, 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json().catch(() => null) };
+};
+
+/**
+ * Approval Gate Test
+ * Covers start and output gates, the approve/reject routes, approver identity in the execution log,
+ * release of gated outputs to dependents and approval expiry.
+ */
+async function runApprovalGateTest() {
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+    engine.stopExecutionLoop();
+
+    const dispatched = [];
+    engine.registerAgentFunction('gate-worker', async payload => {
+        dispatched.push(payload.description);
+        return { resultData: { description: payload.description, inputs: payload.inputs }, confidenceScore: 0.9 };
+    });
+    engine.registerAgent({
+        id: 'gate-agent',
+        domainLabels: ['research'],
+        skillScores: { research: 9 },
+        apiEndpoint: 'fn://gate-worker',
+        performanceData: { successRate: 0.9, tasksCompleted: 10 }
+    });
+
+    const step = (description, extra = {}) => ({ description, domainLabel: 'research', complexityScore: 2, ...extra });
+    const task = id => engine.taskQueue.find(t => t.id === id);
+    const node = (workflowId, key) => engine.taskQueue.find(t => t.parentTaskId === workflowId && t.key === key);
+    const drain = async (passes = 5) => {
+        for (let i = 0; i < passes; i++) await engine.processQueue();
+    };
+
+    console.log('\n--- Scenario 1: Start gate ---');
+    let r = await call('POST', '/workflows', {
+        name: 'Publish post',
+        nodes: {
+            draft: step('Draft post'),
+            publish: step('Publish post', { dependsOn: ['draft'], approval: true })
+        }
+    });
+    const publishFlow = r.body.workflowId;
+    await drain();
+    const publish = node(publishFlow, 'publish');
+    check('Gated task waits once its dependencies are met', publish.status === 'awaiting_approval'
+        && dispatched.includes('Draft post') && !dispatched.includes('Publish post'));
+
+    r = await call('POST', `/tasks/${publish.id}/approve`, { approver: 'alice', comment: 'Looks good' });
+    await drain();
+    check('Approval lets the task run', r.status === 200 && r.body.approval.approver === 'alice'
+        && publish.status === 'completed' && engine.getWorkflow(publishFlow).status === 'completed');
+    const logged = logger.query({ taskId: publish.id }).find(entry => entry.status === 'approved');
+    check('Approver recorded in the execution log', logged?.approval.approver === 'alice' && logged.approval.gate === 'start');
+
+    console.log('\n--- Scenario 2: Output gates ---');
+    const gatedPair = async name => (await call('POST', '/workflows', {
+        name,
+        nodes: {
+            budget: step('Propose budget', { approval: { gate: 'output' } }),
+            spend: step('Spend budget', { dependsOn: ['budget'], inputs: { plan: '$deps.budget.resultData.description' } })
+        }
+    })).body.workflowId;
+
+    const approvedFlow = await gatedPair('Approved spend');
+    await drain();
+    const budget = node(approvedFlow, 'budget');
+    const spend = node(approvedFlow, 'spend');
+    r = await call('GET', `/tasks/${budget.id}`);
+    check('Output held for inspection but not released', budget.status === 'awaiting_approval'
+        && r.body.output?.resultData.description === 'Propose budget' && spend.status === 'pending' && !dispatched.includes('Spend budget'));
+
+    await call('POST', `/tasks/${budget.id}/approve`, { approver: 'bob' });
+    await drain();
+    check('Approved output released to dependents', budget.status === 'completed'
+        && engine.taskOutputs[spend.id]?.resultData.inputs.plan === 'Propose budget');
+
+    const rejectedFlow = await gatedPair('Rejected spend');
+    await drain();
+    r = await call('POST', `/tasks/${node(rejectedFlow, 'budget').id}/reject`, { approver: 'carol', comment: 'Too expensive' });
+    await drain();
+    const rejected = node(rejectedFlow, 'budget');
+    const failure = engine.getTaskHistory(rejected.id).find(e => e.type === 'TaskFailed');
+    check('Rejection fails the task and withholds its output', r.status === 200 && rejected.status === 'failed'
+        && !engine.taskOutputs[rejected.id] && failure?.data.reason === 'Rejected by carol: Too expensive');
+    check('Dependents of a rejected output fail', node(rejectedFlow, 'spend').status === 'failed'
+        && engine.getWorkflow(rejectedFlow).status === 'failed');
+
+    console.log('\n--- Scenario 3: Expiry ---');
+    const expiring = (await call('POST', '/tasks', step('Send newsletter', { approval: { expiresInMs: 20 } }))).body.taskId;
+    await drain(1);
+    await new Promise(resolve => setTimeout(resolve, 40));
+    await drain(1);
+    const expiry = engine.getTaskHistory(expiring).find(e => e.type === 'TaskRejected');
+    check('Undecided approval expires', task(expiring).status === 'failed' && expiry?.data.decision === 'expired'
+        && !dispatched.includes('Send newsletter'));
+
+    console.log('\n--- Scenario 4: Validation ---');
+    const waiting = (await call('POST', '/tasks', step('Wire funds', { approval: true }))).body.taskId;
+    await drain(1);
+    check('Approver identity required', (await call('POST', `/tasks/${waiting}/approve`, {})).status === 400);
+    check('Only tasks awaiting approval can be decided', (await call('POST', `/tasks/${publish.id}/approve`, { approver: 'alice' })).status === 409);
+    check('Unknown task is 404', (await call('POST', '/tasks/nope/reject', { approver: 'alice' })).status === 404);
+    check('Unknown gate rejected', (await call('POST', '/tasks', step('Bad', { approval: { gate: 'later' } }))).status === 400);
+
+    server.close();
+    fs.rmSync(process.env.LOC_DATA_DIR, { recursive: true, force: true });
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runApprovalGateTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,80 @@
+import CoreEngine from '../src/engine/CoreEngine.js';
+
+/**
+ * Timeout & Cancellation Test
+ * Covers per-task timeouts, cancellation of in-flight work and cascading to subtasks and dependents.
+ */
+async function runCancellationTest() {
+    const engine = new CoreEngine({ dispatchTimeoutMs: 5000 });
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+
+    let abortedCalls = 0;
+    engine.registerAgentFunction('hanging', (payload, { signal }) => new Promise(() => {
+        signal.addEventListener('abort', () => abortedCalls++);
+    }));
+
+    for (const id of ['hang-1', 'hang-2']) {
+        engine.registerAgent({
+            id,
+            domainLabels: ['research'],
+            skillScores: { research: 9 },
+            apiEndpoint: 'fn://hanging',
+            performanceData: { successRate: 0.9, tasksCompleted: 10 }
+        });
+    }
+    engine.registerResource('SEARCH_API', 'exclusive');
+
+    console.log('\n--- Scenario 1: Task timeout ---');
+    const timedId = engine.submitTask({ description: 'Hangs forever', domainLabel: 'research', complexityScore: 2, timeoutMs: 200 });
+    await engine.processQueue();
+    const timed = engine.taskQueue.find(t => t.id === timedId);
+    check('Timed-out task returned to queue for retry', timed.status === 'pending' && timed.retryCount === 1);
+    check('Agent freed after timeout', Object.values(engine.agents).every(a => a.status === 'idle'));
+    check('Transport call received the abort', abortedCalls === 1);
+    timed.status = 'failed';
+
+    console.log('\n--- Scenario 2: Cancelling in-flight work cascades ---');
+    const rootId = engine.submitTask({
+        description: 'Long crawl',
+        domainLabel: 'research',
+        complexityScore: 2,
+        resourceRequirements: { SEARCH_API: 'exclusive' }
+    });
+    const dependentId = engine.submitTask({ description: 'Summarize crawl', domainLabel: 'research', complexityScore: 2, dependencies: [rootId] });
+    const parentId = engine.submitTask({ description: 'Composite report', domainLabel: 'research', complexityScore: 2, dependencies: [rootId] });
+    engine.decomposeTask(parentId, [{ description: 'Report part', domainLabel: 'research', complexityScore: 1 }]);
+
+    const pass = engine.processQueue();
+    await new Promise(r => setTimeout(r, 50));
+    const cancelled = engine.cancelTask(rootId, 'Operator abort');
+    await pass;
+
+    const status = id => engine.taskQueue.find(t => t.id === id).status;
+    const subtaskId = engine.taskQueue.find(t => t.id === parentId).subtasks[0];
+    check('Root task cancelled', status(rootId) === 'cancelled');
+    check('Dependent task cancelled', status(dependentId) === 'cancelled');
+    check('Subtasks of a cancelled dependent cancelled', status(parentId) === 'cancelled' && status(subtaskId) === 'cancelled');
+    check('cancelTask reports every cancelled task', cancelled.length === 4);
+    check('Exclusive resource released', engine.resources.SEARCH_API.lockedBy === null && engine.resources.SEARCH_API.currentUsage === 0);
+    check('Agent freed after cancellation', Object.values(engine.agents).every(a => a.status === 'idle'));
+    check('No dispatch left in flight', engine.inFlight.size === 0);
+
+    let rejected = false;
+    try {
+        engine.cancelTask(rootId);
+    } catch (error) {
+        rejected = error.message.includes('already cancelled');
+    }
+    check('Cancelling a cancelled task is rejected', rejected);
+
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runCancellationTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,70 @@
+import CoreEngine from '../src/engine/CoreEngine.js';
+
+/**
+ * Concurrent Dispatch Test
+ * Verifies that one queue pass feeds every idle agent and that overlapping ticks never double-dispatch.
+ */
+async function runConcurrentDispatchTest() {
+    const engine = new CoreEngine();
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+
+    const dispatchCounts = {};
+    engine.registerAgentFunction('slow-worker', async (payload) => {
+        dispatchCounts[payload.taskId] = (dispatchCounts[payload.taskId] || 0) + 1;
+        await new Promise(r => setTimeout(r, 300));
+        return { resultData: `Done ${payload.taskId}`, confidenceScore: 0.9, actualImpact: 5 };
+    });
+
+    for (let i = 1; i <= 5; i++) {
+        engine.registerAgent({
+            id: `worker-${i}`,
+            domainLabels: ['analysis'],
+            skillScores: { analysis: 9 },
+            apiEndpoint: 'fn://slow-worker',
+            performanceData: { successRate: 0.9, tasksCompleted: 20 }
+        });
+    }
+
+    // An exclusive resource must still serialize the tasks that need it
+    engine.registerResource('GPU_NODE', 'exclusive');
+
+    for (let i = 1; i <= 8; i++) {
+        engine.submitTask({ description: `Batch item ${i}`, domainLabel: 'analysis', complexityScore: 2 });
+    }
+    const gpuTasks = [1, 2].map(i => engine.submitTask({
+        description: `GPU job ${i}`,
+        domainLabel: 'analysis',
+        complexityScore: 2,
+        resourceRequirements: { GPU_NODE: 'exclusive' }
+    }));
+
+    const start = Date.now();
+    await engine.processQueue();
+    const elapsed = Date.now() - start;
+    const completed = engine.taskQueue.filter(t => t.status === 'completed').length;
+
+    console.log(`First pass completed ${completed} tasks in ${elapsed}ms`);
+    check('One pass dispatched a task to every idle agent', completed === 5);
+    check('Dispatches ran concurrently', elapsed < 900);
+    check('Exclusive resource held by at most one task per pass', gpuTasks.filter(id => engine.taskQueue.find(t => t.id === id).status === 'completed').length <= 1);
+
+    // Fast ticks overlap with in-flight dispatches
+    engine.startExecutionLoop(50);
+    await new Promise(r => setTimeout(r, 1500));
+    engine.stopExecutionLoop();
+    await Promise.allSettled([...engine.inFlight.values()].map(d => d.promise));
+
+    check('All tasks completed under the execution loop', engine.taskQueue.every(t => t.status === 'completed'));
+    check('No task was dispatched twice', Object.values(dispatchCounts).every(count => count === 1));
+
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runConcurrentDispatchTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,97 @@
+import CoreEngine from '../src/engine/CoreEngine.js';
+
+/**
+ * Consensus Test
+ * Covers redundant execution on distinct agents, agreement rules, retry rounds with fresh agents,
+ * escalation and the reputation cost of disagreeing with the consensus.
+ */
+async function runConsensusTest() {
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+
+    // Each agent always gives the same answer; stronger agents are picked first
+    const setup = answers => {
+        const engine = new CoreEngine();
+        engine.registerAgentFunction('voter', async (payload, { agent }) => ({ resultData: answers[agent.id].answer, confidenceScore: 0.9 }));
+        for (const [id, { skill }] of Object.entries(answers)) {
+            engine.registerAgent({
+                id,
+                domainLabels: ['analysis'],
+                skillScores: { analysis: skill },
+                apiEndpoint: 'fn://voter',
+                performanceData: { successRate: 0.9, tasksCompleted: 10 }
+            });
+        }
+        return engine;
+    };
+    const verify = redundancy => ({ description: 'Verify the claim', domainLabel: 'analysis', complexityScore: 3, redundancy });
+    const runUntilSettled = async (engine, taskId) => {
+        const task = engine.taskQueue.find(t => t.id === taskId);
+        for (let i = 0; i < 10 && ['pending', 'waiting_for_subtasks'].includes(task.status); i++) {
+            await engine.processQueue();
+        }
+        return task;
+    };
+    const replicasOf = (engine, taskId) => engine.taskQueue.filter(t => t.parentTaskId === taskId);
+
+    console.log('\n--- Scenario 1: Majority agreement ---');
+    let engine = setup({ a1: { answer: 'true', skill: 9 }, a2: { answer: 'true', skill: 9 }, a3: { answer: 'false', skill: 9 } });
+    let taskId = engine.submitTask(verify({ replicas: 3 }));
+    let task = await runUntilSettled(engine, taskId);
+    const agents = replicasOf(engine, taskId).map(r => r.assignedTo);
+    check('Replicas dispatched to distinct agents', agents.length === 3 && new Set(agents).size === 3);
+    check('Majority result accepted', task.status === 'completed' && engine.taskOutputs[taskId].resultData === 'true'
+        && engine.taskOutputs[taskId].aggregation.votes === 2);
+    const domainRate = id => engine.agents[id].performanceData.domains.analysis.successRate;
+    check('Outlier loses domain reputation', domainRate('a3') < domainRate('a1')
+        && JSON.stringify(task.consensus.rounds[0].outliers) === JSON.stringify(['a3']));
+
+    console.log('\n--- Scenario 2: Retry with fresh agents ---');
+    engine = setup({
+        a1: { answer: 'A', skill: 9 }, a2: { answer: 'B', skill: 9 }, a3: { answer: 'A', skill: 9 },
+        b1: { answer: 'A', skill: 7 }, b2: { answer: 'A', skill: 7 }, b3: { answer: 'A', skill: 7 }
+    });
+    taskId = engine.submitTask(verify({ replicas: 3, agreement: 'unanimous' }));
+    task = await runUntilSettled(engine, taskId);
+    const rounds = [1, 2].map(round => replicasOf(engine, taskId).filter(r => r.replica.round === round).map(r => r.assignedTo).sort());
+    check('Disagreement starts a second round', task.consensus.rounds.length === 2 && !task.consensus.rounds[0].reached);
+    check('Second round uses agents that have not taken part', JSON.stringify(rounds) === JSON.stringify([['a1', 'a2', 'a3'], ['b1', 'b2', 'b3']]));
+    check('Unanimous second round accepted', task.status === 'completed' && engine.taskOutputs[taskId].aggregation.round === 2);
+
+    console.log('\n--- Scenario 3: Escalation ---');
+    engine = setup({ a1: { answer: 'A', skill: 9 }, a2: { answer: 'B', skill: 9 }, a3: { answer: 'C', skill: 9 }, a4: { answer: 'A', skill: 9 } });
+    const escalations = [];
+    engine.on('task:escalated', event => escalations.push(event));
+    taskId = engine.submitTask(verify({ replicas: 3, onDisagreement: 'escalate' }));
+    task = await runUntilSettled(engine, taskId);
+    check('No agreement escalates and fails the task', task.status === 'failed' && escalations.length === 1
+        && escalations[0].data.reason.startsWith('No consensus after 1 round(s)'));
+
+    taskId = engine.submitTask(verify({ replicas: 5 }));
+    task = await runUntilSettled(engine, taskId);
+    check('Too few agents escalates', task.status === 'failed'
+        && engine.getTaskHistory(taskId).some(e => e.type === 'TaskEscalated' && e.data.reason.includes('5 needed, 4 available')));
+
+    console.log('\n--- Scenario 4: Validation ---');
+    const rejects = (spec, text) => {
+        try {
+            engine.submitTask(spec);
+            return false;
+        } catch (error) {
+            return error.message.includes(text);
+        }
+    };
+    check('Single replica rejected', rejects(verify({ replicas: 1 }), '"replicas"'));
+    check('Agreement above replicas rejected', rejects(verify({ replicas: 3, agreement: 4 }), '"agreement"'));
+    check('Redundant map nodes rejected', rejects({ ...verify({ replicas: 3 }), type: 'map', items: [1], task: verify() }, 'cannot be replicated'));
+
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runConsensusTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
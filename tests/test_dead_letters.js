@@ -0,0 +1,121 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Keep engine state from this run out of the default data directory
+process.env.LOC_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'loc-dead-letter-test-'));
+process.env.PORT = process.env.PORT || '3106';
+const { server, engine } = await import('../src/api/server.js');
+const { default: CoreEngine } = await import('../src/engine/CoreEngine.js');
+
+const API_KEY = 'loc_secret_key_2026';
+const BASE_URL = `http://localhost:${process.env.PORT}`;
+
+const call = async (method, url, body) => {
+    const res = await fetch(`${BASE_URL}${url}`, {
+        method,
+        headers: { 'x-api-key': API_KEY, 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json().catch(() => null) };
+};
+
+/**
+ * Dead-Letter Test
+ * Covers the failure history kept for dead tasks, listing and filtering, replay with edits
+ * reviving dependents and the parent, replay validation and persistence of the store.
+ */
+async function runDeadLetterTest() {
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+    engine.stopExecutionLoop();
+
+    // Fetching from the "primary" source always fails; any other source works
+    engine.registerAgentFunction('dead-letter-worker', async payload => {
+        if (payload.inputs?.source === 'primary') throw new Error('Source unavailable');
+        return { resultData: { description: payload.description, inputs: payload.inputs }, confidenceScore: 0.9 };
+    });
+    for (const id of ['dl-agent-1', 'dl-agent-2']) {
+        engine.registerAgent({
+            id,
+            domainLabels: ['data-collection', 'analysis'],
+            skillScores: { 'data-collection': 9, analysis: 9 },
+            apiEndpoint: 'fn://dead-letter-worker',
+            performanceData: { successRate: 0.9, tasksCompleted: 10 }
+        });
+    }
+
+    const step = (description, extra = {}) => ({ description, domainLabel: 'analysis', complexityScore: 2, ...extra });
+    const node = (workflowId, key) => engine.taskQueue.find(t => t.parentTaskId === workflowId && t.key === key);
+    const drain = async (passes = 6) => {
+        for (let i = 0; i < passes; i++) await engine.processQueue();
+    };
+
+    console.log('\n--- Scenario 1: Dead-lettering ---');
+    const workflowId = (await call('POST', '/workflows', {
+        name: 'Price report',
+        nodes: {
+            fetch: step('Fetch prices', { domainLabel: 'data-collection', inputs: { source: 'primary' }, retryPolicy: { maxAttempts: 2 } }),
+            clean: step('Clean prices', { dependsOn: ['fetch'], inputs: { raw: '$deps.fetch.resultData.inputs' } }),
+            report: step('Write report', { dependsOn: ['clean'] })
+        }
+    })).body.workflowId;
+    await drain();
+    const fetchTask = node(workflowId, 'fetch');
+    let r = await call('GET', `/dead-letters/${fetchTask.id}`);
+    check('Final failure records the task in the dead-letter store', r.status === 200 && fetchTask.status === 'failed'
+        && r.body.errorClass === 'HANDLER_ERROR' && r.body.reason.endsWith('Source unavailable'));
+    check('Every agent tried and every error recorded', r.body.agentsTried.length === 2
+        && r.body.errors.length === 2 && r.body.errors.every(e => e.errorClass === 'HANDLER_ERROR'));
+    check('Full event history and dependents kept', r.body.history.some(e => e.type === 'TaskRequeued')
+        && r.body.dependents.includes(node(workflowId, 'clean').id) && Array.isArray(r.body.reroutes));
+
+    r = await call('GET', '/dead-letters?errorClass=DEPENDENCY_FAILED');
+    check('Listing filters by error class', r.status === 200
+        && r.body.map(d => d.taskId).sort().join() === [node(workflowId, 'clean').id, node(workflowId, 'report').id].sort().join()
+        && r.body.every(d => d.history === undefined));
+    const failedTasks = (await call('GET', '/tasks?status=failed')).body;
+    check('Dead-lettered tasks stay listed once as failed', failedTasks.filter(t => t.id === fetchTask.id).length === 1
+        && failedTasks.every(t => t.deadLettered === !!engine.deadLetters[t.id])
+        && (await call('GET', '/health')).body.queueSize === engine.taskQueue.length);
+
+    // The workflow takes the domain of its first node
+    r = await call('GET', '/dead-letters?domainLabel=data-collection');
+    check('Listing filters by domain', r.body.map(d => d.taskId).sort().join() === [fetchTask.id, workflowId].sort().join());
+
+    console.log('\n--- Scenario 2: Replay ---');
+    r = await call('POST', `/dead-letters/${fetchTask.id}/replay`, { edits: { inputs: { source: 'mirror' } } });
+    check('Replay revives the task, its dependents and the workflow', r.status === 200
+        && [fetchTask.id, node(workflowId, 'clean').id, node(workflowId, 'report').id, workflowId].every(id => r.body.revivedTaskIds.includes(id))
+        && engine.getWorkflow(workflowId).status === 'waiting_for_subtasks');
+    await drain();
+    check('Replayed task keeps its ID and links and completes', engine.getWorkflow(workflowId).status === 'completed'
+        && node(workflowId, 'fetch') === fetchTask && fetchTask.replayCount === 1
+        && engine.taskOutputs[node(workflowId, 'clean').id]?.resultData.inputs.raw.source === 'mirror');
+    check('Revived tasks leave the dead-letter store', Object.keys(engine.deadLetters).length === 0
+        && engine.getTaskHistory(fetchTask.id).some(e => e.type === 'TaskReplayed' && e.data.edits.inputs.source === 'mirror'));
+
+    console.log('\n--- Scenario 3: Validation ---');
+    const lone = (await call('POST', '/tasks', step('Fetch rates', { domainLabel: 'data-collection', inputs: { source: 'primary' }, retryPolicy: { maxAttempts: 1 } }))).body.taskId;
+    await drain(2);
+    check('Links cannot be edited', (await call('POST', `/dead-letters/${lone}/replay`, { edits: { dependencies: [] } })).status === 400);
+    check('Edits are validated as a task', (await call('POST', `/dead-letters/${lone}/replay`, { edits: { complexityScore: 11 } })).status === 400);
+    check('Tasks outside the store are 404', (await call('POST', `/dead-letters/${fetchTask.id}/replay`)).status === 404
+        && (await call('GET', '/dead-letters/nope')).status === 404);
+
+    console.log('\n--- Scenario 4: Persistence ---');
+    const restored = new CoreEngine({ dataDir: process.env.LOC_DATA_DIR });
+    check('Dead letters survive a restart', restored.deadLetters[lone]?.errors.length === 1);
+
+    server.close();
+    fs.rmSync(process.env.LOC_DATA_DIR, { recursive: true, force: true });
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runDeadLetterTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
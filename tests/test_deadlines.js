@@ -0,0 +1,108 @@
+import CoreEngine from '../src/engine/CoreEngine.js';
+import logger from '../src/logger/Logger.js';
+
+/**
+ * Deadline Test
+ * Covers deadline validation, execution-time prediction from the execution log, earliest-deadline-aware
+ * queue ordering, and the SLA at-risk and missed events.
+ */
+async function runDeadlineTest() {
+    const engine = new CoreEngine();
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const task = id => engine.taskQueue.find(t => t.id === id);
+    const history = (id, type) => engine.getTaskHistory(id).filter(e => e.type === type);
+    const inMs = ms => new Date(Date.now() + ms).toISOString();
+
+    // "Slow" tasks take longer than their deadline allows
+    const dispatched = [];
+    engine.registerAgentFunction('deadline-worker', async payload => {
+        dispatched.push(payload.description);
+        if (payload.description.startsWith('Slow')) await sleep(80);
+        return { resultData: `${payload.description} done`, confidenceScore: 0.9 };
+    });
+    engine.registerAgent({
+        id: 'deadline-agent',
+        domainLabels: ['optimization'],
+        skillScores: { optimization: 9 },
+        apiEndpoint: 'fn://deadline-worker',
+        performanceData: { successRate: 0.9, tasksCompleted: 10 }
+    });
+    const spec = (description, extra = {}) => ({ description, domainLabel: 'optimization', complexityScore: 2, ...extra });
+
+    // Recent optimization runs took two seconds each
+    for (let i = 0; i < engine.metaReflection.executionTimeWindow; i++) {
+        logger.execution({ taskId: `history_${i}`, agentId: 'deadline-agent', domainLabel: 'optimization', executionTime: 2000, status: 'completed' });
+    }
+
+    console.log('\n--- Scenario 1: Deadlines and predictions ---');
+    const rejects = (fn, text) => {
+        try {
+            fn();
+            return false;
+        } catch (error) {
+            return error.message.includes(text);
+        }
+    };
+    check('Deadline must be a timestamp', rejects(() => engine.submitTask(spec('Bad', { deadline: 'soon' })), '"deadline"'));
+    check('Absolute and relative deadlines are exclusive', rejects(() => engine.submitTask(spec('Bad', { deadline: inMs(1000), deadlineInMs: 1000 })), 'not both'));
+
+    const relative = engine.submitTask(spec('Relative deadline', { deadlineInMs: 60000, runAt: inMs(10000) }));
+    const deadline = Date.parse(task(relative).deadline);
+    check('deadlineInMs is counted from submission', deadline > Date.now() + 59000 && deadline <= Date.now() + 60000);
+    check('Execution time predicted from the execution log', engine.metaReflection.predictExecutionTime(task(relative)) === 2000);
+    // Aggregated and consensus outputs report the summed time of many runs
+    for (const agentId of ['AGGREGATOR_SYSTEM', 'CONSENSUS_SYSTEM']) {
+        logger.execution({ taskId: `parent_${agentId}`, agentId, domainLabel: 'optimization', executionTime: 60000, status: 'completed' });
+    }
+    check('Engine-logged outputs left out of the prediction', engine.metaReflection.predictExecutionTime(task(relative)) === 2000);
+    check('Predicted completion starts no earlier than runAt', engine.predictCompletion(task(relative)) === Date.parse(task(relative).runAt) + 2000);
+    engine.cancelTask(relative);
+
+    console.log('\n--- Scenario 2: Queue ordering ---');
+    const busy = ['Urgent report A', 'Urgent report B'].map(d => engine.submitTask(spec(d, { priority: 10 })));
+    const late = engine.submitTask(spec('Low priority, due in a minute', { priority: 1, deadline: inMs(60000) }));
+    const later = engine.submitTask(spec('Low priority, due tomorrow', { priority: 1, deadline: inMs(24 * 60 * 60 * 1000) }));
+    const undated = engine.submitTask(spec('Low priority, no deadline', { priority: 1 }));
+    const order = engine.taskQueue.map(t => t.id).filter(id => [...busy, late, later, undated].includes(id));
+    check('Task close to its deadline jumps ahead of higher priority', order[0] === late);
+    check('Otherwise priority wins, then the earlier deadline', order.slice(1, 3).every(id => busy.includes(id)) && order[3] === later && order[4] === undated);
+    await engine.processQueue();
+    check('Deadline task dispatched first', dispatched[0] === 'Low priority, due in a minute');
+    for (let i = 0; i < 4; i++) await engine.processQueue();
+    check('Task completed in time meets its SLA', task(late).slaStatus === 'met' && history(late, 'TaskSlaMissed').length === 0);
+
+    console.log('\n--- Scenario 3: SLA events ---');
+    const atRisk = [];
+    engine.on('task:sla-at-risk', event => atRisk.push(event));
+    const tight = engine.submitTask(spec('Tight turnaround', { deadline: inMs(1000) }));
+    await engine.processQueue();
+    await engine.processQueue();
+    check('Task projected past its deadline raises sla-at-risk once', atRisk.length === 1 && atRisk[0].taskId === tight
+        && Date.parse(atRisk[0].data.predictedCompletionAt) > Date.parse(task(tight).deadline));
+
+    // No agent handles translation, so the task is still queued when its deadline passes
+    const stranded = engine.submitTask(spec('Stranded translation', { domainLabel: 'translation', deadline: inMs(30) }));
+    await sleep(50);
+    await engine.processQueue();
+    await engine.processQueue();
+    check('Deadline passing before completion raises sla-missed once', task(stranded).slaStatus === 'missed'
+        && history(stranded, 'TaskSlaMissed').length === 1 && history(stranded, 'TaskSlaMissed')[0].data.status === 'pending');
+
+    const slow = engine.submitTask(spec('Slow analysis', { deadline: inMs(40) }));
+    await engine.processQueue();
+    const [missed] = history(slow, 'TaskSlaMissed');
+    check('Completing after the deadline raises sla-missed', task(slow).status === 'completed'
+        && missed?.data.status === 'completed' && missed.data.lateByMs > 0);
+
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runDeadlineTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
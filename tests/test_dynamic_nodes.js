@@ -0,0 +1,158 @@
+import CoreEngine from '../src/engine/CoreEngine.js';
+
+/**
+ * Dynamic Node Test
+ * Covers conditional (when) tasks, switch and map nodes expanded at runtime, and the 'skipped' status.
+ */
+async function runDynamicNodeTest() {
+    const engine = new CoreEngine();
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+    const runUntilSettled = async workflowId => {
+        for (let i = 0; i < 12 && ['pending', 'waiting_for_subtasks'].includes(engine.getWorkflow(workflowId).status); i++) {
+            await engine.processQueue();
+        }
+        return engine.getWorkflow(workflowId);
+    };
+
+    const received = {};
+    engine.registerAgentFunction('brancher', async payload => {
+        received[payload.description] = payload.inputs;
+        if (payload.description === 'Score sentiment') {
+            return { resultData: { sentiment: 'negative', sources: ['wire', 'blog', 'forum'] }, confidenceScore: 0.9 };
+        }
+        if (payload.description.startsWith('Analyse source')) {
+            return { resultData: `analysed ${payload.inputs.item}`, confidenceScore: 0.8 };
+        }
+        return { resultData: `${payload.description} done`, confidenceScore: 0.9 };
+    });
+    engine.registerAgent({
+        id: 'branch-agent',
+        domainLabels: ['analysis', 'research', 'summarization'],
+        skillScores: { analysis: 9, research: 9, summarization: 9 },
+        apiEndpoint: 'fn://brancher',
+        performanceData: { successRate: 0.9, tasksCompleted: 10 }
+    });
+
+    const node = (description, extra = {}) => ({ description, domainLabel: 'analysis', complexityScore: 2, ...extra });
+
+    console.log('\n--- Scenario 1: Conditional tasks and skipping ---');
+    const conditional = engine.createWorkflow({
+        name: 'Conditional',
+        nodes: {
+            score: node('Score sentiment'),
+            publish: node('Publish', { dependsOn: ['score'], when: { input: '$deps.score.confidenceScore', op: '>', value: 0.8 } }),
+            review: node('Manual review', { dependsOn: ['score'], when: { input: '$deps.score.confidenceScore', op: '<=', value: 0.8 } }),
+            escalate: node('Escalate review', { dependsOn: ['review'] }),
+            report: node('Report', {
+                dependsOn: ['publish', 'review'],
+                allowSkipped: true,
+                inputs: { published: '$deps.publish.resultData', reviewed: '$deps.review.resultData' }
+            })
+        }
+    });
+    let workflow = await runUntilSettled(conditional);
+    const status = key => workflow.nodes.find(n => n.key === key).status;
+    check('Task runs when its condition holds', status('publish') === 'completed');
+    check('Task skipped when its condition does not hold', status('review') === 'skipped');
+    check('Dependents of a skipped task are skipped', status('escalate') === 'skipped' && !received['Escalate review']);
+    check('allowSkipped dependents run, with null for skipped inputs', status('report') === 'completed'
+        && received.Report?.published === 'Publish done' && received.Report.reviewed === null);
+    check('Skipped nodes count as finished', workflow.status === 'completed' && workflow.progress.percent === 100);
+    const reviewId = workflow.nodes.find(n => n.key === 'review').taskId;
+    check('Skip recorded as a domain event', engine.getTaskHistory(reviewId).some(e => e.type === 'TaskSkipped' && e.data.reason === 'Conditions not met'));
+
+    console.log('\n--- Scenario 2: Switch nodes ---');
+    const branching = engine.createWorkflow({
+        name: 'Branching',
+        nodes: {
+            score: node('Score sentiment'),
+            respond: node('Choose response', {
+                type: 'switch',
+                dependsOn: ['score'],
+                inputs: { sentiment: '$deps.score.resultData.sentiment' },
+                cases: [
+                    { when: { input: '$deps.score.resultData.sentiment', op: '==', value: 'positive' }, task: node('Thank customer') },
+                    { when: { input: '$deps.score.resultData.sentiment', op: 'in', value: ['negative', 'angry'] }, task: node('Apologise to customer') }
+                ],
+                default: node('Acknowledge customer')
+            }),
+            fallback: node('Fallback', {
+                type: 'switch',
+                dependsOn: ['score'],
+                cases: [{ when: { input: '$deps.score.resultData.sentiment', op: '==', value: 'neutral' }, task: node('Neutral reply') }]
+            })
+        }
+    });
+    workflow = await runUntilSettled(branching);
+    const respond = engine.taskQueue.find(t => t.id === workflow.nodes.find(n => n.key === 'respond').taskId);
+    check('First matching case expanded into a subtask', respond.selectedCase === 1 && respond.subtasks.length === 1
+        && received['Apologise to customer']?.sentiment === 'negative' && !received['Thank customer']);
+    check('Switch node passes the branch result through', engine.taskOutputs[respond.id].resultData === 'Apologise to customer done');
+    check('Switch without a match or default is skipped', workflow.nodes.find(n => n.key === 'fallback').status === 'skipped');
+
+    console.log('\n--- Scenario 3: Map and reduce ---');
+    const fanOut = engine.createWorkflow({
+        name: 'Fan-out',
+        nodes: {
+            score: node('Score sentiment'),
+            analyse: node('Analyse source', { type: 'map', dependsOn: ['score'], items: '$deps.score.resultData.sources', task: node('Analyse source') }),
+            nothing: node('Analyse nothing', { type: 'map', items: [], task: node('Never runs') }),
+            reduce: node('Reduce analyses', {
+                domainLabel: 'summarization',
+                dependsOn: ['analyse', 'nothing'],
+                inputs: { analyses: '$deps.analyse.resultData', none: '$deps.nothing.resultData' }
+            })
+        }
+    });
+    workflow = await runUntilSettled(fanOut);
+    const mapNode = engine.taskQueue.find(t => t.id === workflow.nodes.find(n => n.key === 'analyse').taskId);
+    check('Map node fans out one subtask per item', mapNode.subtasks.length === 3
+        && received['Analyse source [2/3]']?.item === 'blog' && received['Analyse source [2/3]'].index === 1);
+    check('Reduce receives item results in order', JSON.stringify(received['Reduce analyses']?.analyses)
+        === JSON.stringify(['analysed wire', 'analysed blog', 'analysed forum']));
+    check('Empty map completes with an empty result', Array.isArray(received['Reduce analyses']?.none) && received['Reduce analyses'].none.length === 0);
+    check('Workflow aggregates once nested nodes finish', workflow.status === 'completed');
+
+    console.log('\n--- Scenario 4: Validation and failures ---');
+    const invalid = [
+        node('Bad op', { dependencies: ['x'], when: { input: '$deps.x.confidenceScore', op: '~=', value: 1 } }),
+        node('No cases', { type: 'switch' }),
+        node('Foreign items', { type: 'map', items: '$deps.elsewhere.resultData', task: node('Item') }),
+        node('Nested', { type: 'map', items: [1], task: node('Inner', { type: 'map', items: [2], task: node('Item') }) })
+    ];
+    const messages = invalid.map(spec => {
+        try {
+            engine.submitTask(spec);
+            return '';
+        } catch (error) {
+            return error.message;
+        }
+    });
+    check('Invalid operator rejected', messages[0].includes('invalid "op"'));
+    check('Switch without cases rejected', messages[1].includes('"cases"'));
+    check('Map items must come from a dependency', messages[2].includes('not a dependency'));
+    check('Nested dynamic nodes rejected', messages[3].includes('cannot be nested'));
+
+    const broken = engine.createWorkflow({
+        name: 'Broken map',
+        nodes: {
+            score: node('Score sentiment'),
+            analyse: node('Analyse sentiment', { type: 'map', dependsOn: ['score'], items: '$deps.score.resultData.sentiment', task: node('Item') })
+        }
+    });
+    workflow = await runUntilSettled(broken);
+    const brokenMap = engine.taskQueue.find(t => t.id === workflow.nodes.find(n => n.key === 'analyse').taskId);
+    check('Map over a non-array fails clearly', brokenMap.status === 'failed' && brokenMap.inputErrors[0].includes('not an array'));
+    check('Failure reaches the workflow', workflow.status === 'failed');
+
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runDynamicNodeTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
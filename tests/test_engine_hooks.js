@@ -0,0 +1,116 @@
+import CoreEngine, { EngineHooks } from '../src/engine/CoreEngine.js';
+
+/**
+ * Engine Events & Hooks Test
+ * Covers lifecycle subscriptions and the dispatch and aggregation interception hooks.
+ */
+async function runEngineHooksTest() {
+    const engine = new CoreEngine();
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+
+    const seen = [];
+    engine.on('event', event => seen.push(event.type));
+    const registered = [];
+    engine.on('agent:registered', event => registered.push(event.agentId));
+    const locked = [];
+    engine.on('resource:locked', event => locked.push(event.data.taskId));
+    const completed = [];
+    engine.on('task:completed', event => completed.push(event));
+    const failed = [];
+    engine.on('task:failed', event => failed.push(event));
+
+    let transportCalls = 0;
+    engine.registerAgentFunction('worker', async payload => {
+        transportCalls++;
+        return { resultData: `done: ${payload.description}`, confidenceScore: 0.9, actualImpact: 4 };
+    });
+    engine.registerAgent({
+        id: 'hook-agent',
+        domainLabels: ['research'],
+        skillScores: { research: 9 },
+        apiEndpoint: 'fn://worker',
+        performanceData: { successRate: 0.9, tasksCompleted: 10 }
+    });
+    engine.registerResource('GPU', 'exclusive');
+
+    console.log('\n--- Scenario 1: Lifecycle subscriptions ---');
+    const taskId = engine.submitTask({ description: 'Plain task', domainLabel: 'research', complexityScore: 2, resourceRequirements: { GPU: 'exclusive' } });
+    await engine.processQueue();
+    check('agent:registered delivered', registered[0] === 'hook-agent');
+    check('resource:locked delivered', locked[0] === taskId);
+    check('task:completed carries the output', completed.length === 1 && completed[0].taskId === taskId && completed[0].data.output.resultData === 'done: Plain task');
+    check('Every domain event delivered on "event"', seen.length === engine.eventStore.events.length);
+
+    engine.on('task:submitted', () => { throw new Error('Broken subscriber'); });
+    const survivorId = engine.submitTask({ description: 'Survives subscriber', domainLabel: 'research', complexityScore: 2 });
+    check('Throwing subscriber does not break the transition', engine.taskQueue.some(t => t.id === survivorId));
+    await engine.processQueue();
+
+    console.log('\n--- Scenario 2: Dispatch hooks ---');
+    const observed = [];
+    const removeBefore = engine.hook(EngineHooks.BEFORE_DISPATCH, ({ task }) => {
+        if (task.description === 'Stubbed') return { resultData: 'from hook', confidenceScore: 0.95 };
+    });
+    const removeAfter = engine.hook(EngineHooks.AFTER_DISPATCH, ({ task, result, error }) => {
+        observed.push({ taskId: task.id, success: !error });
+        if (task.description === 'Rewritten') return { ...result, resultData: result.resultData.toUpperCase() };
+    });
+
+    const callsBefore = transportCalls;
+    const stubbedId = engine.submitTask({ description: 'Stubbed', domainLabel: 'research', complexityScore: 2 });
+    await engine.processQueue();
+    check('beforeDispatch result skips the transport', transportCalls === callsBefore && engine.taskOutputs[stubbedId].resultData === 'from hook');
+
+    const rewrittenId = engine.submitTask({ description: 'Rewritten', domainLabel: 'research', complexityScore: 2 });
+    await engine.processQueue();
+    check('afterDispatch can replace the result', engine.taskOutputs[rewrittenId].resultData === 'DONE: REWRITTEN');
+    check('afterDispatch observes every dispatch', observed.length === 2 && observed.every(o => o.success));
+
+    removeBefore();
+    removeAfter();
+    const vetoId = engine.submitTask({ description: 'Vetoed', domainLabel: 'research', complexityScore: 2 });
+    const removeVeto = engine.hook(EngineHooks.BEFORE_DISPATCH, () => { throw new Error('Policy violation'); });
+    await engine.processQueue();
+    const vetoed = engine.taskQueue.find(t => t.id === vetoId);
+    check('Throwing hook fails the attempt as HOOK_FAILED', vetoed.status === 'pending' && vetoed.retryCount === 1
+        && engine.agents['hook-agent'].performanceData.transport.failuresByCode.HOOK_FAILED === 1);
+    removeVeto();
+
+    console.log('\n--- Scenario 3: Aggregation hooks ---');
+    const parentId = engine.submitTask({ description: 'Composite', domainLabel: 'research', complexityScore: 2 });
+    engine.decomposeTask(parentId, [
+        { description: 'Part A', domainLabel: 'research', complexityScore: 1 },
+        { description: 'Part B', domainLabel: 'research', complexityScore: 1 }
+    ]);
+    let aggregationContext = null;
+    engine.hook(EngineHooks.BEFORE_AGGREGATION, context => {
+        aggregationContext = context;
+        return { resultData: context.outputs.map(o => o.resultData).sort().join(' + '), confidenceScore: 1 };
+    });
+    engine.hook(EngineHooks.AFTER_AGGREGATION, ({ result }) => ({ ...result, resultData: `[${result.resultData}]` }));
+    for (let i = 0; i < 4 && engine.taskQueue.find(t => t.id === parentId).status !== 'completed'; i++) {
+        await engine.processQueue();
+    }
+    check('beforeAggregation sees parent and subtask outputs', aggregationContext?.parentTask.id === parentId && aggregationContext.outputs.length === 2);
+    check('Aggregation hooks shape the parent result', engine.taskOutputs[parentId]?.resultData === '[done: Part A + done: Part B]');
+
+    let rejected = false;
+    try {
+        engine.hook('beforeEverything', () => {});
+    } catch (error) {
+        rejected = error.message.includes('Unknown hook');
+    }
+    check('Unknown hook names rejected', rejected);
+    check('No unexpected task:failed events', failed.length === 0);
+
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runEngineHooksTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,121 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import CoreEngine from '../src/engine/CoreEngine.js';
+import { DomainEventTypes } from '../src/events/DomainEvents.js';
+
+/**
+ * Event Sourcing Test
+ * Covers the domain event stream, rebuilding state from it, per-task history and time-travel inspection.
+ */
+async function runEventSourcingTest() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'loc-events-'));
+    const engine = new CoreEngine({ dataDir });
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+
+    let calls = 0;
+    engine.registerAgentFunction('flaky', async () => {
+        calls++;
+        if (calls === 1) throw new Error('First attempt fails');
+        return { resultData: 'done', confidenceScore: 0.9, actualImpact: 5 };
+    });
+    for (const id of ['es-agent-1', 'es-agent-2']) {
+        engine.registerAgent({
+            id,
+            domainLabels: ['research'],
+            skillScores: { research: 9 },
+            apiEndpoint: 'fn://flaky',
+            performanceData: { successRate: 0.9, tasksCompleted: 10 }
+        });
+    }
+    engine.registerResource('DB', 'exclusive');
+
+    console.log('\n--- Scenario 1: Lifecycle is recorded as typed events ---');
+    const taskId = engine.submitTask({
+        description: 'Index corpus',
+        domainLabel: 'research',
+        complexityScore: 2,
+        resourceRequirements: { DB: 'exclusive' }
+    });
+    await new Promise(r => setTimeout(r, 10));
+    const beforeDispatch = Date.now();
+    await new Promise(r => setTimeout(r, 10));
+
+    await engine.processQueue();
+    await engine.processQueue();
+
+    const types = engine.getTaskHistory(taskId).map(e => e.type);
+    check('Submission, failed attempt, retry and completion recorded in order', JSON.stringify(types) === JSON.stringify([
+        DomainEventTypes.TASK_SUBMITTED,
+        DomainEventTypes.TASK_DISPATCHED,
+        DomainEventTypes.TASK_REQUEUED,
+        DomainEventTypes.TASK_DISPATCHED,
+        DomainEventTypes.TASK_COMPLETED
+    ]));
+    const eventTypes = engine.eventStore.events.map(e => e.type);
+    check('Agent status transitions recorded', eventTypes.filter(t => t === DomainEventTypes.AGENT_STATUS_CHANGED).length === 4);
+    check('Resource locks and releases recorded', eventTypes.includes(DomainEventTypes.RESOURCE_LOCKED) && eventTypes.includes(DomainEventTypes.RESOURCE_RELEASED));
+
+    console.log('\n--- Scenario 2: Projection rebuilds current state ---');
+    const parentId = engine.submitTask({ description: 'Composite', domainLabel: 'research', complexityScore: 2 });
+    engine.decomposeTask(parentId, [{ description: 'Part A', domainLabel: 'research', complexityScore: 1 }]);
+    engine.updateTaskPriority(parentId, 8);
+    engine.cancelTask(parentId, 'No longer needed');
+
+    const projected = engine.getStateAt();
+    const byId = Object.fromEntries(projected.tasks.map(t => [t.id, t]));
+    check('Every task projected', projected.tasks.length === engine.taskQueue.length);
+    check('Projected task state matches live state', engine.taskQueue.every(t =>
+        byId[t.id].status === t.status && byId[t.id].priority === t.priority && byId[t.id].retryCount === t.retryCount
+    ));
+    check('Projected outputs match', projected.outputs[taskId].resultData === engine.taskOutputs[taskId].resultData);
+    check('Projected agent and resource state match', Object.values(engine.agents).every(a => projected.agents[a.id].status === a.status)
+        && projected.resources.DB.lockedBy === null);
+
+    console.log('\n--- Scenario 3: Time-travel inspection ---');
+    const past = engine.getStateAt(beforeDispatch);
+    check('Past state shows the task still queued', past.tasks.length === 1 && past.tasks[0].status === 'pending' && !past.outputs[taskId]);
+    check('Past state shows the agents idle', Object.values(past.agents).every(a => a.status === 'idle'));
+
+    console.log('\n--- Scenario 4: Event stream survives restart ---');
+    const restarted = new CoreEngine({ dataDir });
+    check('History reloaded from disk', restarted.getTaskHistory(taskId).length === types.length);
+    check('New events continue the sequence', restarted.eventStore.seq === engine.eventStore.seq);
+
+    console.log('\n--- Scenario 5: Compaction ---');
+    const live = engine.getStateAt();
+    const compacted = engine.eventStore.compact(beforeDispatch);
+    check('Events up to the cutoff folded into the checkpoint', compacted > 0
+        && engine.eventStore.events.every(e => Date.parse(e.timestamp) > beforeDispatch)
+        && engine.getTaskHistory(taskId)[0].type === DomainEventTypes.TASK_DISPATCHED);
+    check('State projected from the checkpoint matches', JSON.stringify(engine.getStateAt()) === JSON.stringify(live));
+    check('Time travel before the checkpoint refused', (() => {
+        try {
+            engine.getStateAt(0);
+            return false;
+        } catch (error) {
+            return error.message.includes('compacted');
+        }
+    })());
+
+    const compactedOnDisk = new CoreEngine({ dataDir, eventRetentionMs: 0 });
+    check('Checkpoint and retained events reloaded', compactedOnDisk.eventStore.events.length === engine.eventStore.events.length
+        && JSON.stringify(compactedOnDisk.getStateAt().tasks) === JSON.stringify(live.tasks));
+    compactedOnDisk.snapshotState();
+    check('Snapshot compacts events past the retention window', compactedOnDisk.eventStore.events.length === 0
+        && fs.readFileSync(path.join(dataDir, 'events.ndjson'), 'utf8') === ''
+        && compactedOnDisk.getTaskHistory(taskId).length === 0
+        && JSON.stringify(new CoreEngine({ dataDir }).getStateAt().tasks) === JSON.stringify(live.tasks));
+
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runEventSourcingTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
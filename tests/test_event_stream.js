@@ -0,0 +1,142 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Keep engine state from this run out of the default data directory
+process.env.LOC_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'loc-sse-test-'));
+process.env.PORT = process.env.PORT || '3101';
+const { server, engine } = await import('../src/api/server.js');
+
+const API_KEY = 'loc_secret_key_2026';
+const BASE_URL = `http://localhost:${process.env.PORT}`;
+
+/**
+ * Opens an SSE stream and collects parsed frames until `count` have arrived or the wait times out.
+ * @param {string} query
+ * @param {Object} headers
+ * @param {number} count
+ * @param {Function} afterOpen Runs once the stream is connected
+ * @returns {Promise<Array<Object>>} { id, event, data }
+ */
+async function collectEvents(query, headers, count, afterOpen = async () => {}) {
+    const controller = new AbortController();
+    const res = await fetch(`${BASE_URL}/events${query}`, { headers: { 'x-api-key': API_KEY, ...headers }, signal: controller.signal });
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    const frames = [];
+    let buffer = '';
+
+    const timeout = setTimeout(() => controller.abort(), 3000);
+    await afterOpen();
+    try {
+        while (frames.length < count) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const block = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+                const frame = {};
+                for (const line of block.split('\n')) {
+                    const [field, ...rest] = line.split(': ');
+                    if (['id', 'event', 'data'].includes(field)) frame[field] = rest.join(': ');
+                }
+                if (frame.data) frames.push({ ...frame, data: JSON.parse(frame.data) });
+            }
+        }
+    } catch (error) {
+        // Aborted by the timeout; return what arrived
+    }
+    clearTimeout(timeout);
+    controller.abort();
+    return frames;
+}
+
+/**
+ * Event Stream Test
+ * Covers the SSE endpoint: live delivery, filters, resume via Last-Event-ID (including across compaction)
+ * and query-string stream tokens.
+ */
+async function runEventStreamTest() {
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+
+    engine.stopExecutionLoop();
+    engine.registerAgentFunction('sse-worker', async () => ({ resultData: 'ok', confidenceScore: 0.9 }));
+    engine.registerAgent({
+        id: 'sse-agent',
+        domainLabels: ['research'],
+        skillScores: { research: 9 },
+        apiEndpoint: 'fn://sse-worker',
+        performanceData: { successRate: 0.9, tasksCompleted: 10 }
+    });
+
+    console.log('\n--- Scenario 1: Live task and agent updates ---');
+    let taskId;
+    const live = await collectEvents('', {}, 6, async () => {
+        taskId = engine.submitTask({ description: 'Streamed task', domainLabel: 'research', complexityScore: 2 });
+        await engine.processQueue();
+    });
+    const names = live.map(f => f.event);
+    check('Task lifecycle streamed', ['task:submitted', 'task:dispatched', 'task:completed'].every(n => names.includes(n)));
+    check('Agent status changes streamed', names.includes('agent:status-changed'));
+    check('Frames carry the event sequence as id', live.every(f => Number(f.id) === f.data.seq));
+
+    console.log('\n--- Scenario 2: Filters ---');
+    const otherId = engine.submitTask({ description: 'Other domain', domainLabel: 'analysis', complexityScore: 2 });
+    const parentId = engine.submitTask({ description: 'Workflow', domainLabel: 'research', complexityScore: 2 });
+    engine.decomposeTask(parentId, [{ description: 'Step', domainLabel: 'research', complexityScore: 1 }]);
+
+    const byTask = await collectEvents(`?taskId=${taskId}&lastEventId=0`, {}, 10);
+    check('taskId filter only returns that task', byTask.length > 0 && byTask.every(f => f.data.taskId === taskId || f.data.data?.taskId === taskId));
+    const byParent = await collectEvents(`?parentTaskId=${parentId}&lastEventId=0`, {}, 10);
+    check('parentTaskId filter returns the workflow and its subtasks', byParent.some(f => f.data.taskId === parentId)
+        && byParent.some(f => f.data.parentTaskId === parentId) && byParent.every(f => f.data.taskId !== otherId));
+    const byDomain = await collectEvents('?domainLabel=analysis&lastEventId=0', {}, 10);
+    check('domainLabel filter', byDomain.length > 0 && byDomain.every(f => f.data.domainLabel === 'analysis'));
+
+    console.log('\n--- Scenario 3: Resume with Last-Event-ID ---');
+    const resumeFrom = engine.eventStore.seq;
+    engine.updateTaskPriority(otherId, 9);
+    engine.cancelTask(otherId, 'Not needed');
+    const resumed = await collectEvents('', { 'Last-Event-ID': String(resumeFrom) }, 2);
+    check('Missed events replayed in order', resumed.map(f => f.event).join(',') === 'task:priority-changed,task:cancelled');
+    const fresh = await collectEvents('', { 'Last-Event-ID': '' }, 1, async () => engine.updateTaskPriority(otherId, 3));
+    check('Empty Last-Event-ID starts live', fresh.length === 1 && fresh[0].event === 'task:priority-changed');
+    const malformed = await fetch(`${BASE_URL}/events?lastEventId=abc`, { headers: { 'x-api-key': API_KEY } });
+    check('Non-numeric Last-Event-ID rejected', malformed.status === 400);
+
+    console.log('\n--- Scenario 4: EventSource-style auth ---');
+    const noKey = await fetch(`${BASE_URL}/events`);
+    check('Stream requires an API key', noKey.status === 401);
+    check('API key not accepted in the query string', (await fetch(`${BASE_URL}/events?apiKey=${API_KEY}`)).status === 401);
+    const { token } = await (await fetch(`${BASE_URL}/events/token`, { method: 'POST', headers: { 'x-api-key': API_KEY } })).json();
+    const controller = new AbortController();
+    const queryToken = await fetch(`${BASE_URL}/events?token=${token}`, { signal: controller.signal });
+    check('Stream token accepted in the query string', queryToken.status === 200 && queryToken.headers.get('content-type').startsWith('text/event-stream'));
+    controller.abort();
+    check('Stream token opens nothing else', (await fetch(`${BASE_URL}/tasks?token=${token}`)).status === 401);
+
+    console.log('\n--- Scenario 5: Resume across compaction ---');
+    engine.eventStore.compact(Date.now());
+    const compacted = await fetch(`${BASE_URL}/events`, { headers: { 'x-api-key': API_KEY, 'Last-Event-ID': String(resumeFrom) } });
+    check('Last-Event-ID before the checkpoint answered with 410', compacted.status === 410);
+    const atCheckpoint = await collectEvents('', { 'Last-Event-ID': String(engine.eventStore.checkpoint.seq) }, 1,
+        async () => engine.updateTaskPriority(otherId, 5));
+    check('Last-Event-ID at the checkpoint still resumes', atCheckpoint.length === 1 && atCheckpoint[0].event === 'task:priority-changed');
+
+    server.close();
+    server.closeAllConnections();
+    fs.rmSync(process.env.LOC_DATA_DIR, { recursive: true, force: true });
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runEventStreamTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
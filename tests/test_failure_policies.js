@@ -0,0 +1,122 @@
+import CoreEngine from '../src/engine/CoreEngine.js';
+
+/**
+ * Failure Policy Test
+ * Covers all-required, best-effort, quorum and required-subset aggregation when subtasks fail.
+ */
+async function runFailurePolicyTest() {
+    const engine = new CoreEngine();
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+    const task = id => engine.taskQueue.find(t => t.id === id);
+
+    // Translation work and map item "b" always fail; everything else succeeds
+    engine.registerAgentFunction('policy-worker', async payload => {
+        if (payload.domainLabel === 'translation' || payload.inputs.item === 'b') throw new Error('Translator unavailable');
+        return { resultData: `${payload.description} done`, confidenceScore: 0.9 };
+    });
+    for (const id of ['policy-agent-1', 'policy-agent-2', 'policy-agent-3']) {
+        engine.registerAgent({
+            id,
+            domainLabels: ['research', 'translation'],
+            skillScores: { research: 9, translation: 9 },
+            apiEndpoint: 'fn://policy-worker',
+            performanceData: { successRate: 0.9, tasksCompleted: 10 }
+        });
+    }
+
+    const ok = description => ({ description, domainLabel: 'research', complexityScore: 2 });
+    const broken = description => ({ description, domainLabel: 'translation', complexityScore: 2 });
+    const fanOut = (description, subtasks, failurePolicy) => {
+        const parentId = engine.submitTask({ ...ok(description), failurePolicy });
+        engine.decomposeTask(parentId, subtasks);
+        return parentId;
+    };
+
+    const strict = fanOut('Strict', [ok('S1'), broken('S2')]);
+    const bestEffort = fanOut('Best effort', [ok('B1'), ok('B2'), broken('B3')], 'best-effort');
+    const nothingLeft = fanOut('Nothing left', [broken('N1'), broken('N2')], 'best-effort');
+    const quorumMet = fanOut('Quorum met', [ok('Q1'), ok('Q2'), broken('Q3')], { type: 'quorum', min: 2 });
+    const quorumMissed = fanOut('Quorum missed', [ok('M1'), broken('M2'), broken('M3')], { type: 'quorum', min: 2 });
+
+    const workflowWith = required => engine.createWorkflow({
+        name: `Required ${required}`,
+        failurePolicy: { type: 'required-subset', required: [required] },
+        nodes: { core: ok('Core'), extras: broken('Extras') }
+    });
+    const optionalFailed = workflowWith('core');
+    const requiredFailed = workflowWith('extras');
+
+    const mapWorkflow = engine.createWorkflow({
+        name: 'Best-effort map',
+        nodes: {
+            sweep: {
+                ...ok('Sweep sources'),
+                type: 'map',
+                items: ['a', 'b', 'c'],
+                failurePolicy: 'best-effort',
+                task: ok('Read source')
+            }
+        }
+    });
+
+    const parents = [strict, bestEffort, nothingLeft, quorumMet, quorumMissed, optionalFailed, requiredFailed, mapWorkflow];
+    for (let i = 0; i < 25 && parents.some(id => ['pending', 'waiting_for_subtasks'].includes(task(id).status)); i++) {
+        await engine.processQueue();
+    }
+
+    console.log('\n--- Scenario 1: all-required (default) ---');
+    check('Any failure fails the parent', task(strict).status === 'failed');
+
+    console.log('\n--- Scenario 2: best-effort ---');
+    const bestOutput = engine.taskOutputs[bestEffort];
+    check('Parent completes despite a failed subtask', task(bestEffort).status === 'completed');
+    check('Dropped subtask recorded', bestOutput?.droppedSubtasks?.length === 1 && bestOutput.droppedSubtasks[0].status === 'failed'
+        && task(bestOutput.droppedSubtasks[0].taskId).description === 'B3');
+    check('Confidence scaled by the share that completed', bestOutput?.confidenceScore === 0.6);
+    check('Nothing to aggregate fails the parent', task(nothingLeft).status === 'failed');
+
+    console.log('\n--- Scenario 3: quorum ---');
+    check('Quorum reached completes the parent', task(quorumMet).status === 'completed' && engine.taskOutputs[quorumMet].droppedSubtasks.length === 1);
+    const missedEvent = engine.getTaskHistory(quorumMissed).find(e => e.type === 'TaskFailed');
+    check('Quorum missed fails the parent with the reason', task(quorumMissed).status === 'failed'
+        && missedEvent?.data.reason === 'Quorum not reached: 1 of 2 required subtasks completed');
+
+    console.log('\n--- Scenario 4: required-subset ---');
+    check('Optional node failure tolerated', engine.getWorkflow(optionalFailed).status === 'completed'
+        && engine.taskOutputs[optionalFailed].droppedSubtasks[0].key === 'extras');
+    check('Required node failure fails the workflow', engine.getWorkflow(requiredFailed).status === 'failed');
+
+    console.log('\n--- Scenario 5: Map nodes ---');
+    const workflow = engine.getWorkflow(mapWorkflow);
+    const sweep = workflow.nodes[0].output;
+    check('Best-effort map keeps the results it has', workflow.status === 'completed'
+        && JSON.stringify(sweep.resultData) === JSON.stringify(['Read source [1/3] done', 'Read source [3/3] done']) && sweep.droppedSubtasks.length === 1);
+
+    console.log('\n--- Scenario 6: Validation ---');
+    const rejects = (fn, text) => {
+        try {
+            fn();
+            return false;
+        } catch (error) {
+            return error.message.includes(text);
+        }
+    };
+    check('Unknown policy rejected', rejects(() => engine.submitTask({ ...ok('Bad'), failurePolicy: 'most' }), 'Valid policies are'));
+    check('Quorum without min rejected', rejects(() => engine.submitTask({ ...ok('Bad'), failurePolicy: { type: 'quorum' } }), '"min"'));
+    check('Required nodes must exist', rejects(() => engine.createWorkflow({
+        name: 'Bad',
+        failurePolicy: { type: 'required-subset', required: ['ghost'] },
+        nodes: { core: ok('Core') }
+    }), '"ghost" does not exist'));
+
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runFailurePolicyTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,90 @@
+import http from 'http';
+import CoreEngine from '../src/engine/CoreEngine.js';
+
+/**
+ * HTTP Dispatch Test
+ * Runs a local agent server and checks how the engine maps its responses.
+ */
+async function runHttpDispatchTest() {
+    // Each path simulates a different agent behaviour
+    const agentServer = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const payload = JSON.parse(body);
+            if (req.url === '/ok') {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ resultData: `Done: ${payload.description}`, confidenceScore: 0.9, actualImpact: 6, executionTime: 42 }));
+            } else if (req.url === '/crash') {
+                res.writeHead(500);
+                res.end('Internal error');
+            } else if (req.url === '/busy') {
+                res.writeHead(429);
+                res.end();
+            } else if (req.url === '/garbage') {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ answer: 42 }));
+            } else if (req.url === '/slow') {
+                setTimeout(() => res.end('{}'), 1000);
+            }
+        });
+    });
+    await new Promise(resolve => agentServer.listen(0, resolve));
+    const base = `http://localhost:${agentServer.address().port}`;
+
+    const engine = new CoreEngine({ dispatchTimeoutMs: 200 });
+    const results = [];
+
+    const scenarios = [
+        { path: '/ok', expectStatus: 'completed', expectRetries: 0 },
+        { path: '/crash', expectStatus: 'pending', expectRetries: 1 },
+        { path: '/busy', expectStatus: 'pending', expectRetries: 1 },
+        { path: '/garbage', expectStatus: 'pending', expectRetries: 1 },
+        { path: '/slow', expectStatus: 'pending', expectRetries: 1 }
+    ];
+
+    for (const scenario of scenarios) {
+        const agentId = engine.registerAgent({
+            id: `http-agent${scenario.path.replace('/', '-')}`,
+            domainLabels: ['analysis'],
+            skillScores: { analysis: 9 },
+            apiEndpoint: `${base}${scenario.path}`,
+            performanceData: { successRate: 0.9, tasksCompleted: 10 }
+        });
+
+        const taskId = engine.submitTask({
+            description: `Scenario ${scenario.path}`,
+            domainLabel: 'analysis',
+            complexityScore: 3
+        });
+
+        // Only this agent is idle, so the task must go to it
+        Object.values(engine.agents).forEach(a => { a.status = a.id === agentId ? 'idle' : 'offline'; });
+        await engine.processQueue();
+
+        const task = engine.taskQueue.find(t => t.id === taskId);
+        const passed = task.status === scenario.expectStatus && task.retryCount === scenario.expectRetries;
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${scenario.path} -> status ${task.status}, retries ${task.retryCount}`);
+
+        // Park the task so it is not picked up by the next scenario
+        task.status = 'failed';
+    }
+
+    const okOutput = Object.values(engine.taskOutputs)[0];
+    const parsed = okOutput && okOutput.executionTime === 42 && okOutput.actualImpact === 6;
+    results.push(parsed);
+    console.log(`${parsed ? 'PASSED' : 'FAILED'}: Structured result parsed from agent response`);
+
+    const declined = engine.agents['http-agent-busy'].performanceData.tasksCompleted === 10;
+    results.push(declined);
+    console.log(`${declined ? 'PASSED' : 'FAILED'}: Declining agent (HTTP 429) was not penalized`);
+
+    agentServer.close();
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runHttpDispatchTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
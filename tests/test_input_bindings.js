@@ -0,0 +1,110 @@
+import CoreEngine from '../src/engine/CoreEngine.js';
+
+/**
+ * Input Binding Test
+ * Covers resolving "$deps.<task>.<field>" inputs from dependency outputs before dispatch.
+ */
+async function runInputBindingTest() {
+    const engine = new CoreEngine();
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+    const run = async (passes = 4) => {
+        for (let i = 0; i < passes; i++) await engine.processQueue();
+    };
+
+    const received = {};
+    engine.registerAgentFunction('binder', async payload => {
+        received[payload.taskId] = payload.inputs;
+        if (payload.description.startsWith('Summarize')) {
+            return { resultData: { summary: 'Prices rose 4%', sources: ['feed-a', 'feed-b'] }, confidenceScore: 0.9 };
+        }
+        return { resultData: `${payload.description} done`, confidenceScore: 0.9 };
+    });
+    engine.registerAgent({
+        id: 'binding-agent',
+        domainLabels: ['summarization', 'creative-writing'],
+        skillScores: { summarization: 9, 'creative-writing': 9 },
+        apiEndpoint: 'fn://binder',
+        performanceData: { successRate: 0.9, tasksCompleted: 10 }
+    });
+
+    console.log('\n--- Scenario 1: Bindings by task ID ---');
+    const summaryId = engine.submitTask({ description: 'Summarize prices', domainLabel: 'summarization', complexityScore: 2 });
+    const draftId = engine.submitTask({
+        description: 'Draft newsletter',
+        domainLabel: 'creative-writing',
+        complexityScore: 2,
+        dependencies: [summaryId],
+        inputs: {
+            summary: `$deps.${summaryId}.resultData.summary`,
+            firstSource: `$deps.${summaryId}.resultData.sources.0`,
+            confidence: `$deps.${summaryId}.confidenceScore`,
+            tone: 'upbeat'
+        }
+    });
+    await run();
+    check('Tasks without inputs receive an empty object', Object.keys(received[summaryId] || { missing: true }).length === 0);
+    check('Bindings resolved into the payload', received[draftId]?.summary === 'Prices rose 4%' && received[draftId].firstSource === 'feed-a'
+        && received[draftId].confidence === 0.9);
+    check('Literal inputs passed through', received[draftId]?.tone === 'upbeat');
+
+    console.log('\n--- Scenario 2: Validation ---');
+    let rejected = null;
+    try {
+        engine.submitTask({ description: 'Orphan', domainLabel: 'summarization', complexityScore: 2, inputs: { summary: `$deps.${summaryId}.resultData` } });
+    } catch (error) {
+        rejected = error.message;
+    }
+    check('Binding to a task that is not a dependency rejected', rejected?.includes('is not a dependency'));
+    rejected = null;
+    try {
+        engine.submitTask({ description: 'Malformed', domainLabel: 'summarization', complexityScore: 2, dependencies: [summaryId], inputs: { summary: '$deps.' } });
+    } catch (error) {
+        rejected = error.message;
+    }
+    check('Malformed binding rejected', rejected?.includes('not a valid'));
+
+    console.log('\n--- Scenario 3: Bindings by workflow node name ---');
+    const workflowId = engine.createWorkflow({
+        name: 'Newsletter',
+        nodes: {
+            research: { description: 'Summarize sources', domainLabel: 'summarization', complexityScore: 2 },
+            write: {
+                description: 'Write issue',
+                domainLabel: 'creative-writing',
+                complexityScore: 2,
+                dependsOn: ['research'],
+                inputs: { summary: '$deps.research.resultData.summary' }
+            },
+            polish: {
+                description: 'Polish issue',
+                domainLabel: 'creative-writing',
+                complexityScore: 2,
+                dependsOn: ['write'],
+                inputs: { draft: '$deps.write.resultData.title' }
+            }
+        }
+    });
+    const nodeId = key => engine.getWorkflow(workflowId).nodes.find(n => n.key === key).taskId;
+    await run(6);
+    check('Node name bindings resolved', received[nodeId('write')]?.summary === 'Prices rose 4%');
+
+    console.log('\n--- Scenario 4: Unresolvable bindings ---');
+    const polish = engine.taskQueue.find(t => t.id === nodeId('polish'));
+    check('Task failed without being dispatched', polish.status === 'failed' && !received[polish.id] && polish.retryCount === 0);
+    check('Failure explains the missing field', polish.inputErrors?.[0].includes('"$deps.write.resultData.title" does not exist'));
+    const failure = engine.getTaskHistory(polish.id).find(e => e.type === 'TaskFailed');
+    check('Failure recorded as a domain event', failure?.data.agentId === 'SYSTEM_INPUT_RESOLVER');
+    check('Workflow fails with the node', engine.getWorkflow(workflowId).status === 'failed');
+    check('Completed dependency still completed', engine.taskQueue.find(t => t.id === draftId).status === 'completed');
+
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runInputBindingTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
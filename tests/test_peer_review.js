@@ -0,0 +1,140 @@
+import CoreEngine from '../src/engine/CoreEngine.js';
+
+/**
+ * Peer Review Test
+ * Covers routing outputs to a second agent of the same domain, approval, rejection with feedback,
+ * the rejection limit, reviews requested through the collaboration protocol, review validation,
+ * and outputs no one can review: a lone agent in the domain and reviews that time out.
+ */
+async function runPeerReviewTest() {
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+
+    // Every agent drafts (citing sources once told to) and reviews with the given judge; the writer is picked first
+    const setup = judge => {
+        const engine = new CoreEngine();
+        const drafts = [];
+        engine.registerAgentFunction('peer', async (payload, { agent }) => {
+            if (payload.inputs.taskId) {
+                return { resultData: judge(payload.inputs), confidenceScore: 0.9 };
+            }
+            drafts.push({ ...payload, agentId: agent.id });
+            const resultData = payload.reviewFeedback.length > 0 ? 'Summary with sources' : 'Summary';
+            return { resultData, confidenceScore: 0.9, actualImpact: 6 };
+        });
+
+        const agent = (id, domain, skill) => engine.registerAgent({
+            id,
+            domainLabels: [domain],
+            skillScores: { [domain]: skill },
+            apiEndpoint: 'fn://peer',
+            performanceData: { successRate: 0.9, tasksCompleted: 10 }
+        });
+        agent('writer', 'research', 9);
+        agent('editor', 'research', 7);
+        agent('outsider', 'translation', 9);
+        return { engine, drafts };
+    };
+    const summarize = review => ({ description: 'Summarize the findings', domainLabel: 'research', complexityScore: 3, review });
+    const runUntilSettled = async (engine, taskId) => {
+        const task = engine.taskQueue.find(t => t.id === taskId);
+        for (let i = 0; i < 15 && ['pending', 'awaiting_review'].includes(task.status); i++) {
+            await engine.processQueue();
+        }
+        return task;
+    };
+    const reviewsOf = (engine, taskId) => engine.taskQueue.filter(t => t.reviewOf?.taskId === taskId);
+    const domainRecord = (engine, id) => engine.agents[id].performanceData.domains.research;
+
+    console.log('\n--- Scenario 1: Approval ---');
+    let { engine, drafts } = setup(() => ({ verdict: 'approve', comments: 'Clear' }));
+    let taskId = engine.submitTask(summarize(true));
+    let task = await runUntilSettled(engine, taskId);
+    const [review] = reviewsOf(engine, taskId);
+    check('Output routed to a qualified second agent', review?.assignedTo === 'editor' && review.inputs.output === 'Summary');
+    check('Approved output completes the task', task.status === 'completed'
+        && engine.taskOutputs[taskId].agentId === 'writer' && engine.taskOutputs[taskId].resultData === 'Summary');
+    check('Approval credits the author once', domainRecord(engine, 'writer').successRate === 1 && domainRecord(engine, 'writer').tasksCompleted === 1
+        && engine.getTaskHistory(taskId).some(e => e.type === 'TaskReviewed' && e.data.verdict === 'approve'));
+
+    console.log('\n--- Scenario 2: Rejection with feedback ---');
+    ({ engine, drafts } = setup(inputs => inputs.output.includes('sources')
+        ? { verdict: 'approve' }
+        : { verdict: 'reject', comments: 'Cite your sources' }));
+    taskId = engine.submitTask(summarize(true));
+    task = await runUntilSettled(engine, taskId);
+    check('Rejected task requeued with the reviewer\'s comments', drafts.length === 2
+        && drafts[1].reviewFeedback[0].comments === 'Cite your sources' && drafts[1].reviewFeedback[0].reviewerId === 'editor');
+    check('Rework goes to another agent than the rejected author', drafts[0].agentId === 'writer' && drafts[1].agentId === 'editor'
+        && engine.taskOutputs[taskId].agentId === 'editor');
+    check('Revised output approved', task.status === 'completed' && engine.taskOutputs[taskId].resultData === 'Summary with sources'
+        && JSON.stringify(task.reviews.map(r => r.verdict)) === JSON.stringify(['reject', 'approve']));
+    check('Rejection lowers the author\'s domain confidence', domainRecord(engine, 'writer').successRate < 1
+        && engine.getTaskHistory(taskId).some(e => e.type === 'TaskReviewed' && e.data.verdict === 'reject' && e.data.authorId === 'writer'));
+
+    console.log('\n--- Scenario 3: Rejection limit ---');
+    ({ engine } = setup(() => ({ verdict: 'reject', comments: 'Off topic' })));
+    taskId = engine.submitTask(summarize({ maxRejections: 1 }));
+    task = await runUntilSettled(engine, taskId);
+    const failure = engine.getTaskHistory(taskId).find(e => e.type === 'TaskFailed');
+    check('Task fails once maxRejections is reached', task.status === 'failed' && failure?.data.reason.includes('Off topic'));
+
+    console.log('\n--- Scenario 4: Review requested by the agent ---');
+    ({ engine } = setup());
+    engine.registerAgentFunction('peer', async (payload, { agent }) => {
+        if (payload.inputs.taskId) return { resultData: { verdict: 'approve' }, confidenceScore: 0.9 };
+        await engine.collaborate(payload.taskId, agent.id, 'REQUEST_REVIEW', {});
+        return { resultData: 'Unsure summary', confidenceScore: 0.9 };
+    });
+    taskId = engine.submitTask(summarize());
+    task = await runUntilSettled(engine, taskId);
+    check('REQUEST_REVIEW routes the result to a reviewer', task.status === 'completed' && reviewsOf(engine, taskId).length === 1);
+
+    console.log('\n--- Scenario 5: Malformed verdicts and validation ---');
+    ({ engine } = setup(() => 'looks fine'));
+    taskId = engine.submitTask(summarize(true));
+    task = await runUntilSettled(engine, taskId);
+    const [malformed] = reviewsOf(engine, taskId);
+    check('Review without a verdict counts as a failed review', task.status === 'awaiting_review'
+        && malformed.failedAgents.includes('editor') && malformed.status === 'pending');
+
+    const rejects = (spec, text) => {
+        try {
+            engine.submitTask(spec);
+            return false;
+        } catch (error) {
+            return error.message.includes(text);
+        }
+    };
+    check('Invalid rejection limit rejected', rejects(summarize({ maxRejections: 0 }), '"maxRejections"'));
+    check('Invalid review timeout rejected', rejects(summarize({ timeoutMs: 0 }), '"timeoutMs"'));
+    check('Review of map nodes rejected', rejects({ ...summarize(true), type: 'map', items: [1], task: summarize() }, 'cannot'));
+
+    console.log('\n--- Scenario 6: No reviewer available ---');
+    ({ engine } = setup(() => ({ verdict: 'approve' })));
+    engine.removeAgent('editor');
+    taskId = engine.submitTask(summarize(true));
+    task = await runUntilSettled(engine, taskId);
+    check('Lone agent in the domain escalates instead of waiting for a reviewer', task.status === 'failed'
+        && reviewsOf(engine, taskId).length === 0
+        && engine.getTaskHistory(taskId).some(e => e.type === 'TaskEscalated' && e.data.reason.includes('review')));
+
+    ({ engine } = setup(() => 'looks fine'));
+    taskId = engine.submitTask(summarize({ timeoutMs: 200 }));
+    task = await runUntilSettled(engine, taskId);
+    const stalled = reviewsOf(engine, taskId)[0];
+    await new Promise(resolve => setTimeout(resolve, 250));
+    await engine.processQueue();
+    check('Review not completed in time is abandoned', task.status === 'failed' && stalled.status === 'cancelled'
+        && engine.getTaskHistory(taskId).some(e => e.type === 'TaskFailed' && e.data.reason.includes('not completed')));
+
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runPeerReviewTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,139 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Keep engine state from this run out of the default data directory
+process.env.LOC_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'loc-rest-test-'));
+process.env.PORT = process.env.PORT || '3102';
+process.env.LOC_LOCAL_AGENT_ENDPOINTS = 'fn://rest-hold';
+const { server, engine } = await import('../src/api/server.js');
+
+const API_KEY = 'loc_secret_key_2026';
+const BASE_URL = `http://localhost:${process.env.PORT}`;
+
+const call = async (method, url, body) => {
+    const res = await fetch(`${BASE_URL}${url}`, {
+        method,
+        headers: { 'x-api-key': API_KEY, 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json().catch(() => null) };
+};
+
+/**
+ * REST Operations Test
+ * Covers the task graph, resource, collaboration and agent management routes.
+ */
+async function runRestOperationsTest() {
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+    engine.stopExecutionLoop();
+
+    const submit = async description => (await call('POST', '/tasks', { description, domainLabel: 'research', complexityScore: 3 })).body.taskId;
+
+    console.log('\n--- Scenario 1: Priority and dependencies ---');
+    const taskA = await submit('Task A');
+    const taskB = await submit('Task B');
+    let r = await call('PATCH', `/tasks/${taskA}/priority`, { priority: 9 });
+    check('Priority updated', r.status === 200 && engine.taskQueue.find(t => t.id === taskA).priority === 9);
+    check('Non-numeric priority rejected', (await call('PATCH', `/tasks/${taskA}/priority`, { priority: 'high' })).status === 400);
+    check('Unknown task is 404', (await call('PATCH', '/tasks/nope/priority', { priority: 2 })).status === 404);
+
+    r = await call('POST', `/tasks/${taskB}/dependencies`, { dependencyId: taskA });
+    check('Dependency added', r.status === 201 && r.body.dependencies.includes(taskA));
+    check('Cycle rejected', (await call('POST', `/tasks/${taskA}/dependencies`, { dependencyId: taskB })).status === 409);
+    check('Self-dependency rejected', (await call('POST', `/tasks/${taskA}/dependencies`, { dependencyId: taskA })).status === 400);
+    check('Unknown dependency is 404', (await call('POST', `/tasks/${taskA}/dependencies`, { dependencyId: 'missing' })).status === 404);
+
+    console.log('\n--- Scenario 2: Decompose and merge ---');
+    const parent = await submit('Composite report');
+    r = await call('POST', `/tasks/${parent}/decompose`, {
+        subtasks: [
+            { description: 'Gather', domainLabel: 'research', complexityScore: 2 },
+            { description: 'Analyse', domainLabel: 'analysis', complexityScore: 2 },
+            { description: 'Write', domainLabel: 'creative-writing', complexityScore: 2 }
+        ]
+    });
+    check('Task decomposed', r.status === 201 && r.body.subtaskIds.length === 3);
+    const [gather, analyse, write] = r.body.subtaskIds;
+    const invalid = await call('POST', `/tasks/${parent}/decompose`, { subtasks: [{ description: 'No domain', complexityScore: 2 }] });
+    check('Invalid subtask spec rejected with its position', invalid.status === 400 && invalid.body.error.includes('Subtask 0'));
+
+    r = await call('POST', `/tasks/${parent}/merge`, {
+        subtaskIds: [analyse, write],
+        subtask: { description: 'Analyse and write', domainLabel: 'analysis', complexityScore: 4 }
+    });
+    const parentTask = engine.taskQueue.find(t => t.id === parent);
+    check('Subtasks merged', r.status === 201 && parentTask.subtasks.length === 2 && parentTask.subtasks.includes(r.body.mergedTaskId));
+    const foreign = await call('POST', `/tasks/${parent}/merge`, {
+        subtaskIds: [taskA],
+        subtask: { description: 'Wrong parent', domainLabel: 'research', complexityScore: 2 }
+    });
+    check('Merging tasks from elsewhere rejected', foreign.status === 409);
+
+    console.log('\n--- Scenario 3: Resources ---');
+    r = await call('POST', '/resources', { id: 'VECTOR_DB', type: 'shared', capacity: 3 });
+    check('Resource registered', r.status === 201);
+    check('Duplicate resource rejected', (await call('POST', '/resources', { id: 'VECTOR_DB', type: 'exclusive' })).status === 400);
+    check('Invalid capacity rejected', (await call('POST', '/resources', { id: 'BAD', type: 'shared', capacity: 0 })).status === 400);
+    r = await call('GET', '/resources');
+    check('Resources listed', r.status === 200 && r.body.some(res => res.id === 'VECTOR_DB' && res.capacity === 3));
+
+    console.log('\n--- Scenario 4: Collaboration ---');
+    let hold;
+    engine.registerAgentFunction('rest-hold', () => new Promise(resolve => { hold = resolve; }));
+    await call('POST', '/agents', {
+        id: 'rest-agent',
+        domainLabels: ['research', 'analysis'],
+        skillScores: { research: 9, analysis: 9 },
+        apiEndpoint: 'fn://rest-hold',
+        performanceData: { successRate: 0.9, tasksCompleted: 10 }
+    });
+    const local = apiEndpoint => call('POST', '/agents', {
+        domainLabels: ['research'],
+        skillScores: { research: 9 },
+        apiEndpoint,
+        performanceData: { successRate: 0.9, tasksCompleted: 10 }
+    });
+    const before = Object.keys(engine.agents).length;
+    check('Arbitrary stdio command refused over REST', (await local('stdio://sh -c "touch /tmp/loc-pwned"')).status === 403
+        && (await local('STDIO://sh')).status === 403);
+    check('Unlisted fn endpoint refused over REST', (await local('fn://deadline-worker')).status === 403
+        && Object.keys(engine.agents).length === before);
+
+    r = await call('POST', `/tasks/${gather}/collaborate`, { agentId: 'rest-agent', action: 'SHARE_RESULT', payload: { sources: 12 } });
+    check('Result shared', r.status === 200 && engine.collaborationSpace[parent].sharedResults[gather].data.sources === 12);
+    r = await call('POST', `/tasks/${gather}/collaborate`, { agentId: 'rest-agent', action: 'REQUEST_INPUT', payload: { targetTaskId: gather } });
+    check('Shared input returned', r.status === 200 && r.body.result.sources === 12);
+    check('Unknown action rejected', (await call('POST', `/tasks/${gather}/collaborate`, { agentId: 'rest-agent', action: 'SHOUT' })).status === 400);
+    r = await call('POST', `/tasks/${gather}/collaborate`, { agentId: 'rest-agent', action: 'REQUEST_INPUT', payload: null });
+    check('Non-object payload rejected with JSON 400', r.status === 400 && r.body.error.includes('payload'));
+    check('Unknown agent is 404', (await call('POST', `/tasks/${gather}/collaborate`, { agentId: 'ghost', action: 'SYNC_PROGRESS' })).status === 404);
+
+    console.log('\n--- Scenario 5: Agent details and removal ---');
+    r = await call('GET', '/agents/rest-agent');
+    check('Agent details returned', r.status === 200 && r.body.apiEndpoint === 'fn://rest-hold');
+    r = await call('GET', '/agents?domainLabel=analysis');
+    check('Agents listed with filters', r.status === 200 && r.body.length === 1);
+
+    const pass = engine.processQueue();
+    const held = engine.taskQueue.find(t => t.assignedTo === 'rest-agent' && t.status === 'processing');
+    r = await call('DELETE', '/agents/rest-agent');
+    hold?.({ resultData: 'too late', confidenceScore: 0.9 });
+    await pass;
+    check('Removal requeues the agent\'s task', r.status === 200 && held && r.body.requeuedTaskIds[0] === held.id && held.status === 'pending');
+    check('Removed agent gone', !engine.agents['rest-agent'] && (await call('GET', '/agents/rest-agent')).status === 404);
+    check('Late result from removed agent ignored', !engine.taskOutputs[held?.id]);
+
+    server.close();
+    fs.rmSync(process.env.LOC_DATA_DIR, { recursive: true, force: true });
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runRestOperationsTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
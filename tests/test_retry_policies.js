@@ -0,0 +1,97 @@
+import CoreEngine from '../src/engine/CoreEngine.js';
+import { resolveRetryPolicy, retryDelay } from '../src/engine/RetryPolicy.js';
+
+/**
+ * Retry Policy Test
+ * Covers backoff with notBefore, retryable vs fatal error classes, domain policies
+ * with task overrides, jittered delays and policy validation.
+ */
+async function runRetryPolicyTest() {
+    const engine = new CoreEngine();
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const task = id => engine.taskQueue.find(t => t.id === id);
+    const history = (id, type) => engine.getTaskHistory(id).filter(e => e.type === type);
+
+    // "Slow" tasks outlast their timeout on the first attempt only; "Broken" tasks always throw
+    const attempts = {};
+    engine.registerAgentFunction('retry-worker', async payload => {
+        attempts[payload.description] = (attempts[payload.description] || 0) + 1;
+        if (payload.description.startsWith('Slow') && payload.attempt === 1) await sleep(100);
+        if (payload.description.startsWith('Broken')) throw new Error('Bad request');
+        return { resultData: `${payload.description} done`, confidenceScore: 0.9 };
+    });
+    for (let i = 1; i <= 6; i++) {
+        engine.registerAgent({
+            id: `retry-agent-${i}`,
+            domainLabels: ['research', 'translation'],
+            skillScores: { research: 9, translation: 9 },
+            apiEndpoint: 'fn://retry-worker',
+            performanceData: { successRate: 0.9, tasksCompleted: 10 }
+        });
+    }
+    const spec = (description, extra = {}) => ({ description, domainLabel: 'research', complexityScore: 2, ...extra });
+    const drain = async (passes = 8) => {
+        for (let i = 0; i < passes; i++) await engine.processQueue();
+    };
+
+    console.log('\n--- Scenario 1: Backoff ---');
+    const slow = engine.submitTask(spec('Slow lookup', { timeoutMs: 20, retryPolicy: { backoff: { initialDelayMs: 80 } } }));
+    await drain(3);
+    const [requeue] = history(slow, 'TaskRequeued');
+    check('Timeout retried with a notBefore in the future', task(slow).status === 'pending'
+        && requeue?.data.errorClass === 'TIMEOUT' && Date.parse(requeue.data.retryAt) > Date.now());
+    check('processQueue holds the task until notBefore', attempts['Slow lookup'] === 1);
+    await sleep(100);
+    await drain(2);
+    check('Task runs again once the backoff has passed', task(slow).status === 'completed' && attempts['Slow lookup'] === 2);
+
+    console.log('\n--- Scenario 2: Error classes ---');
+    const fatal = engine.submitTask(spec('Broken fatal', { retryPolicy: { fatal: ['HANDLER_ERROR'] } }));
+    const notListed = engine.submitTask(spec('Broken unlisted', { retryPolicy: { retryOn: ['TIMEOUT', 'CONNECTION_FAILED'] } }));
+    const retried = engine.submitTask(spec('Broken default'));
+    await drain();
+    check('Fatal error class fails fast', task(fatal).status === 'failed' && attempts['Broken fatal'] === 1
+        && history(fatal, 'TaskFailed')[0]?.data.errorClass === 'HANDLER_ERROR');
+    check('Error class outside retryOn fails fast', task(notListed).status === 'failed' && attempts['Broken unlisted'] === 1);
+    check('Default policy retries three times', task(retried).status === 'failed' && attempts['Broken default'] === 3);
+
+    console.log('\n--- Scenario 3: Domain policies ---');
+    engine.setRetryPolicy('translation', { maxAttempts: 5 });
+    const domainWide = engine.submitTask(spec('Broken translation', { domainLabel: 'translation' }));
+    const overridden = engine.submitTask(spec('Broken override', { domainLabel: 'translation', retryPolicy: { maxAttempts: 2 } }));
+    await drain(12);
+    check('Domain policy applies to its tasks', task(domainWide).status === 'failed' && attempts['Broken translation'] === 5);
+    check('Task policy overrides its domain\'s', task(overridden).status === 'failed' && attempts['Broken override'] === 2);
+
+    console.log('\n--- Scenario 4: Delays ---');
+    const policy = resolveRetryPolicy({ backoff: { initialDelayMs: 1000, multiplier: 2, maxDelayMs: 3000, jitter: 0.5 } });
+    const steady = resolveRetryPolicy({ backoff: { initialDelayMs: 1000 } });
+    check('Delay grows by the multiplier', [1, 2, 3].map(n => retryDelay(steady, n)).join() === '1000,2000,4000');
+    check('Delay capped, then spread by jitter', retryDelay(policy, 3, () => 0) === 1500 && retryDelay(policy, 3, () => 0.5) === 3000
+        && retryDelay(policy, 3, () => 0.9999) === 4500);
+
+    console.log('\n--- Scenario 5: Validation ---');
+    const rejects = (fn, text) => {
+        try {
+            fn();
+            return false;
+        } catch (error) {
+            return error.message.includes(text);
+        }
+    };
+    check('Unknown error class rejected', rejects(() => engine.submitTask(spec('Bad', { retryPolicy: { fatal: ['OOPS'] } })), 'unknown error class'));
+    check('Jitter outside 0..1 rejected', rejects(() => engine.submitTask(spec('Bad', { retryPolicy: { backoff: { jitter: 2 } } })), '"backoff.jitter"'));
+    check('Domain policies need a known domain', rejects(() => engine.setRetryPolicy('astrology', { maxAttempts: 2 }), 'Invalid domain'));
+
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runRetryPolicyTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
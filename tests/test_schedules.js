@@ -0,0 +1,125 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Keep engine state from this run out of the default data directory
+process.env.LOC_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'loc-schedule-test-'));
+process.env.PORT = process.env.PORT || '3107';
+const { server, engine } = await import('../src/api/server.js');
+const { default: CoreEngine } = await import('../src/engine/CoreEngine.js');
+
+const API_KEY = 'loc_secret_key_2026';
+const BASE_URL = `http://localhost:${process.env.PORT}`;
+
+const call = async (method, url, body) => {
+    const res = await fetch(`${BASE_URL}${url}`, {
+        method,
+        headers: { 'x-api-key': API_KEY, 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json().catch(() => null) };
+};
+
+/**
+ * Schedule Test
+ * Covers delayed tasks (runAt), recurring instances submitted by the execution loop,
+ * pausing, resuming and deleting schedules, validation and persistence.
+ */
+async function runScheduleTest() {
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+    engine.stopExecutionLoop();
+
+    const dispatched = [];
+    engine.registerAgentFunction('schedule-worker', async payload => {
+        dispatched.push(payload.description);
+        return { resultData: `${payload.description} done`, confidenceScore: 0.9 };
+    });
+    engine.registerAgent({
+        id: 'schedule-agent',
+        domainLabels: ['data-collection'],
+        skillScores: { 'data-collection': 9 },
+        apiEndpoint: 'fn://schedule-worker',
+        performanceData: { successRate: 0.9, tasksCompleted: 10 }
+    });
+
+    const step = (description, extra = {}) => ({ description, domainLabel: 'data-collection', complexityScore: 2, ...extra });
+    const task = id => engine.taskQueue.find(t => t.id === id);
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const drain = async (passes = 3) => {
+        for (let i = 0; i < passes; i++) await engine.processQueue();
+    };
+    // Cron runs fall on minute boundaries; tests make a schedule due instead of waiting for one
+    const makeDue = id => {
+        engine.schedules[id].nextRunAt = new Date(Date.now() - 1000).toISOString();
+    };
+
+    console.log('\n--- Scenario 1: Delayed tasks ---');
+    const delayed = (await call('POST', '/tasks', step('Collect prices later', { runAt: new Date(Date.now() + 500).toISOString() }))).body.taskId;
+    await drain();
+    check('Task waits in the queue until runAt', task(delayed).status === 'pending' && !dispatched.includes('Collect prices later'));
+    await sleep(550);
+    await drain();
+    check('Task runs once runAt has passed', task(delayed).status === 'completed');
+
+    console.log('\n--- Scenario 2: Recurring tasks ---');
+    let r = await call('POST', '/tasks', step('Collect hourly data', { schedule: '0 * * * *' }));
+    const hourly = r.body.scheduleId;
+    const nextRun = new Date(r.body.nextRunAt);
+    check('Schedule registered instead of a task', r.status === 201 && hourly.startsWith('schedule_')
+        && nextRun > Date.now() && nextRun.getUTCMinutes() === 0 && !engine.taskQueue.some(t => t.scheduleId === hourly));
+    await drain();
+    check('Nothing submitted before the first match', engine.schedules[hourly].runs === 0);
+
+    makeDue(hourly);
+    await drain();
+    r = await call('GET', `/tasks?scheduleId=${hourly}`);
+    check('Due schedule submits a tagged instance that runs', r.body.length === 1 && r.body[0].status === 'completed'
+        && engine.schedules[hourly].lastTaskId === r.body[0].id && Date.parse(engine.schedules[hourly].nextRunAt) > Date.now());
+    await drain();
+    check('One instance per match', engine.schedules[hourly].runs === 1);
+
+    const startAt = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString();
+    r = await call('POST', '/tasks', step('Collect daily data', { schedule: '@daily', runAt: startAt }));
+    check('runAt delays the first run of a schedule', Date.parse(r.body.nextRunAt) >= Date.parse(startAt)
+        && Date.parse(r.body.nextRunAt) - Date.parse(startAt) < 24 * 60 * 60 * 1000);
+
+    console.log('\n--- Scenario 3: Pause, resume, delete ---');
+    await call('POST', `/schedules/${hourly}/pause`);
+    makeDue(hourly);
+    await drain();
+    check('Paused schedule submits nothing', engine.schedules[hourly].runs === 1
+        && (await call('GET', '/schedules?status=paused')).body.map(s => s.id).join() === hourly);
+    r = await call('POST', `/schedules/${hourly}/resume`);
+    check('Resumed schedule continues from its next match', r.status === 200 && r.body.status === 'active' && Date.parse(r.body.nextRunAt) > Date.now());
+    makeDue(hourly);
+    await drain();
+    check('Resumed schedule submits again', engine.schedules[hourly].runs === 2);
+
+    r = await call('DELETE', `/schedules/${hourly}`);
+    check('Deleted schedule is gone, its instances stay', r.status === 200 && (await call('GET', `/schedules/${hourly}`)).status === 404
+        && engine.taskQueue.filter(t => t.scheduleId === hourly).length === 2);
+
+    console.log('\n--- Scenario 4: Validation ---');
+    check('Malformed cron expression rejected', (await call('POST', '/tasks', step('Bad', { schedule: '0 25 * * *' }))).status === 400);
+    check('Cron expression that never runs rejected', (await call('POST', '/tasks', step('Bad', { schedule: '0 0 30 2 *' }))).status === 400);
+    check('Unparseable runAt rejected', (await call('POST', '/tasks', step('Bad', { runAt: 'tomorrow' }))).status === 400);
+    check('Workflow nodes cannot be scheduled', (await call('POST', '/workflows', { name: 'Bad', nodes: { a: step('Bad', { schedule: '@hourly' }) } })).status === 400);
+    check('Unknown schedule is 404', (await call('POST', '/schedules/nope/pause')).status === 404);
+
+    console.log('\n--- Scenario 5: Persistence ---');
+    const restored = new CoreEngine({ dataDir: process.env.LOC_DATA_DIR });
+    check('Schedules survive a restart', Object.values(restored.schedules).some(s => s.task.description === 'Collect daily data' && s.startAt === startAt));
+
+    server.close();
+    fs.rmSync(process.env.LOC_DATA_DIR, { recursive: true, force: true });
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runScheduleTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
@@ -2,7 +2,7 @@ import CoreEngine from '../src/engine/CoreEngine.js';
 import logger from '../src/logger/Logger.js';
 
 async function testScoringAndReassignment() {
-    const engine = new CoreEngine();
+    const engine = new CoreEngine({ transport: 'simulated' });
 
     // 1. Register Agents with different skills
     engine.registerAgent({
@@ -0,0 +1,70 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import CoreEngine from '../src/engine/CoreEngine.js';
+
+/**
+ * State Persistence Test
+ * Simulates a crash mid-workflow and checks that a new engine restores and reconciles the state.
+ */
+async function runPersistenceTest() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'loc-state-'));
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+
+    console.log('\n--- Phase 1: Run until the "crash" ---');
+    const first = new CoreEngine({ dataDir });
+    first.registerAgentFunction('quick', async payload => ({ resultData: `done ${payload.taskId}`, confidenceScore: 0.9 }));
+    first.registerAgentFunction('stuck', () => new Promise(() => {}));
+
+    first.registerAgent({ id: 'quick-agent', domainLabels: ['analysis'], skillScores: { analysis: 9 }, apiEndpoint: 'fn://quick', performanceData: {} });
+    first.registerResource('DB', 'exclusive');
+
+    const doneId = first.submitTask({ description: 'Finishes before crash', domainLabel: 'analysis', complexityScore: 2 });
+    await first.processQueue();
+
+    // Snapshot, then keep mutating so the restore needs both the snapshot and the journal
+    first.snapshotState();
+    first.registerAgent({ id: 'stuck-agent', domainLabels: ['coding'], skillScores: { coding: 9 }, apiEndpoint: 'fn://stuck', performanceData: {} });
+    const stuckId = first.submitTask({ description: 'Running at crash time', domainLabel: 'coding', complexityScore: 2, resourceRequirements: { DB: 'exclusive' } });
+    const waitingId = first.submitTask({ description: 'Waits on the stuck task', domainLabel: 'analysis', complexityScore: 2, dependencies: [stuckId] });
+    first.processQueue();
+    check('Task was processing at crash time', first.taskQueue.find(t => t.id === stuckId).status === 'processing');
+
+    console.log('\n--- Phase 2: Restart from the data directory ---');
+    const second = new CoreEngine({ dataDir });
+    const task = id => second.taskQueue.find(t => t.id === id);
+
+    check('All tasks restored', second.taskQueue.length === 3);
+    check('Completed output restored', task(doneId).status === 'completed' && second.taskOutputs[doneId]?.resultData === `done ${doneId}`);
+    check('Agents and resources restored', !!second.agents['quick-agent'] && !!second.agents['stuck-agent'] && !!second.resources.DB);
+    check('In-flight task reconciled to pending', task(stuckId).status === 'pending' && task(stuckId).assignedTo === null && !!task(stuckId).recoveredAt);
+    check('Agent and resource locks cleared', second.agents['stuck-agent'].status === 'idle' && second.resources.DB.lockedBy === null);
+    check('Dependent task still waiting', task(waitingId).status === 'pending' && task(waitingId).dependencies[0] === stuckId);
+
+    console.log('\n--- Phase 3: Recovery is itself durable ---');
+    const third = new CoreEngine({ dataDir });
+    check('Reconciled state survives another restart', third.taskQueue.find(t => t.id === stuckId).recoveredAt === task(stuckId).recoveredAt);
+
+    console.log('\n--- Phase 4: Only changed records are journaled ---');
+    const journalPath = path.join(dataDir, 'journal.ndjson');
+    const journalLines = () => fs.readFileSync(journalPath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    const before = journalLines().length;
+    third.recordHeartbeat('quick-agent', { load: 0.5 });
+    const appended = journalLines().slice(before);
+    check('Heartbeat journals only its agent', appended.length === 1 && appended[0].collection === 'agents' && appended[0].id === 'quick-agent');
+    third.removeAgent('stuck-agent');
+    const fourth = new CoreEngine({ dataDir });
+    check('Journaled changes and deletions restored', fourth.agents['quick-agent'].heartbeatData?.load === 0.5 && !fourth.agents['stuck-agent']);
+
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runPersistenceTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,123 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import CoreEngine from '../src/engine/CoreEngine.js';
+
+// Keep engine state from this run out of the default data directory
+process.env.LOC_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'loc-template-test-'));
+process.env.PORT = process.env.PORT || '3104';
+const { server, engine } = await import('../src/api/server.js');
+
+const API_KEY = 'loc_secret_key_2026';
+const BASE_URL = `http://localhost:${process.env.PORT}`;
+
+const call = async (method, url, body) => {
+    const res = await fetch(`${BASE_URL}${url}`, {
+        method,
+        headers: { 'x-api-key': API_KEY, 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json().catch(() => null) };
+};
+
+/**
+ * Workflow Template Test
+ * Covers the template registry, parameter substitution and running templates as ordinary workflows.
+ */
+async function runTemplateTest() {
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+    engine.stopExecutionLoop();
+
+    engine.registerAgentFunction('researcher', async payload => ({ resultData: `${payload.description}: ok`, confidenceScore: 0.9 }));
+    engine.registerAgent({
+        id: 'template-agent',
+        domainLabels: ['research', 'analysis', 'summarization'],
+        skillScores: { research: 9, analysis: 9, summarization: 9 },
+        apiEndpoint: 'fn://researcher',
+        performanceData: { successRate: 0.9, tasksCompleted: 10 }
+    });
+
+    const pipeline = {
+        name: 'research-pipeline',
+        description: 'Research brief on {{topic}}',
+        parameters: {
+            topic: { description: 'Subject of the brief' },
+            depth: { description: 'Complexity of the research step', default: 3 }
+        },
+        nodes: {
+            research: { description: 'Research {{topic}}', domainLabel: 'research', complexityScore: '{{depth}}' },
+            analysis: { description: 'Analyse findings on {{topic}}', domainLabel: 'analysis', complexityScore: 2, dependsOn: ['research'] },
+            summary: { description: 'Summarize {{ topic }} for executives', domainLabel: 'summarization', complexityScore: 2, dependsOn: ['analysis'] }
+        }
+    };
+
+    console.log('\n--- Scenario 1: Registry ---');
+    let r = await call('POST', '/templates', pipeline);
+    check('Template registered', r.status === 201 && r.body.name === 'research-pipeline');
+    check('Duplicate name rejected', (await call('POST', '/templates', pipeline)).status === 400);
+    r = await call('POST', '/templates', {
+        name: 'broken',
+        nodes: {
+            a: { description: 'A about {{subject}}', domainLabel: 'research', complexityScore: 2, dependsOn: ['b'] },
+            b: { description: 'B', domainLabel: 'research', complexityScore: 2, dependsOn: ['a'] }
+        }
+    });
+    check('Undeclared placeholders and cycles rejected', r.status === 400 && r.body.error.includes('{{subject}}') && r.body.error.includes('Dependency cycle'));
+    check('Names that cannot appear in a URL rejected', (await call('POST', '/templates', { ...pipeline, name: 'research pipeline' })).status === 400);
+    r = await call('GET', '/templates');
+    check('Templates listed', r.status === 200 && r.body.length === 1);
+    check('Template details returned', (await call('GET', '/templates/research-pipeline')).body.parameters.depth.default === 3);
+
+    console.log('\n--- Scenario 2: Running with parameters ---');
+    check('Missing required parameter rejected', (await call('POST', '/templates/research-pipeline/run', { params: {} })).status === 400);
+    r = await call('POST', '/templates/research-pipeline/run', { params: { topic: 'solar', colour: 'red' } });
+    check('Unknown parameter rejected', r.status === 400 && r.body.error.includes('"colour"'));
+    r = await call('POST', '/templates/research-pipeline/run', { params: { topic: 'solar', depth: 12 } });
+    check('Rendered workflow validated like any other', r.status === 400 && r.body.error.includes('complexityScore'));
+    check('Unknown template is 404', (await call('POST', '/templates/nope/run', { params: {} })).status === 404);
+
+    const queued = engine.taskQueue.length;
+    r = await call('POST', '/templates/research-pipeline/run', { params: { topic: 'solar' } });
+    check('Run submitted as a workflow', r.status === 201 && engine.taskQueue.length === queued + 4);
+    const solar = r.body;
+    const research = engine.taskQueue.find(t => t.id === solar.taskIds.research);
+    const summary = engine.taskQueue.find(t => t.id === solar.taskIds.summary);
+    check('Placeholders substituted', research.description === 'Research solar' && summary.description === 'Summarize solar for executives');
+    check('Whole-value placeholder keeps the default\'s type', research.complexityScore === 3);
+    r = await call('POST', '/templates/research-pipeline/run', { params: { topic: 'wind', depth: 5 } });
+    const wind = r.body;
+    check('Each run is an independent workflow', wind.workflowId !== solar.workflowId
+        && engine.taskQueue.find(t => t.id === wind.taskIds.research).complexityScore === 5);
+
+    console.log('\n--- Scenario 3: Runs behave like decomposed parents ---');
+    const parent = engine.taskQueue.find(t => t.id === solar.workflowId);
+    check('Parent task waits for its nodes', parent.status === 'waiting_for_subtasks' && parent.subtasks.length === 3
+        && parent.description === 'Research brief on solar');
+    for (let i = 0; i < 8 && engine.getWorkflow(wind.workflowId).status !== 'completed'; i++) {
+        await engine.processQueue();
+    }
+    r = await call('GET', `/workflows/${solar.workflowId}`);
+    check('Parent aggregated once all nodes finish', r.body.status === 'completed' && r.body.progress.percent === 100
+        && r.body.output.resultData.includes('Summarize solar for executives: ok'));
+    check('Workflow records its template and parameters', r.body.template.name === 'research-pipeline' && r.body.template.params.topic === 'solar');
+
+    console.log('\n--- Scenario 4: Templates are stored locally ---');
+    const restarted = new CoreEngine({ dataDir: process.env.LOC_DATA_DIR });
+    check('Templates survive restart', restarted.templates['research-pipeline']?.nodes.summary.description === 'Summarize {{ topic }} for executives');
+    r = await call('DELETE', '/templates/research-pipeline');
+    check('Template removed', r.status === 200 && (await call('GET', '/templates/research-pipeline')).status === 404);
+    check('Removing twice is 404', (await call('DELETE', '/templates/research-pipeline')).status === 404);
+
+    server.close();
+    fs.rmSync(process.env.LOC_DATA_DIR, { recursive: true, force: true });
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runTemplateTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,73 @@
+import CoreEngine from '../src/engine/CoreEngine.js';
+
+/**
+ * Transport Registry Test
+ * Dispatches tasks to an in-process function agent and a local stdio agent.
+ */
+async function runTransportTest() {
+    const engine = new CoreEngine();
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+
+    engine.registerAgentFunction('summarizer', async (payload) => ({
+        resultData: `fn handled: ${payload.description}`,
+        confidenceScore: 0.92,
+        actualImpact: 5
+    }));
+
+    engine.registerAgent({
+        id: 'fn-agent',
+        domainLabels: ['summarization'],
+        skillScores: { summarization: 9 },
+        apiEndpoint: 'fn://summarizer',
+        performanceData: { successRate: 0.9, tasksCompleted: 10 }
+    });
+
+    engine.registerAgent({
+        id: 'stdio-agent',
+        domainLabels: ['coding'],
+        skillScores: { coding: 9 },
+        apiEndpoint: `stdio://${process.execPath} tests/fixtures/stdio_agent.js`,
+        performanceData: { successRate: 0.9, tasksCompleted: 10 }
+    });
+
+    let rejected = false;
+    try {
+        engine.registerAgent({
+            domainLabels: ['coding'],
+            skillScores: { coding: 5 },
+            apiEndpoint: 'carrier-pigeon://coop-7',
+            performanceData: {}
+        });
+    } catch (error) {
+        rejected = error.message.includes('Unsupported "apiEndpoint" scheme');
+    }
+    check('Unknown endpoint scheme rejected at registration', rejected);
+
+    const fnTaskId = engine.submitTask({ description: 'Summarize release notes', domainLabel: 'summarization', complexityScore: 2 });
+    const stdioTaskId = engine.submitTask({ description: 'Refactor module', domainLabel: 'coding', complexityScore: 2 });
+    await engine.processQueue();
+    await engine.processQueue();
+
+    check('fn:// agent completed its task', engine.taskOutputs[fnTaskId]?.resultData === 'fn handled: Summarize release notes');
+    check('stdio:// agent completed its task', engine.taskOutputs[stdioTaskId]?.resultData === 'stdio handled: Refactor module');
+
+    const crashId = engine.submitTask({ description: 'Please crash', domainLabel: 'coding', complexityScore: 2 });
+    await engine.processQueue();
+    const crashTask = engine.taskQueue.find(t => t.id === crashId);
+    check('Non-zero exit of stdio agent counted as a failure', crashTask.retryCount === 1 && crashTask.status === 'pending');
+
+    const stdioStats = engine.agents['stdio-agent'].performanceData.transport;
+    console.log('stdio transport metrics:', JSON.stringify(stdioStats));
+    check('Transport metrics recorded uniformly', stdioStats.dispatches === 2 && stdioStats.failuresByCode.PROCESS_FAILED === 1);
+
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runTransportTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,157 @@
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import CoreEngine from '../src/engine/CoreEngine.js';
+import WebhookDispatcher from '../src/webhooks/WebhookDispatcher.js';
+
+/**
+ * Webhook Test
+ * Runs a local receiver and checks signed delivery, event filtering, retries, the delivery log,
+ * the generated callback secret and the host allowlist.
+ */
+async function runWebhookTest() {
+    const received = [];
+    let flakyCalls = 0;
+    const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            received.push({ path: req.url, headers: req.headers, body, payload: JSON.parse(body) });
+            if (req.url === '/flaky' && ++flakyCalls < 3) {
+                res.writeHead(503);
+            } else if (req.url === '/reject') {
+                res.writeHead(400);
+            } else {
+                res.writeHead(200);
+            }
+            res.end();
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, resolve));
+    const base = `http://localhost:${receiver.address().port}`;
+
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'loc-webhooks-'));
+    const webhookOptions = { secret: 'callback-secret', retryDelayMs: 20, maxAttempts: 4 };
+    const engine = new CoreEngine({ dataDir, webhooks: webhookOptions });
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+    const settle = () => new Promise(r => setTimeout(r, 300));
+    const at = urlPath => received.filter(r => r.path === urlPath);
+
+    engine.registerAgentFunction('hook-worker', async payload => {
+        if (payload.description.startsWith('Doomed')) throw new Error('Agent crashed');
+        return { resultData: `done: ${payload.description}`, confidenceScore: 0.9 };
+    });
+    for (const id of ['webhook-agent-1', 'webhook-agent-2', 'webhook-agent-3']) {
+        engine.registerAgent({
+            id,
+            domainLabels: ['research'],
+            skillScores: { research: 9 },
+            apiEndpoint: 'fn://hook-worker',
+            performanceData: { successRate: 0.9, tasksCompleted: 10 }
+        });
+    }
+
+    console.log('\n--- Scenario 1: Task callbackUrl ---');
+    const taskId = engine.submitTask({ description: 'Notify me', domainLabel: 'research', complexityScore: 2, callbackUrl: `${base}/callback` });
+    await engine.processQueue();
+    await settle();
+    const [callback] = at('/callback');
+    check('Completion POSTed to the callback URL', callback?.payload.event === 'task.completed' && callback.payload.task.id === taskId
+        && callback.payload.output.resultData === 'done: Notify me');
+    check('Callback signed with the engine secret', callback?.headers['x-loc-signature']
+        === WebhookDispatcher.sign('callback-secret', callback?.headers['x-loc-timestamp'], callback?.body));
+
+    let rejected = false;
+    try {
+        engine.submitTask({ description: 'Bad callback', domainLabel: 'research', complexityScore: 2, callbackUrl: 'ftp://nope' });
+    } catch (error) {
+        rejected = error.message.includes('callbackUrl');
+    }
+    check('Invalid callbackUrl rejected', rejected);
+
+    console.log('\n--- Scenario 2: Global webhooks ---');
+    const all = engine.registerWebhook({ url: `${base}/all` });
+    const failuresOnly = engine.registerWebhook({ url: `${base}/failures`, events: ['task.failed', 'task.cancelled'], secret: 'ops-secret' });
+
+    const doomedId = engine.submitTask({ description: 'Doomed task', domainLabel: 'research', complexityScore: 2 });
+    for (let i = 0; i < 3; i++) {
+        await engine.processQueue(); // Each retry goes to an agent that has not failed it yet
+    }
+    const cancelId = engine.submitTask({ description: 'Cancel me', domainLabel: 'research', complexityScore: 2 });
+    engine.cancelTask(cancelId, 'Changed plans');
+
+    const parentId = engine.submitTask({ description: 'Composite', domainLabel: 'research', complexityScore: 2 });
+    engine.decomposeTask(parentId, [{ description: 'Only part', domainLabel: 'research', complexityScore: 1 }]);
+    await engine.processQueue();
+    await settle();
+
+    const allEvents = at('/all').map(r => `${r.payload.event}:${r.payload.task.id}`);
+    check('Subscriber receives failure, cancellation and aggregation', allEvents.includes(`task.failed:${doomedId}`)
+        && allEvents.includes(`task.cancelled:${cancelId}`) && allEvents.includes(`task.aggregated:${parentId}`));
+    check('Failure payload carries the reason', at('/all').find(r => r.payload.event === 'task.failed')?.payload.reason === 'Function hook-worker threw: Agent crashed');
+    const filtered = at('/failures');
+    check('Event filter respected', filtered.length === 2 && filtered.every(r => ['task.failed', 'task.cancelled'].includes(r.payload.event)));
+    check('Subscriber signed with its own secret', filtered.every(r => r.headers['x-loc-signature'] === WebhookDispatcher.sign('ops-secret', r.headers['x-loc-timestamp'], r.body)));
+
+    console.log('\n--- Scenario 3: Retries and delivery log ---');
+    engine.unregisterWebhook(all.id);
+    engine.unregisterWebhook(failuresOnly.id);
+    const flaky = engine.registerWebhook({ url: `${base}/flaky`, events: ['task.completed'] });
+    const rejecting = engine.registerWebhook({ url: `${base}/reject`, events: ['task.completed'] });
+    const retriedId = engine.submitTask({ description: 'Retry delivery', domainLabel: 'research', complexityScore: 2 });
+    await engine.processQueue();
+    await settle();
+
+    const [flakyDelivery] = engine.webhooks.getDeliveries({ webhookId: flaky.id });
+    check('Retryable failures retried until delivered', flakyDelivery?.status === 'delivered' && flakyDelivery.attempts.length === 3
+        && flakyDelivery.attempts[0].statusCode === 503);
+    check('Every attempt reuses the delivery ID', new Set(at('/flaky').map(r => r.headers['x-loc-delivery'])).size === 1);
+    const [rejectedDelivery] = engine.webhooks.getDeliveries({ webhookId: rejecting.id });
+    check('Client errors are not retried', rejectedDelivery?.status === 'failed' && rejectedDelivery.attempts.length === 1);
+    check('Delivery log filters by task', engine.webhooks.getDeliveries({ taskId: retriedId }).length === 2);
+
+    console.log('\n--- Scenario 4: Subscriptions survive restart ---');
+    const restarted = new CoreEngine({ dataDir, webhooks: webhookOptions });
+    check('Registered webhooks restored', Object.keys(restarted.webhooks.subscriptions).sort().join() === [flaky.id, rejecting.id].sort().join());
+    check('Removed webhooks stay removed', !restarted.webhooks.subscriptions[all.id]);
+
+    console.log('\n--- Scenario 5: Generated callback secret ---');
+    const secretDir = fs.mkdtempSync(path.join(os.tmpdir(), 'loc-webhooks-'));
+    const unconfigured = new CoreEngine({ dataDir: secretDir, webhooks: { retryDelayMs: 20 } });
+    const generated = unconfigured.webhooks.options.secret;
+    unconfigured.webhooks.publish('task.completed', { task: { id: 'task_unsigned' } }, { taskId: 'task_unsigned', callbackUrl: `${base}/generated` });
+    await settle();
+    const [signed] = at('/generated');
+    check('Callback signed with a generated secret when none is configured', typeof generated === 'string' && generated.length > 0
+        && signed?.headers['x-loc-signature'] === WebhookDispatcher.sign(generated, signed.headers['x-loc-timestamp'], signed.body));
+    check('Generated secret survives restart', new CoreEngine({ dataDir: secretDir }).webhooks.options.secret === generated);
+
+    console.log('\n--- Scenario 6: Host allowlist ---');
+    const restricted = new CoreEngine({ webhooks: { allowedHosts: ['hooks.example.com'] } });
+    let refused = false;
+    try {
+        restricted.registerWebhook({ url: `${base}/internal` });
+    } catch (error) {
+        refused = error.message.includes('allowlist');
+    }
+    check('Webhook outside the allowlist rejected', refused && Object.keys(restricted.webhooks.subscriptions).length === 0);
+    const [blocked] = restricted.webhooks.publish('task.completed', { task: { id: 'task_blocked' } }, { taskId: 'task_blocked', callbackUrl: `${base}/internal` });
+    await settle();
+    check('Callback outside the allowlist never sent', blocked.status === 'failed' && at('/internal').length === 0);
+    check('Allowlisted hosts accepted', restricted.webhooks.isAllowed('https://hooks.example.com/notify'));
+
+    receiver.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    fs.rmSync(secretDir, { recursive: true, force: true });
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runWebhookTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,91 @@
+import CoreEngine from '../src/engine/CoreEngine.js';
+
+/**
+ * Work Leasing Test
+ * Pull-mode agents lease tasks, renew and complete or fail them; expired leases are reclaimed.
+ */
+async function runLeasingTest() {
+    const engine = new CoreEngine({ leaseDurationMs: 200 });
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+    const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+    engine.registerAgent({
+        id: 'nat-agent',
+        domainLabels: ['translation'],
+        skillScores: { translation: 9 },
+        apiEndpoint: 'pull://nat-agent',
+        performanceData: { successRate: 0.9, tasksCompleted: 30 }
+    });
+
+    const easyId = engine.submitTask({ description: 'Translate greeting', domainLabel: 'translation', complexityScore: 2 });
+    const hardId = engine.submitTask({ description: 'Translate contract', domainLabel: 'translation', complexityScore: 8, priority: 3 });
+
+    console.log('\n--- Scenario 1: Pull agents are never pushed to ---');
+    await engine.processQueue();
+    check('No task dispatched to a pull agent', engine.taskQueue.every(t => t.status === 'pending'));
+
+    console.log('\n--- Scenario 2: Lease, renew and complete ---');
+    const lease = engine.leaseTask('nat-agent');
+    check('Lease returned a task payload', !!lease && !!lease.task.description && !!lease.leaseId);
+    const leased = engine.taskQueue.find(t => t.id === lease.task.taskId);
+    check('Leased task is processing and agent busy', leased.status === 'processing' && engine.agents['nat-agent'].status === 'busy');
+
+    await sleep(120);
+    engine.renewLease(leased.id, lease.leaseId);
+    await sleep(120);
+    engine.reclaimExpiredLeases();
+    check('Renewed lease survives past its original expiry', leased.status === 'processing');
+
+    let malformed = false;
+    try {
+        engine.completeLease(leased.id, lease.leaseId, { resultData: 'Hola' });
+    } catch (error) {
+        malformed = error.code === 'MALFORMED_RESPONSE';
+    }
+    check('Malformed result rejected without losing the lease', malformed && leased.status === 'processing');
+
+    engine.completeLease(leased.id, lease.leaseId, { resultData: 'Hola', confidenceScore: 0.95, actualImpact: 3 });
+    check('Leased task completed', leased.status === 'completed' && engine.taskOutputs[leased.id].resultData === 'Hola');
+    check('Agent idle after completion', engine.agents['nat-agent'].status === 'idle');
+
+    let staleRejected = false;
+    try {
+        engine.completeLease(leased.id, lease.leaseId, { resultData: 'again', confidenceScore: 0.9 });
+    } catch (error) {
+        staleRejected = error.message.includes('is not active');
+    }
+    check('Completed lease cannot be reused', staleRejected);
+
+    console.log('\n--- Scenario 3: Expiry and failure ---');
+    const second = engine.leaseTask('nat-agent');
+    const secondTask = engine.taskQueue.find(t => t.id === second.task.taskId);
+    await sleep(250);
+    engine.reclaimExpiredLeases();
+    check('Expired lease reclaimed', secondTask.status === 'pending' && secondTask.lease === null);
+    check('Agent freed after expiry', engine.agents['nat-agent'].status === 'idle');
+    check('Reclaimed task will not be leased to the same agent again', engine.leaseTask('nat-agent') === null);
+
+    engine.registerAgent({
+        id: 'nat-agent-2',
+        domainLabels: ['translation'],
+        skillScores: { translation: 8 },
+        apiEndpoint: 'pull://nat-agent-2',
+        performanceData: { successRate: 0.9, tasksCompleted: 30 }
+    });
+    const third = engine.leaseTask('nat-agent-2');
+    engine.failLease(third.task.taskId, third.leaseId, 'Dictionary unavailable');
+    const thirdTask = engine.taskQueue.find(t => t.id === third.task.taskId);
+    check('Failed lease requeues the task', thirdTask.status === 'pending' && thirdTask.retryCount >= 1);
+    console.log(`Remaining tasks: ${[easyId, hardId].map(id => engine.taskQueue.find(t => t.id === id).status).join(', ')}`);
+
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runLeasingTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});
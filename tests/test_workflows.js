@@ -0,0 +1,119 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Keep engine state from this run out of the default data directory
+process.env.LOC_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'loc-workflow-test-'));
+process.env.PORT = process.env.PORT || '3103';
+const { server, engine } = await import('../src/api/server.js');
+
+const API_KEY = 'loc_secret_key_2026';
+const BASE_URL = `http://localhost:${process.env.PORT}`;
+
+const call = async (method, url, body) => {
+    const res = await fetch(`${BASE_URL}${url}`, {
+        method,
+        headers: { 'x-api-key': API_KEY, 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json().catch(() => null) };
+};
+
+/**
+ * Declarative Workflow Test
+ * Covers POST /workflows validation (including cycles), materialization of the DAG and GET /workflows/:id progress.
+ */
+async function runWorkflowTest() {
+    const results = [];
+    const check = (label, passed) => {
+        results.push(passed);
+        console.log(`${passed ? 'PASSED' : 'FAILED'}: ${label}`);
+    };
+    engine.stopExecutionLoop();
+
+    const executed = [];
+    engine.registerAgentFunction('pipeline', async payload => {
+        executed.push(payload.description);
+        return { resultData: `${payload.description} done`, confidenceScore: 0.9 };
+    });
+    engine.registerAgent({
+        id: 'pipeline-agent',
+        domainLabels: ['data-collection', 'analysis', 'summarization'],
+        skillScores: { 'data-collection': 9, analysis: 9, summarization: 9 },
+        apiEndpoint: 'fn://pipeline',
+        performanceData: { successRate: 0.9, tasksCompleted: 10 }
+    });
+
+    const etl = {
+        name: 'Market ETL',
+        nodes: {
+            fetch: { description: 'Fetch prices', domainLabel: 'data-collection', complexityScore: 2 },
+            clean: { description: 'Clean prices', domainLabel: 'analysis', complexityScore: 2, dependsOn: ['fetch'] },
+            enrich: { description: 'Enrich with news', domainLabel: 'data-collection', complexityScore: 2, dependsOn: ['fetch'] },
+            report: { description: 'Write report', domainLabel: 'summarization', complexityScore: 3, dependsOn: ['clean', 'enrich'] }
+        }
+    };
+
+    console.log('\n--- Scenario 1: Validation ---');
+    const queueSize = engine.taskQueue.length;
+    let r = await call('POST', '/workflows', {
+        name: 'Loop',
+        nodes: {
+            a: { description: 'A', domainLabel: 'analysis', complexityScore: 2, dependsOn: ['c'] },
+            b: { description: 'B', domainLabel: 'analysis', complexityScore: 2, dependsOn: ['a'] },
+            c: { description: 'C', domainLabel: 'analysis', complexityScore: 2, dependsOn: ['b'] }
+        }
+    });
+    check('Cycle rejected before anything is queued', r.status === 400 && r.body.error.includes('cycle') && engine.taskQueue.length === queueSize);
+    r = await call('POST', '/workflows', {
+        name: 'Broken',
+        nodes: {
+            a: { description: 'A', domainLabel: 'analysis', complexityScore: 2, dependsOn: ['missing'] },
+            b: { description: 'B', domainLabel: 'not-a-domain', complexityScore: 2 }
+        }
+    });
+    check('Unknown references and invalid nodes reported together', r.status === 400
+        && r.body.error.includes('unknown node "missing"') && r.body.error.includes('Node "b"'));
+    check('Empty workflow rejected', (await call('POST', '/workflows', { name: 'Empty', nodes: {} })).status === 400);
+
+    console.log('\n--- Scenario 2: Materialization ---');
+    r = await call('POST', '/workflows', etl);
+    check('Workflow accepted', r.status === 201 && Object.keys(r.body.taskIds).join() === 'fetch,clean,enrich,report');
+    const { workflowId, taskIds } = r.body;
+    const report = engine.taskQueue.find(t => t.id === taskIds.report);
+    check('Local references resolved to task IDs', report.dependencies.includes(taskIds.clean) && report.dependencies.includes(taskIds.enrich));
+    check('Nodes belong to the workflow', [taskIds.fetch, taskIds.report].every(id => {
+        const task = engine.taskQueue.find(t => t.id === id);
+        return task.parentTaskId === workflowId && task.workflowId === workflowId;
+    }));
+
+    r = await call('GET', `/workflows/${workflowId}`);
+    check('Graph returned with node keys', r.status === 200 && r.body.nodes.find(n => n.key === 'report').dependsOn.sort().join() === 'clean,enrich');
+    check('Progress starts at zero', r.body.progress.total === 4 && r.body.progress.percent === 0 && r.body.status === 'waiting_for_subtasks');
+
+    console.log('\n--- Scenario 3: Execution follows the DAG ---');
+    await engine.processQueue();
+    r = await call('GET', `/workflows/${workflowId}`);
+    check('Partial progress reported', r.body.progress.finished === 1 && r.body.progress.percent === 25);
+
+    for (let i = 0; i < 6 && engine.getWorkflow(workflowId).status !== 'completed'; i++) {
+        await engine.processQueue();
+    }
+    check('Nodes ran in dependency order', executed[0] === 'Fetch prices' && executed[executed.length - 1] === 'Write report');
+    r = await call('GET', `/workflows/${workflowId}`);
+    check('Workflow completes with an aggregated output', r.body.status === 'completed' && r.body.progress.percent === 100
+        && r.body.output.resultData.includes('Write report done'));
+
+    r = await call('GET', '/workflows');
+    check('Workflows listed', r.status === 200 && r.body.length === 1 && r.body[0].name === 'Market ETL');
+    check('Unknown workflow is 404', (await call('GET', '/workflows/workflow_missing')).status === 404);
+
+    server.close();
+    fs.rmSync(process.env.LOC_DATA_DIR, { recursive: true, force: true });
+    process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+runWorkflowTest().catch(err => {
+    console.error('Test failed:', err);
+    process.exit(1);
+});